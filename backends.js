@@ -0,0 +1,199 @@
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const {
+	parse
+} = require('url');
+const {
+	Observable
+} = require('rxjs');
+
+const errors = require('./errors');
+const {
+	isAsync,
+	toObservable
+} = require('./observable');
+
+const HOP_BY_HOP_HEADERS = ['connection', 'content-length', 'keep-alive', 'transfer-encoding', 'upgrade'];
+
+const isTextContent = (contentType = '') => !contentType || /^text\/|json|xml|javascript|urlencoded/.test(contentType);
+
+const resolveHandler = handler => {
+	if (typeof handler === 'function') {
+		return handler;
+	}
+
+	const handlerModule = require(path.resolve(handler));
+
+	return typeof handlerModule === 'function' ? handlerModule : handlerModule.handler;
+};
+
+// handler errors are serialized like AWS does, custom error properties are lost
+const handlerError = (err, type) => errors.functionError({
+	errorMessage: err instanceof Error ? err.message : err,
+	errorType: err instanceof Error ? err.name : 'Error'
+}, type);
+
+/*
+	invoke in-process handlers with the same signature of lambda functions, handler(event, context, callback),
+	handlers can responds through callback, or returning a promise or an observable.
+ */
+const local = (lambda, payload = {}) => Observable.create(subscriber => {
+	const handler = resolveHandler(lambda.handler);
+
+	if (typeof handler !== 'function') {
+		return subscriber.error(new Error(`handler ${lambda.handler} is not a function.`));
+	}
+
+	const callback = (err, response) => {
+		if (err) {
+			return subscriber.error(handlerError(err, 'Handled'));
+		}
+
+		subscriber.next(response);
+		subscriber.complete();
+	};
+
+	// same event isolation of a real invocation
+	const event = JSON.parse(JSON.stringify(payload));
+	let result;
+
+	try {
+		result = handler(event, {
+			functionName: lambda.name,
+			functionVersion: lambda.version || '$LATEST'
+		}, callback);
+	} catch (err) {
+		return subscriber.error(handlerError(err, 'Unhandled'));
+	}
+
+	if (isAsync(result)) {
+		return toObservable(result)
+			.subscribe(response => callback(null, response), callback);
+	}
+});
+
+// like event invocations, handler runs in background with a void response and its errors aren't reported to the caller
+const localAsync = (lambda, payload = {}) => Observable.create(subscriber => {
+	local(lambda, payload)
+		.subscribe(null, () => null);
+
+	subscriber.next(null);
+	subscriber.complete();
+});
+
+// client raw bytes and content-type are forwarded as they came, bodies reshaped by transforms are sent as text or JSON
+const requestBodyOf = (body, rawBody) => {
+	if (rawBody && rawBody.length) {
+		return {
+			data: rawBody
+		};
+	}
+
+	if (typeof body === 'string' && body) {
+		return {
+			data: Buffer.from(body)
+		};
+	}
+
+	if (body && typeof body === 'object' && Object.keys(body).length) {
+		return {
+			data: Buffer.from(JSON.stringify(body)),
+			contentType: 'application/json'
+		};
+	}
+
+	return null;
+};
+
+/*
+	proxy the request to an HTTP upstream, lambda.url is prepended to the request path and query.
+ */
+const upstream = (lambda, payload, args = {}) => Observable.create(subscriber => {
+	const {
+		body = {},
+		headers = {},
+		method = 'GET',
+		rawBody,
+		uri = '/',
+		url = {}
+	} = args;
+
+	const target = parse(`${lambda.url.replace(/\/+$/, '')}${url.path || uri}`);
+	const requestBody = requestBodyOf(body, rawBody);
+	const requestHeaders = Object.keys(headers)
+		.reduce((reduction, key) => {
+			if (key !== 'host' && !HOP_BY_HOP_HEADERS.includes(key)) {
+				reduction[key] = headers[key];
+			}
+
+			return reduction;
+		}, {
+			host: target.host
+		});
+
+	if (requestBody) {
+		if (requestBody.contentType) {
+			requestHeaders['content-type'] = requestBody.contentType;
+		}
+
+		requestHeaders['content-length'] = requestBody.data.length;
+	}
+
+	let done = false;
+
+	const request = (target.protocol === 'https:' ? https : http).request({
+		protocol: target.protocol,
+		hostname: target.hostname,
+		port: target.port,
+		path: target.path,
+		method,
+		headers: requestHeaders
+	}, response => {
+		const chunks = [];
+
+		response.on('data', chunk => chunks.push(chunk));
+		response.on('error', err => subscriber.error(err));
+		response.on('end', () => {
+			done = true;
+
+			const data = Buffer.concat(chunks);
+			const base64 = !isTextContent(response.headers['content-type']);
+
+			subscriber.next({
+				body: data.toString(base64 ? 'base64' : 'utf8'),
+				headers: Object.keys(response.headers)
+					.reduce((reduction, key) => {
+						if (!HOP_BY_HOP_HEADERS.includes(key)) {
+							reduction[key] = response.headers[key];
+						}
+
+						return reduction;
+					}, {}),
+				base64,
+				statusCode: response.statusCode
+			});
+
+			subscriber.complete();
+		});
+	});
+
+	request.on('error', err => {
+		done = true;
+		subscriber.error(err);
+	});
+
+	request.end(requestBody ? requestBody.data : null);
+
+	// abort in flight request on unsubscribe
+	return () => {
+		if (!done) {
+			request.abort();
+		}
+	};
+});
+
+module.exports = {
+	http: upstream,
+	local: (lambda, payload) => lambda.async ? localAsync(lambda, payload) : local(lambda, payload)
+};
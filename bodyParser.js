@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const querystring = require('querystring');
+
+const DEFAULT_LIMIT = 1024 * 1024; // 1 MB
+const TMP_PREFIX = 'smallorange-gateway-upload-';
+
+const makeError = (statusCode, message) => Object.assign(new Error(message), {
+	statusCode
+});
+
+const contentType = (headers = {}) => (headers['content-type'] || '').split(';')[0]
+	.trim()
+	.toLowerCase();
+
+const isJson = type => !type || type === 'application/json' || /\+json$/.test(type);
+
+const isText = type => /^text\//.test(type) || /xml$/.test(type);
+
+// reads the whole body, stops buffering and drains the rest as soon as it is larger than limit
+const read = (req, limit, callback) => {
+	const chunks = [];
+	let size = 0;
+	let done = false;
+
+	const finish = (err, data) => {
+		if (!done) {
+			done = true;
+			callback(err, data);
+		}
+	};
+
+	if (parseInt(req.headers['content-length'], 10) > limit) {
+		req.resume();
+
+		return finish(makeError(413, 'Payload Too Large'));
+	}
+
+	req.on('data', chunk => {
+		if (done) {
+			return;
+		}
+
+		size += chunk.length;
+
+		if (size > limit) {
+			return finish(makeError(413, 'Payload Too Large'));
+		}
+
+		chunks.push(chunk);
+	});
+
+	req.on('error', finish);
+	req.on('end', () => finish(null, Buffer.concat(chunks)));
+};
+
+const parseHeaders = raw => raw.split('\r\n')
+	.reduce((reduction, line) => {
+		const index = line.indexOf(':');
+
+		if (index > 0) {
+			reduction[line.slice(0, index)
+				.trim()
+				.toLowerCase()] = line.slice(index + 1)
+				.trim();
+		}
+
+		return reduction;
+	}, {});
+
+const dispositionParam = (disposition, key) => {
+	const match = new RegExp(`;\\s*${key}="([^"]*)"`, 'i')
+		.exec(disposition) || new RegExp(`;\\s*${key}=([^;]*)`, 'i')
+		.exec(disposition);
+
+	return match ? match[1].trim() : null;
+};
+
+// own properties only, so fields like toString aren't merged with inherited ones, and __proto__ can't replace body prototype
+const assign = (body, key, value) => {
+	if (key === '__proto__') {
+		return;
+	}
+
+	if (Object.prototype.hasOwnProperty.call(body, key)) {
+		body[key] = [].concat(body[key], value);
+	} else {
+		body[key] = value;
+	}
+};
+
+const saveFile = (data, options) => {
+	const file = path.join(options.tmpDir || os.tmpdir(), `${TMP_PREFIX}${crypto.randomBytes(16).toString('hex')}`);
+
+	fs.writeFileSync(file, data);
+
+	return file;
+};
+
+// remove temp files of a parsed body
+const cleanup = (body, options = {}) => {
+	const tmpDir = options.tmpDir || os.tmpdir();
+
+	if (!body || typeof body !== 'object') {
+		return;
+	}
+
+	Object.keys(body)
+		.forEach(key => [].concat(body[key])
+			.forEach(value => {
+				if (value && typeof value.path === 'string' && path.dirname(value.path) === tmpDir && path.basename(value.path)
+					.indexOf(TMP_PREFIX) === 0) {
+					fs.unlink(value.path, () => null);
+				}
+			}));
+};
+
+const parseParts = (data, delimiter, start, body, options) => {
+	while (start >= 0) {
+		const partStart = start + delimiter.length;
+
+		// closing delimiter
+		if (data.slice(partStart, partStart + 2)
+			.toString() === '--') {
+			break;
+		}
+
+		const end = data.indexOf(delimiter, partStart);
+
+		if (end < 0) {
+			throw makeError(400, 'Bad Request');
+		}
+
+		// part is wrapped by CRLF
+		const part = data.slice(partStart + 2, end - 2);
+		const headersEnd = part.indexOf('\r\n\r\n');
+
+		if (headersEnd >= 0) {
+			const headers = parseHeaders(part.slice(0, headersEnd)
+				.toString());
+			const content = part.slice(headersEnd + 4);
+			const disposition = headers['content-disposition'] || '';
+			const name = dispositionParam(disposition, 'name');
+			const filename = dispositionParam(disposition, 'filename');
+
+			// assign ignores __proto__, its temp file would never be cleaned up
+			if (name && name !== '__proto__' && filename !== null) {
+				const file = {
+					filename,
+					contentType: headers['content-type'] || 'application/octet-stream',
+					size: content.length
+				};
+
+				if (options.files === 'tmp') {
+					file.path = saveFile(content, options);
+				} else {
+					file.data = content.toString('base64');
+				}
+
+				assign(body, name, file);
+			} else if (name) {
+				assign(body, name, content.toString('utf8'));
+			}
+		}
+
+		start = end;
+	}
+};
+
+/*
+	fields are delivered as strings and files as {filename, contentType, size, data},
+	data is base64 encoded, or with files: 'tmp' replaced by path to a temp file.
+ */
+const parseMultipart = (data, boundary, options) => {
+	const delimiter = Buffer.from(`--${boundary}`);
+	const body = {};
+	let start = data.indexOf(delimiter);
+
+	if (start < 0) {
+		throw makeError(400, 'Bad Request');
+	}
+
+	try {
+		parseParts(data, delimiter, start, body, options);
+	} catch (err) {
+		// temp files of parts parsed before failing
+		cleanup(body, options);
+
+		throw err;
+	}
+
+	return body;
+};
+
+const parse = (data, headers, options) => {
+	const type = contentType(headers);
+
+	// empty bodies as well as no body
+	if (!data.length) {
+		return {};
+	}
+
+	if (isJson(type)) {
+		try {
+			return JSON.parse(data.toString('utf8'));
+		} catch (err) {
+			throw makeError(400, 'Bad Request');
+		}
+	}
+
+	if (type === 'application/x-www-form-urlencoded') {
+		const fields = querystring.parse(data.toString('utf8'));
+
+		return Object.keys(fields)
+			.reduce((reduction, key) => {
+				assign(reduction, key, fields[key]);
+
+				return reduction;
+			}, {});
+	}
+
+	if (type === 'multipart/form-data') {
+		const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(headers['content-type']);
+
+		if (!match) {
+			throw makeError(400, 'Bad Request');
+		}
+
+		return parseMultipart(data, (match[1] || match[2]).trim(), options);
+	}
+
+	if (isText(type)) {
+		return data.toString('utf8');
+	}
+
+	// raw bytes
+	return data.toString('base64');
+};
+
+/*
+	content-type aware body parser, bodies without content-type are parsed as JSON,
+	callback gets the raw bytes along the parsed body.
+	limit: max body size in bytes, larger bodies fail with 413
+	files: multipart files delivery, base64 or tmp
+	tmpDir: temp files dir, default: os.tmpdir()
+ */
+const bodyParser = (req, options, callback) => {
+	options = Object.assign({
+		limit: DEFAULT_LIMIT,
+		files: 'base64'
+	}, options);
+
+	read(req, options.limit, (err, data) => {
+		if (err) {
+			return callback(err);
+		}
+
+		let body;
+
+		try {
+			body = parse(data, req.headers, options);
+		} catch (err) {
+			return callback(err);
+		}
+
+		callback(null, body, data);
+	});
+};
+
+module.exports = bodyParser;
+module.exports.DEFAULT_LIMIT = DEFAULT_LIMIT;
+module.exports.cleanup = cleanup;
@@ -0,0 +1,114 @@
+const {
+	Observable
+} = require('rxjs');
+
+const CLOSED = 'closed';
+const OPEN = 'open';
+const HALF_OPEN = 'half-open';
+
+/*
+	threshold: consecutive failures to open the circuit
+	resetTimeout: time in ms to wait before let trial requests pass (half-open)
+	halfOpenRequests: concurrent trial requests allowed while half-open, one success closes the circuit, one failure opens it again
+ */
+module.exports = class CircuitBreaker {
+	constructor(options = {}) {
+		const {
+			threshold = 5,
+			resetTimeout = 30000,
+			halfOpenRequests = 1
+		} = options;
+
+		this.threshold = threshold;
+		this.resetTimeout = resetTimeout;
+		this.halfOpenRequests = halfOpenRequests;
+		this.failures = 0;
+		this.openedAt = null;
+		this.trials = 0;
+		this.currentState = CLOSED;
+	}
+
+	get state() {
+		if (this.currentState === OPEN && Date.now() - this.openedAt >= this.resetTimeout) {
+			this.currentState = HALF_OPEN;
+			this.trials = 0;
+		}
+
+		return this.currentState;
+	}
+
+	allow() {
+		const state = this.state;
+
+		if (state === CLOSED) {
+			return true;
+		}
+
+		if (state === HALF_OPEN && this.trials < this.halfOpenRequests) {
+			this.trials++;
+
+			return true;
+		}
+
+		return false;
+	}
+
+	success() {
+		this.currentState = CLOSED;
+		this.failures = 0;
+		this.openedAt = null;
+	}
+
+	failure() {
+		this.failures++;
+
+		if (this.currentState === HALF_OPEN || this.failures >= this.threshold) {
+			this.currentState = OPEN;
+			this.openedAt = Date.now();
+		}
+	}
+
+	execute(operation, onReject) {
+		return Observable.defer(() => {
+			if (!this.allow()) {
+				return onReject();
+			}
+
+			const halfOpen = this.currentState === HALF_OPEN;
+			let settled = false;
+
+			return operation
+				.do(() => {
+					settled = true;
+					this.success();
+				}, err => {
+					settled = true;
+
+					// client errors aren't downstream failures, but timeouts and throttling are
+					if (err && err.statusCode >= 400 && err.statusCode < 500 && err.statusCode !== 408 && err.statusCode !== 429) {
+						return this.success();
+					}
+
+					this.failure();
+				})
+				.finally(() => {
+					// release trial slot of unsettled (unsubscribed) trials
+					if (halfOpen && !settled && this.trials > 0) {
+						this.trials--;
+					}
+				});
+		});
+	}
+
+	toJSON() {
+		return {
+			state: this.state,
+			failures: this.failures,
+			openedAt: this.openedAt
+		};
+	}
+};
+
+module.exports.CLOSED = CLOSED;
+module.exports.OPEN = OPEN;
+module.exports.HALF_OPEN = HALF_OPEN;
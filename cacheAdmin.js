@@ -0,0 +1,82 @@
+const OPERATIONS = ['markToRefresh', 'unset', 'list', 'inspect', 'purge', 'warm'];
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const MAX_WARM_PATHS = 100;
+// body options selecting entries, recorded by audit log
+const SELECTORS = ['keys', 'key', 'prefix', 'pattern', 'route', 'paths'];
+
+// * matches any sequence, ? a single char
+const glob = pattern => new RegExp(`^${pattern.split('')
+	.map(char => {
+		if (char === '*') {
+			return '.*';
+		}
+
+		if (char === '?') {
+			return '.';
+		}
+
+		return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+	})
+	.join('')}$`);
+
+const toInteger = (value, defaultValue) => {
+	value = parseInt(value, 10);
+
+	return isNaN(value) || value < 0 ? defaultValue : value;
+};
+
+const limitOf = (options = {}) => Math.min(toInteger(options.limit, DEFAULT_LIMIT) || DEFAULT_LIMIT, MAX_LIMIT);
+
+// sorted keys page, cursor is the offset of the next page, null when done
+const page = (keys, options = {}) => {
+	const cursor = toInteger(options.cursor, 0);
+	const sorted = keys.slice()
+		.sort();
+	const next = cursor + limitOf(options);
+
+	return {
+		keys: sorted.slice(cursor, next),
+		cursor: next < sorted.length ? next : null
+	};
+};
+
+// keys starting with prefix or matching a glob pattern
+const filter = (keys, options = {}) => {
+	const {
+		prefix,
+		pattern
+	} = options;
+
+	if (typeof prefix === 'string') {
+		keys = keys.filter(key => key.indexOf(prefix) === 0);
+	}
+
+	if (typeof pattern === 'string') {
+		const regExp = glob(pattern);
+
+		keys = keys.filter(key => regExp.test(key));
+	}
+
+	return keys;
+};
+
+// selector options given on body
+const selectors = (body = {}) => SELECTORS.reduce((reduction, name) => {
+	if (body[name] !== undefined) {
+		reduction[name] = body[name];
+	}
+
+	return reduction;
+}, {});
+
+module.exports = {
+	MAX_LIMIT,
+	MAX_WARM_PATHS,
+	OPERATIONS,
+	filter,
+	glob,
+	limitOf,
+	page,
+	selectors
+};
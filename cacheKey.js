@@ -0,0 +1,83 @@
+const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+const stringify = value => typeof value === 'string' ? value : JSON.stringify(value);
+
+// name=value pairs sorted by name, values encoded so section separators never show up inside them
+const pairs = (names, values = {}) => names.slice()
+	.sort()
+	.filter((name, index, sorted) => sorted.indexOf(name) === index)
+	.map(name => `${encodeURIComponent(name)}=${values[name] === undefined || values[name] === null ? '' : encodeURIComponent(stringify(values[name]))}`)
+	.join('&');
+
+const variesOnAuth = key => isObject(key) && Array.isArray(key.auth) && key.auth.length > 0;
+
+/*
+	host: prefix key with request host, default: false (namespace is the host already)
+	pathname: normalized request path (args.uri), so /users/1, /users/1/ and //users/1 share the key, default: true
+	params: true for every query param (auth claims excluded) or a list of them, default: none
+	vary: request headers list, names are case insensitive
+	auth: auth claims list, required by authenticated routes
+
+	http://localhost/users/1?fields=name&width=10#vary:accept-language=pt-BR#auth:role=admin&sub=123,
+	gateway doesn't cache when a claim is missing, so anonymous requests never share an identity entry.
+ */
+const build = (key, args) => {
+	const {
+		host = false,
+		pathname = true,
+		params,
+		vary = [],
+		auth = []
+	} = key;
+
+	const reqParams = args.params || {};
+	const claims = reqParams.auth || {};
+	const headers = Object.keys(args.headers || {})
+		.reduce((reduction, name) => {
+			reduction[name.toLowerCase()] = typeof args.headers[name] === 'string' ? args.headers[name].trim() : args.headers[name];
+
+			return reduction;
+		}, {});
+
+	if (auth.some(claim => claims[claim] === undefined || claims[claim] === null)) {
+		return null;
+	}
+
+	const paramNames = params === true ? Object.keys(reqParams)
+		.filter(name => name !== 'auth') : (params || []);
+
+	const query = pairs(paramNames.filter(name => reqParams[name] !== undefined), reqParams);
+
+	let result = `${host ? (args.host || '').toLowerCase() : ''}${pathname ? args.uri : ''}`;
+
+	if (query) {
+		result += `?${query}`;
+	}
+
+	if (vary.length) {
+		result += `#vary:${pairs(vary.map(name => name.toLowerCase()), headers)}`;
+	}
+
+	if (auth.length) {
+		result += `#auth:${pairs(auth, claims)}`;
+	}
+
+	return result;
+};
+
+// pathname section of a built key, host prefix stripped, null when key has no pathname
+const pathOf = (key, host) => {
+	host = (host || '').toLowerCase();
+
+	if (key.charAt(0) !== '/' && host && key.indexOf(host) === 0) {
+		key = key.slice(host.length);
+	}
+
+	return key.charAt(0) === '/' ? key.split(/[?#]/)[0] : null;
+};
+
+module.exports = {
+	build,
+	pathOf,
+	variesOnAuth
+};
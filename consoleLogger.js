@@ -0,0 +1,8 @@
+/*
+	stdout replacement of smallorange-cloudwatch-logger, same interface, for development usage.
+ */
+module.exports = class ConsoleLogger {
+	log(...args) {
+		console.log(new Date().toISOString(), ...args);
+	}
+};
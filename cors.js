@@ -0,0 +1,119 @@
+const METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+/*
+	origin: '*', an origin, a regexp, a function (origin => boolean) or a list of origins and regexps, default: '*'
+	methods: allowed methods, route methods are allowed when not set
+	headers: allowed request headers, requested ones are allowed when not set
+	credentials: allow credentials, origin is reflected instead of '*', default: false
+	maxAge: preflight cache in seconds
+	exposedHeaders: response headers exposed to the browser
+ */
+const DEFAULTS = {
+	origin: '*',
+	methods: null,
+	headers: null,
+	credentials: false,
+	maxAge: null,
+	exposedHeaders: []
+};
+
+// route options override global ones, false disables cors
+const options = (global = {}, route = {}) => global === false || route === false ? null : Object.assign({}, DEFAULTS, global, route);
+
+const matchOrigin = (origin, requestOrigin) => {
+	if (typeof origin === 'function') {
+		return !!origin(requestOrigin);
+	}
+
+	if (origin instanceof RegExp) {
+		return origin.test(requestOrigin);
+	}
+
+	if (Array.isArray(origin)) {
+		return origin.some(origin => matchOrigin(origin, requestOrigin));
+	}
+
+	return origin === '*' || origin === requestOrigin;
+};
+
+const allowOrigin = (options, requestOrigin) => {
+	if (options.origin === '*' && !options.credentials) {
+		return '*';
+	}
+
+	return requestOrigin && matchOrigin(options.origin, requestOrigin) ? requestOrigin : null;
+};
+
+// actual requests headers, empty when origin isn't allowed
+const headers = (options, reqHeaders = {}) => {
+	const origin = options && allowOrigin(options, reqHeaders.origin);
+
+	if (!origin) {
+		return {};
+	}
+
+	const result = {
+		'access-control-allow-origin': origin
+	};
+
+	if (origin !== '*') {
+		result.vary = 'origin';
+	}
+
+	if (options.credentials) {
+		result['access-control-allow-credentials'] = 'true';
+	}
+
+	if (options.exposedHeaders.length) {
+		result['access-control-expose-headers'] = options.exposedHeaders.join(', ');
+	}
+
+	return result;
+};
+
+// preflight headers, methods are limited to the ones the route responds to
+const preflight = (options, reqHeaders = {}, allowedMethods = METHODS) => {
+	const origin = options && allowOrigin(options, reqHeaders.origin);
+
+	if (!origin) {
+		return {};
+	}
+
+	const result = {
+		'access-control-allow-origin': origin,
+		'access-control-allow-methods': (options.methods ? options.methods.filter(method => allowedMethods.includes(method)) : allowedMethods)
+			.join(', ')
+	};
+
+	const allowHeaders = options.headers ? options.headers.join(', ') : reqHeaders['access-control-request-headers'];
+	const vary = (origin !== '*' ? ['origin'] : []).concat(options.headers ? [] : ['access-control-request-headers']);
+
+	if (allowHeaders) {
+		result['access-control-allow-headers'] = allowHeaders;
+	}
+
+	if (vary.length) {
+		result.vary = vary.join(', ');
+	}
+
+	if (options.credentials) {
+		result['access-control-allow-credentials'] = 'true';
+	}
+
+	if (typeof options.maxAge === 'number') {
+		result['access-control-max-age'] = `${options.maxAge}`;
+	}
+
+	return result;
+};
+
+// browsers preflight with origin and access-control-request-method headers
+const isPreflight = (reqHeaders = {}) => !!reqHeaders.origin && !!reqHeaders['access-control-request-method'];
+
+module.exports = {
+	METHODS,
+	headers,
+	isPreflight,
+	options,
+	preflight
+};
@@ -0,0 +1,62 @@
+const DEFAULT_STATUS_CODE = 502;
+
+const isStatusCode = statusCode => typeof statusCode === 'number' && statusCode >= 400 && statusCode < 600;
+
+const parseMessage = errorMessage => {
+	try {
+		const parsed = JSON.parse(errorMessage);
+
+		return parsed && typeof parsed === 'object' ? parsed : null;
+	} catch (err) {
+		return null;
+	}
+};
+
+/*
+	lambda errors payload looks like {errorMessage, errorType, stackTrace}, as custom error properties are lost on AWS serialization,
+	statusCode can be provided along the payload or inside a JSON errorMessage, like JSON.stringify({statusCode: 404, message: 'Not Found'}),
+	otherwise, it is a bad gateway.
+ */
+const functionError = (payload, type = 'Unhandled') => {
+	if (!payload || typeof payload !== 'object') {
+		payload = {
+			errorMessage: payload
+		};
+	}
+
+	const parsed = parseMessage(payload.errorMessage) || {};
+	const statusCode = [payload.statusCode, parsed.statusCode].find(isStatusCode) || DEFAULT_STATUS_CODE;
+	const err = new Error(parsed.message || payload.errorMessage || 'Bad Gateway');
+
+	err.name = payload.errorType || parsed.name || 'FunctionError';
+	err.statusCode = statusCode;
+	err.context = {
+		functionError: type,
+		errorType: payload.errorType || null
+	};
+
+	return err;
+};
+
+const PAYLOAD_TOO_LARGE_ERRORS = ['RequestTooLargeException', 'RequestEntityTooLargeException'];
+
+// invocation errors, request payload over the 6 MB limit is a client error
+const invokeError = err => {
+	if (err && PAYLOAD_TOO_LARGE_ERRORS.includes(err.code)) {
+		err.statusCode = 413;
+	}
+
+	return err;
+};
+
+// successful responses like {errorType, errorMessage, statusCode} are typed errors returned by lambdas on purpose
+const isTypedError = response => !!response && typeof response === 'object' && !!response.errorType && isStatusCode(response.statusCode);
+
+const typedError = response => functionError(response, 'Handled');
+
+module.exports = {
+	functionError,
+	invokeError,
+	isTypedError,
+	typedError
+};
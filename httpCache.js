@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+
+const METHODS = ['GET', 'HEAD'];
+
+// case insensitive header lookup, lambdas might send ETag or Last-Modified
+const header = (headers = {}, name) => {
+	const key = Object.keys(headers)
+		.find(key => key.toLowerCase() === name);
+
+	return key ? headers[key] : undefined;
+};
+
+// base64 bodies are hashed decoded, so the same payload has the same etag whatever the encoding
+const etag = (body, base64 = false) => {
+	let data;
+
+	if (Buffer.isBuffer(body)) {
+		data = body;
+	} else if (base64 && typeof body === 'string') {
+		data = Buffer.from(body, 'base64');
+	} else {
+		data = Buffer.from(typeof body === 'string' ? body : JSON.stringify(body));
+	}
+
+	return `"${crypto.createHash('sha1').update(data).digest('hex')}"`;
+};
+
+const weak = tag => tag.trim()
+	.replace(/^W\//, '');
+
+// if-none-match has precedence over if-modified-since
+const notModified = (reqHeaders = {}, resHeaders = {}) => {
+	const ifNoneMatch = reqHeaders['if-none-match'];
+
+	if (ifNoneMatch) {
+		const tag = header(resHeaders, 'etag');
+
+		return !!tag && ifNoneMatch.split(',')
+			.some(candidate => candidate.trim() === '*' || weak(candidate) === weak(tag));
+	}
+
+	const since = Date.parse(reqHeaders['if-modified-since']);
+	const lastModified = Date.parse(header(resHeaders, 'last-modified'));
+
+	return !isNaN(since) && !isNaN(lastModified) && lastModified <= since;
+};
+
+/*
+	cached responses are fresh for ttr seconds, and can be served stale while gateway refreshes them until ttl,
+	authenticated routes are private.
+ */
+const cacheControl = (options = {}) => {
+	const {
+		ttl,
+		ttr,
+		private: isPrivate = false
+	} = options;
+
+	const maxAge = Math.min(ttr, ttl);
+
+	return `${isPrivate ? 'private' : 'public'}, max-age=${maxAge}, stale-while-revalidate=${ttl - maxAge}`;
+};
+
+// age, last-modified and cache-control of a cached entry
+const headers = (cachedAt, options = {}, now = Date.now()) => ({
+	age: `${Math.max(Math.floor((now - cachedAt) / 1000), 0)}`,
+	'last-modified': new Date(cachedAt)
+		.toUTCString(),
+	'cache-control': cacheControl(options)
+});
+
+module.exports = {
+	METHODS,
+	cacheControl,
+	etag,
+	header,
+	headers,
+	notModified
+};
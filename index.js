@@ -1,5 +1,6 @@
+const fs = require('fs');
 const http = require('http');
-const bodyParser = require('body/json');
+const path = require('path');
 const beautyError = require('smallorange-beauty-error');
 const Redis = require('smallorange-redis-client');
 const Logger = require('smallorange-cloudwatch-logger');
@@ -11,30 +12,67 @@ const {
 	Observable
 } = require('rxjs');
 
+const backends = require('./backends');
+const bodyParser = require('./bodyParser');
+const CircuitBreaker = require('./breaker');
+const cacheAdmin = require('./cacheAdmin');
+const cacheKey = require('./cacheKey');
+const ConsoleLogger = require('./consoleLogger');
+const cors = require('./cors');
+const errors = require('./errors');
+const httpCache = require('./httpCache');
+const IndexedCacheDriver = require('./indexedCache');
+const JobStore = require('./jobs');
 const jwt = require('./jwt');
+const manifest = require('./manifest');
+const middleware = require('./middleware');
+const qs = require('./qs');
+const MemoryCacheDriver = require('./memoryCache');
+const retry = require('./retry');
+const router = require('./router');
+const transform = require('./transform');
+const validator = require('./validator');
 const {
 	lambda,
 	cloudWatchLogs
 } = require('./AWS');
 
 const DEFAULT_VERSION = '$LATEST';
+const BODY_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const CACHE_OPTIONS = ['ttl', 'ttr', 'timeout'];
 
 module.exports = class Gateway {
 	constructor(config = {}) {
 		const {
-			lambdas,
+			dev = process.env.NODE_ENV === 'development',
+			handlersDir = process.env.HANDLERS_DIR || 'handlers',
+			lambdasFile = process.env.LAMBDAS_FILE,
+			lambdas = lambdasFile ? manifest.load(lambdasFile) : null,
 			logGroup = process.env.LOG_GROUP,
 			logGroupDebounce = process.env.LOG_GROUP_DEBOUNCE || 5000,
 			redisUrl = process.env.REDIS_URL,
 			port = process.env.PORT || 8080,
 			cachePrefix = process.env.CACHE_PREFIX || '',
+			timeout = parseInt(process.env.TIMEOUT, 10) || null,
+			breaker = null,
+			healthPath = process.env.HEALTH_PATH || '/health',
+			health = process.env.HEALTH ? process.env.HEALTH === 'true' : null,
+			jobsPath = process.env.JOBS_PATH || '/jobs',
+			jobsTtl = parseInt(process.env.JOBS_TTL, 10) || 60 * 60 * 24, // 1 day
+			bodyLimit = parseInt(process.env.BODY_LIMIT, 10) || bodyParser.DEFAULT_LIMIT,
+			uploadsDir = process.env.UPLOADS_DIR || null,
+			cacheAdmin = {},
+			cors: corsOptions = process.env.CORS_ORIGIN ? {
+				origin: process.env.CORS_ORIGIN.split(',')
+			} : {},
+			backends: customBackends = {}
 		} = config;
 
 		if (!lambdas) {
 			throw new Error('no lambdas provided.');
 		}
 
-		if (!logGroup) {
+		if (!logGroup && !dev) {
 			throw new Error('no logGroup provided.');
 		}
 
@@ -42,29 +80,93 @@ module.exports = class Gateway {
 			throw new Error('cachePrefix must be a string.');
 		}
 
-		this.logger = new Logger({
+		if (corsOptions !== false && (!corsOptions || typeof corsOptions !== 'object')) {
+			throw new Error('cors must be an object or false.');
+		}
+
+		// dev mode runs with no external services, logging to stdout and caching in memory
+		this.logger = dev ? new ConsoleLogger() : new Logger({
 			client: cloudWatchLogs,
 			logGroupName: logGroup,
 			debounceTime: logGroupDebounce
 		});
 
-		this.cacheDriver = redisUrl ? new CacheDriver({
+		const cacheOptions = {
 			logError: this.logger.log.bind(this.logger),
 			ttl: process.env.CACHE_TTL || 60 * 60 * 24 * 30, // 30 days
 			ttr: process.env.CACHE_TTR || 7200,
-			timeout: process.env.CACHE_TIMEOUT || 1000,
-			redis: new Redis({
+			timeout: process.env.CACHE_TIMEOUT || 1000
+		};
+
+		// route cache-control falls back to these
+		this.cacheDefaults = {
+			ttl: parseInt(cacheOptions.ttl, 10),
+			ttr: parseInt(cacheOptions.ttr, 10)
+		};
+
+		if (dev) {
+			this.cacheDriver = new MemoryCacheDriver(cacheOptions);
+			this.jobs = new JobStore({
+				ttl: jobsTtl
+			});
+		} else {
+			const redis = redisUrl ? new Redis({
 				connection: {
 					url: redisUrl
 				}
-			})
-		}) : null;
+			}) : null;
+
+			// redis driver can't list its keys, so they are indexed for cache admin
+			this.cacheDriver = redis ? new IndexedCacheDriver({
+				driver: new CacheDriver(Object.assign({
+					redis
+				}, cacheOptions)),
+				redis,
+				prefix: `${cachePrefix}cacheIndex:`,
+				ttl: cacheOptions.ttl,
+				ttr: cacheOptions.ttr
+			}) : null;
+			this.jobs = redis ? new JobStore({
+				redis,
+				prefix: `${cachePrefix}job:`,
+				ttl: jobsTtl
+			}) : null;
+		}
 
 		this.bodyParser = bodyParser;
+		this.bodyLimit = bodyLimit;
+		this.uploadsDir = uploadsDir;
 		this.cloudWatchLogs = cloudWatchLogs;
 		this.lambda = lambda;
-		this.lambdas = lambdas;
+		this.dev = dev;
+		this.backends = Object.assign({
+			// on dev mode, lambdas are invoked in-process from lambda.handler or handlersDir/lambda.name
+			lambda: dev ? (lambda, payload) => backends.local(Object.assign({}, lambda, {
+				handler: lambda.handler || path.join(handlersDir, lambda.name)
+			}), payload) : (lambda, payload) => {
+				const version = lambda.version || DEFAULT_VERSION;
+
+				return lambda.async ? this.invoke(lambda.name, payload, version, 'Event') : this.invoke(lambda.name, payload, version);
+			},
+			local: backends.local,
+			http: backends.http
+		}, customBackends);
+		this.setLambdas(lambdas);
 		this.cachePrefix = cachePrefix;
+		this.timeout = timeout;
+		this.breaker = breaker;
+		this.breakers = new Map();
+		this.healthPath = healthPath;
+		this.healthEnabled = health;
+		this.jobsPath = jobsPath;
+		this.cors = corsOptions;
+		this.cacheAdmin = Object.assign({
+			path: process.env.CACHE_ADMIN_PATH || '/cache',
+			key: process.env.CACHE_ADMIN_KEY || null,
+			auth: null,
+			namespaces: null
+		}, cacheAdmin);
+		this.middlewares = [];
 		this.server = http.createServer((req, res) => {
 			try {
 				this.handle(req, res);
@@ -76,58 +178,154 @@ module.exports = class Gateway {
 		});
 
 		this.server.listen(port);
+
+		if (lambdasFile) {
+			this.watchLambdas(lambdasFile);
+		}
+	}
+
+	setLambdas(lambdas) {
+		const errors = manifest.validate(lambdas, {
+			backends: Object.keys(this.backends),
+			dev: this.dev
+		});
+
+		if (errors.length) {
+			const err = new Error(`invalid lambdas manifest:\n${errors.join('\n')}`);
+
+			err.errors = errors;
+
+			throw err;
+		}
+
+		// in flight requests keep the routes they started with
+		this.lambdas = lambdas;
+		this.routes = router.compile(lambdas);
+		this.routeBreakers = router.flatten(lambdas)
+			.some(lambda => !!lambda && !!lambda.breaker);
+		this.routeJobs = router.flatten(lambdas)
+			.some(lambda => !!lambda && !!lambda.async);
 	}
 
-	invoke(name, payload = {}, version = DEFAULT_VERSION) {
+	reloadLambdas(file) {
+		try {
+			this.setLambdas(manifest.load(file));
+		} catch (err) {
+			this.logger.log(err);
+
+			return false;
+		}
+
+		return true;
+	}
+
+	watchLambdas(file, interval = 1000) {
+		this.unwatchLambdas();
+
+		this.lambdasWatcher = {
+			file,
+			listener: (current, previous) => {
+				if (current.mtime.getTime() !== previous.mtime.getTime()) {
+					this.reloadLambdas(file);
+				}
+			}
+		};
+
+		fs.watchFile(file, {
+			interval
+		}, this.lambdasWatcher.listener);
+	}
+
+	unwatchLambdas() {
+		if (this.lambdasWatcher) {
+			fs.unwatchFile(this.lambdasWatcher.file, this.lambdasWatcher.listener);
+			this.lambdasWatcher = null;
+		}
+	}
+
+	// invocationType: RequestResponse waits the response, Event just queues the invocation and responds with a void payload
+	invoke(name, payload = {}, version = DEFAULT_VERSION, invocationType = 'RequestResponse') {
 		return Observable.create(subscriber => {
-			this.lambda.invoke({
+			let done = false;
+
+			const request = this.lambda.invoke({
 				FunctionName: name,
+				InvocationType: invocationType,
 				Payload: JSON.stringify(payload),
 				Qualifier: version
 			}, (err, response) => {
+				done = true;
+
 				if (err) {
-					return subscriber.error(err);
+					return subscriber.error(errors.invokeError(err));
 				}
 
-				subscriber.next(JSON.parse(response.Payload));
+				const payload = this.parsePayload(response.Payload);
+
+				// lambda itself failed, call is still successful
+				if (response.FunctionError) {
+					return subscriber.error(errors.functionError(payload, response.FunctionError));
+				}
+
+				subscriber.next(payload);
 				subscriber.complete();
 			});
+
+			// abort in flight request on unsubscribe
+			return () => {
+				if (!done && request) {
+					request.abort();
+				}
+			};
 		});
 	}
 
-	parseValue(value) {
-		if (value === 'true' || value === true) {
-			return true;
-		} else if (value === 'false' || value === false) {
-			return false;
-		} else if (value === 'null' || value === 'undefined' || value === null || value === undefined) {
+	// void payloads are null, non JSON payloads are returned as text
+	parsePayload(payload) {
+		if (Buffer.isBuffer(payload) || payload instanceof Uint8Array) {
+			payload = Buffer.from(payload)
+				.toString('utf8');
+		}
+
+		if (typeof payload !== 'string') {
+			return payload === undefined ? null : payload;
+		}
+
+		if (!payload.trim()) {
 			return null;
 		}
 
-		const numberTentative = parseFloat(value);
+		try {
+			return JSON.parse(payload);
+		} catch (err) {
+			return payload;
+		}
+	}
+
+	invokeBackend(lambda, payload, args) {
+		const backend = this.backends[lambda.backend || 'lambda'];
 
-		if (!isNaN(numberTentative)) {
-			return numberTentative;
+		if (!backend) {
+			return Observable.throw(new Error(`unknown backend ${lambda.backend}.`));
 		}
 
-		return decodeURIComponent(value);
+		return backend(lambda, payload, args);
 	}
 
-	qs(value) {
-		if (!value) {
-			return {};
+	parseValue(value) {
+		if (value === null || value === undefined) {
+			return null;
 		}
 
-		return value.split('&')
-			.reduce((reduction, token) => {
-				const [key, value] = token.split('=');
+		if (typeof value !== 'string') {
+			return value;
+		}
 
-				if (key && value) {
-					reduction[key] = this.parseValue(value);
-				}
+		return qs.coerce(qs.decode(value));
+	}
 
-				return reduction;
-			}, {});
+	qs(value, options = {}) {
+		return qs.parse(value, options);
 	}
 
 	writeError(res, err) {
@@ -152,8 +350,7 @@ module.exports = class Gateway {
 
 	setHeaders(res, headers = {}) {
 		headers = Object.assign({
-			'content-type': 'application/json',
-			'access-control-allow-origin': '*'
+			'content-type': 'application/json'
 		}, headers);
 
 		Object.keys(headers)
@@ -164,18 +361,18 @@ module.exports = class Gateway {
 			});
 	}
 
-	responds(res, err, data, headers = {}, base64 = false) {
+	responds(res, err, data, headers = {}, base64 = false, statusCode = 200) {
 		this.setHeaders(res, headers);
 
 		if (err) {
 			return this.writeError(res, err);
 		}
 
-		if (data && base64) {
-			data = new Buffer(data, 'base64');
+		if (data && base64 && typeof data === 'string') {
+			data = Buffer.from(data, 'base64');
 		}
 
-		this.write(res, data);
+		this.write(res, data, statusCode);
 	}
 
 	makeError(statusCode = 500, err = null) {
@@ -191,8 +388,38 @@ module.exports = class Gateway {
 			.replace(/\/{2,}/g, '/') || '/';
 	}
 
-	parseRequest(req, callback) {
+	// route is the one handle resolved for req, found when not given
+	parseRequest(req, callback, route) {
+		const args = this.createArgs(req, route);
+
+		if (BODY_METHODS.includes(req.method)) {
+			return this.bodyParser(req, this.bodyOptions(args, route), (err, body, rawBody) => {
+				if (err) {
+					return callback(err);
+				}
+
+				// raw bytes are forwarded as is by http backend
+				callback(null, Object.assign(args, {
+					body,
+					rawBody
+				}));
+			});
+		}
+
+		callback(null, args);
+	}
+
+	// args out of method, url and headers, body is parsed apart
+	createArgs(req, route) {
 		const url = parse(req.url);
+		const uri = this.parseUri(url.pathname);
+
+		if (route === undefined) {
+			route = this.findRoute(uri, req.method);
+		}
+
+		const lambda = route && route.lambda;
+		const schema = lambda && lambda.schema;
 
 		const args = {
 			body: {},
@@ -200,28 +427,31 @@ module.exports = class Gateway {
 			headers: req.headers,
 			host: req.headers.host,
 			method: req.method,
-			params: this.qs(url.query),
+			params: this.qs(url.query, {
+				// lambdas can opt out of params type coercion, or leave it to schema
+				coerce: !(lambda && (lambda.coerceParams === false || (schema && schema.coerce && schema.params)))
+			}),
+			pathParams: {},
 			url: {
 				path: url.path,
 				pathname: url.pathname,
 				query: url.query
 			},
-			uri: this.parseUri(url.pathname)
+			uri
 		};
 
-		if (req.method === 'POST' || req.method === 'PUT') {
-			return this.bodyParser(req, null, (err, body) => {
-				if (err) {
-					return callback(err);
-				}
+		return args;
+	}
 
-				callback(null, Object.assign(args, {
-					body
-				}));
-			});
-		}
+	// route is found before parsing, so each lambda can have its own body limit
+	bodyOptions(args, route = this.findRoute(args.uri, args.method)) {
+		const options = (route && route.lambda && route.lambda.body) || {};
 
-		callback(null, args);
+		return {
+			limit: options.limit || this.bodyLimit,
+			files: options.files || 'base64',
+			tmpDir: this.uploadsDir
+		};
 	}
 
 	callLambda(lambda, args) {
@@ -232,174 +462,887 @@ module.exports = class Gateway {
 			host,
 			method,
 			params,
+			pathParams = {},
 			uri,
 			url,
 		} = args;
 
 		const defaults = lambda.defaults || {};
 		const mergedParams = Object.assign({}, defaults.requestParams, params);
-		const cacheEnabled = this.cacheDriver && lambda.cache && (typeof lambda.cache.enabled === 'function' ? lambda.cache.enabled(args) : lambda.cache.enabled);
-		const doInvoke = () => this.invoke(lambda.name, lambda.paramsOnly ? mergedParams : {
+		const cacheEnabled = this.cacheEnabled(lambda, args);
+		const cacheOptions = cacheEnabled ? this.cacheOptions(lambda, args) : {};
+		const timeout = lambda.timeout || this.timeout;
+		const retryPolicy = lambda.retry ? retry.policy(lambda.retry) : null;
+		const payload = lambda.paramsOnly ? Object.assign(mergedParams, pathParams) : {
 			method,
 			headers,
 			body,
 			params: mergedParams,
+			pathParams,
 			uri
-		}, lambda.version || DEFAULT_VERSION);
+		};
+
+		const invokeWith = (payload, cached = false) => {
+			// deferred, so each retry attempt invokes the backend again
+			let invocation = Observable.defer(() => this.invokeBackend(lambda, payload, args)
+				.mergeMap(response => errors.isTypedError(response) ? Observable.throw(errors.typedError(response)) : Observable.of(response)));
+
+			if (retryPolicy && retryPolicy.methods.includes(method)) {
+				invocation = retry.retry(invocation, retryPolicy, (err, attempt, delay) => this.logger.log({
+					message: `retrying ${lambda.name} after attempt ${attempt} in ${delay}ms.`,
+					name: lambda.name,
+					attempt,
+					delay,
+					error: err.code || err.message
+				}));
+			}
+
+			// on timeout, invocation is unsubscribed and aborted
+			if (timeout) {
+				invocation = invocation.timeoutWith(timeout, Observable.throw(this.makeError(504, 'Gateway Timeout')));
+			}
+
+			const breaker = this.getBreaker(lambda);
+
+			// fallbacks of cached invocations go through cache driver as errors, so they are served but never stored
+			const fallback = () => cached ? this.breakerFallback(lambda, args)
+				.mergeMap(response => Observable.throw(Object.assign(this.makeError(503, 'Service Unavailable'), {
+					fallback: response
+				}))) : this.breakerFallback(lambda, args);
+
+			return breaker ? breaker.execute(invocation, fallback) : invocation;
+		};
+
+		const doInvoke = () => invokeWith(payload);
+
+		// lambda gets job id and token along the payload to post its completion, client gets 202 right after the invocation is queued
+		// status path is advertised just when jobs endpoint answers it
+		const jobPath = job => {
+			const path = `${this.jobsPath}/${job.id}`;
+
+			return this.jobs && !this.shadowsEndpoints(this.findRoute(this.parseUri(path))) ? path : null;
+		};
+
+		const doAsync = () => this.createJob(lambda)
+			.mergeMap(job => {
+				const statusPath = jobPath(job);
+
+				return invokeWith(Object.assign({}, payload, {
+						job: {
+							id: job.id,
+							token: job.token,
+							path: statusPath
+						}
+					}))
+					.map(() => ({
+						body: Object.assign({
+							jobId: job.id,
+							status: job.status
+						}, statusPath ? {
+							statusPath
+						} : {}),
+						headers: statusPath ? {
+							location: statusPath
+						} : {},
+						statusCode: 202
+					}))
+					.catch(err => {
+						const failed = this.jobs ? this.jobs.update(job.id, job.token, {
+								status: 'failed',
+								error: err.message
+							})
+							.catch(() => Observable.of(null)) : Observable.of(null);
+
+						return failed.mergeMap(() => Observable.throw(err));
+					});
+			});
 
 		const doCache = () => {
-			const key = typeof lambda.cache.key === 'function' ? lambda.cache.key(args) : lambda.cache.key;
+			const key = this.cacheKey(lambda, args);
 
-			if (typeof key !== 'string') {
+			if (!key) {
 				return doInvoke();
 			}
 
-			return this.cacheDriver.get({
-				namespace: host,
-				key: `${this.cachePrefix}${key}`
-			}, doInvoke);
+			// lambdas can override ttl and ttr through response cache field, before the driver stores the entry
+			return this.cacheDriver.get(Object.assign({
+					namespace: host,
+					key
+				}, cacheOptions), cacheArgs => invokeWith(payload, true)
+					.do(response => Object.assign(cacheArgs, this.responseCacheOptions(response)))
+					.map(response => this.stampResponse(response)))
+				.catch(err => err.fallback !== undefined ? Observable.of(err.fallback) : Observable.throw(err));
 		};
 
-		return (cacheEnabled ? doCache() : doInvoke())
-			.map(response => {
+		let operation;
+
+		if (lambda.async) {
+			operation = doAsync();
+		} else {
+			operation = cacheEnabled ? doCache() : doInvoke();
+		}
+
+		return operation
+			.map((response = null) => {
+				// void lambdas responds with empty body
+				if (response === null) {
+					response = '';
+				}
+
 				const {
 					body,
 					headers,
 					base64 = defaults.responseBase64 || false,
-					statusCode = 200
+					statusCode = 200,
+					cachedAt
 				} = response;
 
-				if (body && headers) {
-					return {
-						body,
-						headers: Object.assign({}, defaults.responseHeaders, headers),
-						base64,
-						statusCode
-					};
-				}
-
-				return {
+				const normalized = body !== undefined && headers ? {
+					body,
+					headers: Object.assign({}, defaults.responseHeaders, headers),
+					base64,
+					statusCode
+				} : {
 					body: response,
 					headers: defaults.responseHeaders || {},
 					base64,
 					statusCode
 				};
+
+				// cached entries carry age, last-modified and cache-control, lambda headers have precedence
+				if (typeof cachedAt === 'number' && statusCode < 400) {
+					normalized.headers = Object.assign(httpCache.headers(cachedAt, Object.assign({}, this.cacheDefaults, cacheOptions, this.responseCacheOptions(response), {
+						private: !!lambda.auth
+					})), normalized.headers);
+				}
+
+				return normalized;
+			})
+			.mergeMap(response => this.validateResponse(lambda, response));
+	}
+
+	// reject responds with 502, strip removes undeclared fields, log (dev mode only) just logs mismatches
+	validateResponse(lambda, response) {
+		const schema = lambda.schema && lambda.schema.response;
+
+		if (!schema || lambda.async || response.base64 || response.statusCode >= 400) {
+			return Observable.of(response);
+		}
+
+		const mode = lambda.schema.responseMode || 'reject';
+		const {
+			body,
+			errors
+		} = validator.validateResponse(schema, response.body, mode);
+
+		if (errors.length) {
+			this.logger.log({
+				message: `${lambda.name} response doesn't match schema.`,
+				name: lambda.name,
+				mode,
+				errors
 			});
+
+			if (mode === 'log') {
+				return Observable.of(response);
+			}
+
+			return Observable.throw(this.makeError(502, 'Bad Gateway'));
+		}
+
+		return Observable.of(Object.assign(response, {
+			body
+		}));
 	}
 
-	findFunction(url) {
-		let lambda = null;
+	createJob(lambda) {
+		if (this.jobs) {
+			return this.jobs.create(lambda);
+		}
 
-		if (url !== '/') {
-			let paths = url.split('/')
-				.reduce((reduction, token) => {
-					return token ? reduction.concat(token) : reduction;
-				}, [])
-				.map((token, index, array) => {
-					return array.slice(0, array.length - index);
-				});
-			
-			// create wildcards
-			paths = paths.reduce((reduction, path, index) => {
-				const isLast = index >= paths.length - 1;
-
-				return reduction.concat(paths.map((path, innerIndex) => {
-					const max = Math.min(index + 1, path.length)
-					const seed = new Array(max).fill('*');
-					
-					if(!isLast && (path.length === seed.length)) {
-						return null;
-					}
+		// no store to track status
+		return Observable.of({
+			id: JobStore.randomId(),
+			name: lambda.name,
+			status: JobStore.PENDING,
+			token: null
+		});
+	}
+
+	handleJob(args) {
+		const {
+			body = {},
+			headers = {},
+			method,
+			url
+		} = args;
+
+		const id = url.pathname.slice(this.jobsPath.length + 1);
+
+		if (method === 'GET') {
+			return this.jobs.get(id)
+				.mergeMap(job => job ? Observable.of(this.jobs.toPublic(job)) : Observable.throw(this.makeError(404, 'Not Found')));
+		}
+
+		if (method === 'POST') {
+			return this.jobs.update(id, headers['x-job-token'] || body.token, body)
+				.map(job => this.jobs.toPublic(job));
+		}
+
+		return Observable.throw(this.makeError(405, 'Method Not Allowed'));
+	}
+
+	/*
+		cache administration, markToRefresh (default) or unset on body.namespace (default: request host),
+		every operation is audit logged, denied ones as well
+	 */
+	handleCache(args) {
+		const {
+			body = {},
+			host
+		} = args;
 
-					path = seed.concat(path.slice(max));
+		const {
+			operation = 'markToRefresh',
+			namespace = host
+		} = body;
+
+		let actor = null;
+
+		// purged keys are recorded as well, destructive operations must leave a trail
+		const audit = (statusCode, response) => this.logger.log(Object.assign({
+			message: 'cache operation.',
+			operation,
+			namespace
+		}, cacheAdmin.selectors(body), operation === 'purge' && response ? {
+			purged: response.keys,
+			count: response.count
+		} : {}, {
+			actor,
+			host,
+			statusCode
+		}));
+
+		return this.cacheAdminAuth(args)
+			.mergeMap(authorized => {
+				actor = authorized;
+
+				if (!cacheAdmin.OPERATIONS.includes(operation)) {
+					return Observable.throw(this.makeError(400, `operation should be one of ${cacheAdmin.OPERATIONS.join(', ')}.`));
+				}
+
+				if (!this.allowedNamespace(namespace, actor, args)) {
+					return Observable.throw(this.makeError(403, 'Forbidden'));
+				}
+
+				if (!this.cacheDriver) {
+					return Observable.throw(this.makeError(503, 'Service Unavailable'));
+				}
 
-					return path;
+				return this.cacheOperation(operation, Object.assign({}, body, {
+					namespace
 				}));
-			}, paths)
-			.filter(path => path !== null);
-			
-			// look for lambda
-			for (let i = 0; i <= paths.length - 1; i++) {
-				const path = `/${paths[i].join('/')}`;
-
-				if (this.lambdas[path]) {
-					lambda = this.lambdas[path];
-					break;
+			})
+			.do(response => audit(200, response), err => audit(err.statusCode || 500))
+			.map(response => ({
+				[operation]: response
+			}));
+	}
+
+	/*
+		list: keys page, filtered by prefix or glob pattern, {keys, cursor}
+		inspect: entry of key, {key, value, age, ttl, ttr, expiresIn, refreshIn, refresh}
+		purge: unset keys by prefix, glob pattern or manifest route, {keys, count}
+		warm: invokes route lambdas of paths through cache, [{path, key, status}]
+		keys are the stored ones, cachePrefix included
+	 */
+	cacheOperation(operation, options) {
+		const {
+			namespace
+		} = options;
+
+		if (operation === 'list') {
+			return this.cacheDriver.scan({
+					namespace,
+					prefix: options.prefix,
+					pattern: options.pattern,
+					cursor: options.cursor,
+					limit: cacheAdmin.limitOf(options)
+				})
+				.map(page => ({
+					keys: cacheAdmin.filter(page.keys, options),
+					cursor: page.cursor
+				}));
+		}
+
+		if (operation === 'inspect') {
+			if (typeof options.key !== 'string') {
+				return Observable.throw(this.makeError(400, 'key is required.'));
+			}
+
+			return this.cacheDriver.inspect({
+					namespace,
+					key: options.key
+				})
+				.mergeMap(entry => entry ? Observable.of(entry) : Observable.throw(this.makeError(404, 'Not Found')));
+		}
+
+		if (operation === 'purge') {
+			return this.purgeCache(options);
+		}
+
+		if (operation === 'warm') {
+			return this.warmCache(options);
+		}
+
+		return this.cacheDriver[operation](options);
+	}
+
+	purgeCache(options) {
+		const {
+			namespace,
+			prefix,
+			pattern,
+			route
+		} = options;
+
+		if (prefix === undefined && pattern === undefined && route === undefined) {
+			return Observable.throw(this.makeError(400, 'prefix, pattern or route is required.'));
+		}
+
+		if (route !== undefined && !(typeof route === 'string' && this.lambdas[route])) {
+			return Observable.throw(this.makeError(400, `route ${route} isn't in the manifest.`));
+		}
+
+		const routes = this.routes;
+		const scan = cursor => this.cacheDriver.scan({
+			namespace,
+			prefix,
+			pattern,
+			cursor,
+			limit: cacheAdmin.MAX_LIMIT
+		});
+
+		// every page is scanned before unsetting, so removals never shift pages
+		return scan(null)
+			.expand(page => page.cursor === null ? Observable.empty() : scan(page.cursor))
+			.reduce((reduction, page) => reduction.concat(page.keys), [])
+			.map(keys => cacheAdmin.filter(keys, {
+					prefix,
+					pattern
+				})
+				.filter(key => {
+					if (route === undefined) {
+						return true;
+					}
+
+					// keys routed to the given manifest route, keys built with host are prefixed by namespace
+					const path = cacheKey.pathOf(key.indexOf(this.cachePrefix) === 0 ? key.slice(this.cachePrefix.length) : key, namespace);
+					const matched = path !== null && router.match(routes, this.parseUri(path));
+
+					return !!matched && matched.path === route;
+				}))
+			.mergeMap(keys => (keys.length ? this.cacheDriver.unset({
+					namespace,
+					keys
+				}) : Observable.of(0))
+				.map(() => ({
+					keys,
+					count: keys.length
+				})));
+	}
+
+	// paths are requested with GET, entries already cached are kept
+	warmCache(options) {
+		const {
+			namespace,
+			paths
+		} = options;
+
+		if (!Array.isArray(paths) || !paths.length || paths.length > cacheAdmin.MAX_WARM_PATHS || paths.some(path => typeof path !== 'string' || path.charAt(0) !== '/')) {
+			return Observable.throw(this.makeError(400, `paths should be a list of up to ${cacheAdmin.MAX_WARM_PATHS} paths.`));
+		}
+
+		return Observable.from(paths)
+			.concatMap(path => {
+				const args = this.createArgs({
+					url: path,
+					method: 'GET',
+					headers: {
+						host: namespace
+					}
+				});
+
+				const route = this.findRoute(args.uri, args.method);
+				const lambda = route && route.lambda;
+				const result = {
+					path,
+					key: null,
+					status: 'skipped'
+				};
+
+				if (!lambda) {
+					return Observable.of(Object.assign(result, {
+						status: 'not found'
+					}));
 				}
+
+				args.pathParams = route.pathParams;
+
+				return this.transformRequest(lambda, args)
+					.mergeMap(args => {
+						const key = this.cacheEnabled(lambda, args) && !lambda.async ? this.cacheKey(lambda, args) : null;
+
+						// not cacheable
+						if (!key) {
+							return Observable.of(result);
+						}
+
+						result.key = key;
+
+						return this.callLambda(lambda, args)
+							.map(() => Object.assign(result, {
+								status: 'warmed'
+							}));
+					})
+					.catch(err => Observable.of(Object.assign(result, {
+						status: 'failed',
+						error: err.message
+					})));
+			})
+			.toArray();
+	}
+
+	// emits the actor, "key" for admin key, or jwt allowed fields and role
+	cacheAdminAuth(args) {
+		const {
+			key,
+			auth
+		} = this.cacheAdmin;
+
+		const gotKey = (args.headers || {})['x-cache-admin-key'];
+
+		if (key && gotKey) {
+			return JobStore.sameToken(gotKey, key) ? Observable.of('key') : Observable.throw(this.makeError(403, 'Forbidden'));
+		}
+
+		if (auth) {
+			return this.handleAuth({
+					auth
+				}, args)
+				.map(args => args.params.auth);
+		}
+
+		return Observable.throw(this.makeError(401, 'Unauthorized'));
+	}
+
+	// own host just, unless cacheAdmin.namespaces says otherwise
+	allowedNamespace(namespace, actor, args) {
+		const {
+			namespaces
+		} = this.cacheAdmin;
+
+		if (typeof namespaces === 'function') {
+			return !!namespaces(namespace, actor, args);
+		}
+
+		if (Array.isArray(namespaces)) {
+			return namespaces.some(allowed => allowed instanceof RegExp ? allowed.test(namespace) : allowed === namespace);
+		}
+
+		return namespace === args.host;
+	}
+
+	cacheEnabled(lambda, args) {
+		return !!(this.cacheDriver && lambda.cache && (typeof lambda.cache.enabled === 'function' ? lambda.cache.enabled(args) : lambda.cache.enabled));
+	}
+
+	// per route ttl and ttr in seconds, and timeout in ms, static or functions of args
+	cacheOptions(lambda, args) {
+		return CACHE_OPTIONS.reduce((reduction, key) => {
+			const value = typeof lambda.cache[key] === 'function' ? lambda.cache[key](args) : lambda.cache[key];
+
+			if (typeof value === 'number' && value >= 0) {
+				reduction[key] = value;
+			}
+
+			return reduction;
+		}, {});
+	}
+
+	responseCacheOptions(response) {
+		const cache = response && typeof response === 'object' ? response.cache : null;
+
+		return ['ttl', 'ttr'].reduce((reduction, key) => {
+			if (cache && typeof cache[key] === 'number' && cache[key] >= 0) {
+				reduction[key] = cache[key];
 			}
-		} else if(this.lambdas['/'] || this.lambdas['/*']) {
-			lambda = this.lambdas['/'] || this.lambdas['/*'];
+
+			return reduction;
+		}, {});
+	}
+
+	// cached entries are stored with cachedAt, so age and last-modified survive cache hits
+	stampResponse(response = null) {
+		const complete = !!response && typeof response === 'object' && response.body !== undefined && !!response.headers;
+
+		return Object.assign(complete ? {} : {
+			body: response === null ? '' : response,
+			headers: {}
+		}, complete ? response : {}, {
+			cachedAt: Date.now()
+		});
+	}
+
+	// GET and HEAD 200 responses get an etag, and become 304 when client copy is fresh
+	conditionalResponse(args, response) {
+		const {
+			body,
+			headers = {},
+			statusCode = 200
+		} = response;
+
+		if (!httpCache.METHODS.includes(args.method) || statusCode !== 200 || body === undefined || body === null) {
+			return response;
+		}
+
+		const responseHeaders = httpCache.header(headers, 'etag') ? headers : Object.assign({
+			etag: httpCache.etag(body, response.base64)
+		}, headers);
+
+		if (httpCache.notModified(args.headers, responseHeaders)) {
+			return {
+				body: '',
+				headers: responseHeaders,
+				base64: false,
+				statusCode: 304
+			};
+		}
+
+		return Object.assign({}, response, {
+			headers: responseHeaders
+		});
+	}
+
+	// key is a string, a function of args, or a declarative object built by cacheKey,
+	// authenticated routes have no key unless it varies on auth claims, otherwise users would share entries
+	cacheKey(lambda, args) {
+		const option = lambda.cache && lambda.cache.key;
+		let key = option;
+
+		if (lambda.auth && !cacheKey.variesOnAuth(option)) {
+			return null;
+		}
+
+		if (typeof option === 'function') {
+			key = option(args);
+		} else if (option && typeof option === 'object') {
+			key = cacheKey.build(option, args);
+		}
+
+		return typeof key === 'string' ? `${this.cachePrefix}${key}` : null;
+	}
+
+	getBreaker(lambda) {
+		const options = lambda.breaker || this.breaker;
+
+		if (!options) {
+			return null;
+		}
+
+		const key = `${lambda.name}:${lambda.version || DEFAULT_VERSION}`;
+
+		if (!this.breakers.has(key)) {
+			this.breakers.set(key, new CircuitBreaker(options));
+		}
+
+		return this.breakers.get(key);
+	}
+
+	breakerFallback(lambda, args) {
+		const {
+			fallback
+		} = lambda.breaker || this.breaker;
+
+		const err = this.makeError(503, 'Service Unavailable');
+
+		// serve whatever is cached, even stale
+		if (fallback === 'cache' && this.cacheDriver) {
+			const key = this.cacheKey(lambda, args);
+
+			if (key) {
+				return this.cacheDriver.get({
+					namespace: args.host,
+					key
+				}, () => Observable.throw(err));
+			}
+		}
+
+		if (fallback && typeof fallback === 'object') {
+			return Observable.of(fallback);
+		}
+
+		return Observable.throw(err);
+	}
+
+	// mounted when explicitly enabled, or by default when circuit breakers are configured
+	healthMounted() {
+		if (typeof this.healthEnabled === 'boolean') {
+			return this.healthEnabled;
+		}
+
+		return !!this.breaker || this.routeBreakers;
+	}
+
+	health() {
+		const breakers = {};
+
+		this.breakers.forEach((breaker, key) => {
+			breakers[key] = breaker.toJSON();
+		});
+
+		const degraded = Object.keys(breakers)
+			.some(key => breakers[key].state !== CircuitBreaker.CLOSED);
+
+		return {
+			status: degraded ? 'degraded' : 'ok',
+			breakers
+		};
+	}
+
+	findRoute(url, method = null, routes = this.routes) {
+		return this.routeFor(router.match(routes, url), method);
+	}
+
+	// route of a method out of a match, so a single match serves every method
+	routeFor(route, method = null) {
+		if (route && method && router.isMethodMap(route.lambda)) {
+			return Object.assign({}, route, {
+				lambda: route.lambda[method] || null,
+				allowedMethods: router.allowedMethods(route.lambda)
+			});
 		}
 
-		return lambda;
+		return route;
+	}
+
+	// manifest routes have precedence over gateway endpoints, but catch-all ones
+	shadowsEndpoints(route) {
+		return !!route && !router.isCatchAll(route.path);
+	}
+
+	findFunction(url, method = null) {
+		const route = this.findRoute(url, method);
+
+		return route ? route.lambda : null;
 	}
 
 	handle(req, res) {
-		// responds options
-		if (req.method === 'OPTIONS' || req.url === '/favicon.ico') {
+		// in flight requests keep the routes they started with, from parsing to dispatch
+		const routes = this.routes;
+		// route is matched once, from cors headers to dispatch
+		const uri = this.parseUri(parse(req.url).pathname);
+		const matched = router.match(routes, uri);
+		const route = this.routeFor(matched, req.method);
+
+		// routes declaring OPTIONS lambda get non preflight OPTIONS requests
+		if (req.method === 'OPTIONS' && (cors.isPreflight(req.headers) || !(route && route.allowedMethods && route.lambda))) {
+			return this.preflight(req, res, this.routeFor(matched, req.headers['access-control-request-method'] || req.method));
+		}
+
+		if (req.url === '/favicon.ico') {
 			return this.write(res);
 		}
 
+		this.setCorsHeaders(req, res, route);
+
 		this.parseRequest(req, (err, args) => {
 			if (err) {
 				return this.responds(res, err);
 			}
 
-			const {
-				body,
-				host,
-				method,
-				url,
-				uri
-			} = args;
+			// remove uploaded temp files once responded or disconnected, whatever path responds
+			const cleanup = () => bodyParser.cleanup(args.body, {
+				tmpDir: this.uploadsDir
+			});
+
+			res.on('finish', cleanup);
+			res.on('close', cleanup);
+
+			middleware.run(this.middlewares, 'onRequest', args)
+				.subscribe(
+					// onRequest might rewrite uri or method, routing follows it
+					args => this.dispatch(res, args, routes, args.uri === uri && args.method === req.method ? route : undefined),
+					err => this.respondsWith(res, middleware.recover(this.middlewares, Observable.throw(err), args, null))
+				);
+		}, route);
+	}
 
-			const lambda = this.findFunction(uri);
-			const cacheRequest = method === 'POST' && url.pathname === '/cache';
+	// resolved is the route handle matched, found when not given
+	dispatch(res, args, routes = this.routes, resolved) {
+		const {
+			method,
+			url,
+			uri
+		} = args;
 
-			if (lambda || cacheRequest) {
-				let operation = this.handleAuth(lambda, args);
+		const matched = resolved === undefined ? this.findRoute(uri, method, routes) : resolved;
+		const shadowed = this.shadowsEndpoints(matched);
 
+		if (!shadowed && method === 'GET' && url.pathname === this.healthPath && this.healthMounted()) {
+			return this.responds(res, null, this.health());
+		}
+
+		// jobs endpoint is mounted just when async routes exist
+		if (!shadowed && this.jobs && this.routeJobs && url.pathname.indexOf(`${this.jobsPath}/`) === 0) {
+			return this.handleJob(args)
+				.subscribe(
+					job => this.responds(res, null, job),
+					err => this.responds(res, err, null, err.statusCode === 405 ? {
+						allow: 'GET, POST'
+					} : {})
+				);
+		}
+
+		// cache admin endpoint is mounted just when it has its own auth
+		const cacheRequest = method === 'POST' && url.pathname === this.cacheAdmin.path && !!(this.cacheAdmin.key || this.cacheAdmin.auth);
+		const route = cacheRequest ? null : matched;
+		const lambda = route && route.lambda;
+
+		if (route) {
+			args.pathParams = route.pathParams;
+		}
+
+		if (lambda || cacheRequest) {
+			const middlewares = this.routeMiddlewares(lambda);
+
+			let operation = middleware.run(middlewares, 'preAuth', args, lambda);
+
+			if (cacheRequest) {
 				// cache operation
-				if (cacheRequest) {
+				operation = operation.mergeMap(args => this.handleCache(args));
+			} else {
+				// do lambda
+				operation = operation.mergeMap(args => this.validateRequest(lambda, args))
+					.mergeMap(args => this.handleAuth(lambda, args))
+					.mergeMap(args => middleware.run(middlewares, 'preInvoke', args, lambda))
+					.mergeMap(args => this.transformRequest(lambda, args))
+					.mergeMap(args => this.callLambda(lambda, args)
+						.mergeMap(response => this.transformResponse(lambda, response, args)));
+			}
+
+			operation = operation.mergeMap(response => middleware.run(middlewares, 'onResponse', response, args, lambda));
+
+			if (lambda) {
+				operation = operation.map(response => this.conditionalResponse(args, response));
+			}
+
+			const subscription = this.respondsWith(res, middleware.recover(middlewares, operation, args, lambda));
+
+			// client disconnected, abort whatever is in flight
+			return res.on('close', () => subscription.unsubscribe());
+		}
+
+		// route exists, but not for this method
+		if (route && route.allowedMethods) {
+			return this.responds(res, this.makeError(405, 'Method Not Allowed'), null, {
+				allow: route.allowedMethods.join(', ')
+			});
+		}
+
+		this.responds(res, this.makeError(404, 'Not Found'));
+	}
+
+	corsOptions(lambda) {
+		return cors.options(this.cors, lambda && lambda.cors);
+	}
+
+	// set before anything else, so errors carry them as well, lambdas response headers have precedence
+	setCorsHeaders(req, res, route = this.findRoute(this.parseUri(parse(req.url).pathname), req.method)) {
+		const headers = cors.headers(this.corsOptions(route && route.lambda), req.headers);
+
+		Object.keys(headers)
+			.forEach(key => res.setHeader(key, headers[key]));
+	}
+
+	// responds options with allowed methods of the route, and preflight headers when origin is allowed
+	preflight(req, res, route = this.findRoute(this.parseUri(parse(req.url).pathname), req.headers['access-control-request-method'] || req.method)) {
+		if (!route) {
+			return this.responds(res, this.makeError(404, 'Not Found'));
+		}
+
+		// method maps without the requested method fall back to global options
+		const allowedMethods = route.allowedMethods || cors.METHODS;
+
+		const allow = allowedMethods.includes('OPTIONS') ? allowedMethods : allowedMethods.concat('OPTIONS');
+
+		this.setHeaders(res, Object.assign({
+			allow: allow.join(', ')
+		}, cors.preflight(this.corsOptions(route.lambda), req.headers, allowedMethods)));
+
+		this.write(res, '', 204);
+	}
+
+	respondsWith(res, operation) {
+		return operation
+			.subscribe(
+				response => {
 					const {
-						operation: cacheOperation = 'markToRefresh'
-					} = body;
-
-					if (this.cacheDriver && (cacheOperation === 'markToRefresh' || cacheOperation === 'unset')) {
-						operation = this.cacheDriver[cacheOperation](Object.assign({
-								namespace: host
-							}, body))
-							.map(response => ({
-								[cacheOperation]: response
-							}));
-					}
-				} else if (lambda) {
-					// do lambda
-					operation = operation.mergeMap(args => this.callLambda(lambda, args));
+						body = null,
+							headers = {},
+							base64 = false,
+							statusCode = 200
+					} = response;
+
+					const err = statusCode >= 400 ? this.makeError(statusCode, body || response) : null;
+
+					this.responds(res, err, body === null ? response : body, headers, base64, statusCode);
+				},
+				err => {
+					this.responds(res, err);
 				}
+			);
+	}
 
-				return operation
-					.subscribe(
-						response => {
-							const {
-								body = null,
-									headers = {},
-									base64 = false,
-									statusCode = 200
-							} = response;
-
-							const err = statusCode >= 400 ? this.makeError(statusCode, body || response) : null;
-
-							this.responds(res, err, body || response, headers, base64);
-						},
-						err => {
-							this.responds(res, err);
-						}
-					);
-			}
+	use(phase, fn) {
+		this.middlewares.push(middleware.normalize(phase, fn));
 
-			this.responds(res, this.makeError(404, 'Not Found'));
-		});
+		return this;
+	}
+
+	// global middlewares run before route ones
+	routeMiddlewares(lambda) {
+		return lambda && lambda.middlewares ? this.middlewares.concat(lambda.middlewares) : this.middlewares;
+	}
+
+	validateRequest(lambda, args) {
+		const schema = lambda && lambda.schema;
+
+		if (!schema) {
+			return Observable.of(args);
+		}
+
+		const errors = validator.validateRequest(schema, args);
+
+		if (errors.length) {
+			const err = this.makeError(400, errors.join(', '));
+
+			err.context = {
+				errors
+			};
+
+			return Observable.throw(err);
+		}
+
+		return Observable.of(args);
+	}
+
+	transformRequest(lambda, args) {
+		return lambda.requestTransform ? transform.request(lambda.requestTransform, args) : Observable.of(args);
+	}
+
+	transformResponse(lambda, response, args) {
+		return lambda.responseTransform ? transform.response(lambda.responseTransform, response, args) : Observable.of(response);
 	}
 
 	handleAuth(lambda, args = {}) {
@@ -0,0 +1,204 @@
+const {
+	Observable
+} = require('rxjs');
+
+const parse = value => {
+	try {
+		return value ? JSON.parse(value) : null;
+	} catch (err) {
+		return null;
+	}
+};
+
+const seconds = (value, defaultValue) => {
+	value = parseInt(value, 10);
+
+	return isNaN(value) ? defaultValue : value;
+};
+
+const toInteger = (value, defaultValue) => {
+	value = parseInt(value, 10);
+
+	return isNaN(value) || value < 1 ? defaultValue : value;
+};
+
+// Redis MATCH globs treat [, ] and \ as special chars as well
+const escapeMatch = value => value.replace(/[[\]\\]/g, '\\$&');
+
+const live = (entry, now) => !!entry && (now - entry.createdAt) / 1000 < entry.ttl;
+
+/*
+	wraps the Redis cache driver, which can't list its keys, indexing each stored entry per namespace into:
+		{prefix}{namespace}:entries, hash of keys and their timings {createdAt, ttl, ttr, refresh}, scanned by list
+		{prefix}{namespace}:values, hash of keys and a copy of their values, read by inspect
+		{prefix}{namespace}:expires, sorted set of keys by expiration time, expired ones are pruned on each write
+	just entries stored since the index exists are listed.
+	prefix: index Redis key prefix
+	ttl, ttr: driver defaults, in seconds
+ */
+module.exports = class IndexedCacheDriver {
+	constructor(options = {}) {
+		const {
+			driver,
+			redis,
+			prefix = 'cacheIndex:',
+			ttl = 60 * 60 * 24 * 30,
+			ttr = 7200
+		} = options;
+
+		this.driver = driver;
+		this.redis = redis;
+		this.prefix = prefix;
+		this.ttl = seconds(ttl, 60 * 60 * 24 * 30);
+		this.ttr = seconds(ttr, 7200);
+	}
+
+	indexKey(namespace, type) {
+		return `${this.prefix}${namespace}:${type}`;
+	}
+
+	// index failures never fail the cache itself
+	index(namespace, key, value, entry) {
+		return Observable.forkJoin(
+				this.redis.hashSet(this.indexKey(namespace, 'entries'), key, JSON.stringify(entry)),
+				this.redis.hashSet(this.indexKey(namespace, 'values'), key, JSON.stringify(value)),
+				this.redis.sendCommand('zadd', this.indexKey(namespace, 'expires'), entry.createdAt + entry.ttl * 1000, key)
+			)
+			.mergeMap(() => this.prune(namespace))
+			.catch(() => Observable.of(null));
+	}
+
+	// drop expired keys, so index never outgrows the cache
+	prune(namespace) {
+		return this.redis.sendCommand('zrangebyscore', this.indexKey(namespace, 'expires'), '-inf', Date.now())
+			.toArray()
+			.mergeMap(keys => keys.length ? this.drop(namespace, keys) : Observable.of(null));
+	}
+
+	drop(namespace, keys) {
+		return Observable.forkJoin(
+			this.redis.hashDel(this.indexKey(namespace, 'entries'), keys),
+			this.redis.hashDel(this.indexKey(namespace, 'values'), keys),
+			this.redis.sendCommand('zrem', this.indexKey(namespace, 'expires'), ...keys)
+		);
+	}
+
+	// args are read once fallback responds, so it can change ttl and ttr
+	get(args, fallback) {
+		const {
+			namespace,
+			key
+		} = args;
+
+		return this.driver.get(args, () => fallback(args)
+			.mergeMap(value => this.index(namespace, key, value, {
+					createdAt: Date.now(),
+					ttl: seconds(args.ttl, this.ttl),
+					ttr: seconds(args.ttr, this.ttr),
+					refresh: false
+				})
+				.mapTo(value)));
+	}
+
+	markToRefresh(args) {
+		const {
+			namespace,
+			keys = []
+		} = args;
+
+		return this.driver.markToRefresh(args)
+			.mergeMap(response => Observable.from([].concat(keys))
+				.mergeMap(key => this.entry(namespace, key)
+					.mergeMap(entry => entry ? this.redis.hashSet(this.indexKey(namespace, 'entries'), key, JSON.stringify(Object.assign(entry, {
+						refresh: true
+					}))) : Observable.of(null)))
+				.toArray()
+				.mapTo(response));
+	}
+
+	unset(args) {
+		const {
+			namespace,
+			keys = []
+		} = args;
+
+		return this.driver.unset(args)
+			.mergeMap(response => ([].concat(keys).length ? this.drop(namespace, [].concat(keys)) : Observable.of(null))
+				.mapTo(response));
+	}
+
+	entry(namespace, key) {
+		return this.redis.hashGet(this.indexKey(namespace, 'entries'), key)
+			.toArray()
+			.map(values => parse(values[0]));
+	}
+
+	/*
+		live keys page of a namespace, {keys, cursor}, cursor is null on the last page,
+		pages are Redis HSCAN ones, so they might hold fewer keys than limit, even none.
+		prefix or glob pattern are matched by Redis.
+	 */
+	scan(args = {}) {
+		const {
+			namespace,
+			prefix,
+			pattern
+		} = args;
+
+		const cursor = typeof args.cursor === 'string' || typeof args.cursor === 'number' ? String(args.cursor) : '0';
+		const match = typeof pattern === 'string' ? escapeMatch(pattern) : (typeof prefix === 'string' ? `${escapeMatch(prefix).replace(/[*?]/g, '\\$&')}*` : '*');
+		const now = Date.now();
+
+		return this.redis.sendCommand('hscan', this.indexKey(namespace, 'entries'), cursor, 'MATCH', match, 'COUNT', toInteger(args.limit, 100))
+			.toArray()
+			.map(([next, fields = []]) => {
+				const keys = [];
+
+				for (let i = 0; i < fields.length; i += 2) {
+					if (live(parse(fields[i + 1]), now)) {
+						keys.push(fields[i]);
+					}
+				}
+
+				return {
+					keys,
+					cursor: !next || next === '0' ? null : next
+				};
+			});
+	}
+
+	// entry value and timings in seconds, null when missing or expired, read from index, cache isn't touched
+	inspect(args = {}) {
+		const {
+			namespace,
+			key
+		} = args;
+
+		const now = Date.now();
+
+		return Observable.forkJoin(
+				this.entry(namespace, key),
+				this.redis.hashGet(this.indexKey(namespace, 'values'), key)
+				.toArray()
+			)
+			.map(([entry, values]) => {
+				const age = entry ? (now - entry.createdAt) / 1000 : 0;
+
+				if (!live(entry, now) || !values.length) {
+					return null;
+				}
+
+				return {
+					key,
+					value: parse(values[0]),
+					createdAt: entry.createdAt,
+					age,
+					ttl: entry.ttl,
+					ttr: entry.ttr,
+					expiresIn: entry.ttl - age,
+					refreshIn: entry.refresh ? 0 : Math.max(entry.ttr - age, 0),
+					refresh: entry.refresh
+				};
+			});
+	}
+};
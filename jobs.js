@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const {
+	Observable
+} = require('rxjs');
+
+const PENDING = 'pending';
+const UPDATE_STATUSES = ['running', 'succeeded', 'failed'];
+
+const makeError = (statusCode, message) => Object.assign(new Error(message), {
+	statusCode
+});
+
+const randomId = () => crypto.randomBytes(16)
+	.toString('hex');
+
+const sameToken = (a = '', b = '') => {
+	a = Buffer.from(String(a));
+	b = Buffer.from(String(b));
+
+	return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/*
+	async invocations status, stored into Redis when a client is provided, otherwise in memory.
+	prefix: Redis key prefix
+	ttl: time in seconds to keep jobs
+ */
+module.exports = class JobStore {
+	constructor(options = {}) {
+		const {
+			redis = null,
+			prefix = 'job:',
+			ttl = 60 * 60 * 24 // 1 day
+		} = options;
+
+		this.redis = redis;
+		this.prefix = prefix;
+		this.ttl = ttl;
+		this.memory = new Map();
+	}
+
+	save(job) {
+		if (this.redis) {
+			return this.redis.set(`${this.prefix}${job.id}`, JSON.stringify(job), this.ttl)
+				.mapTo(job);
+		}
+
+		this.memory.set(job.id, {
+			job,
+			expiresAt: Date.now() + this.ttl * 1000
+		});
+
+		return Observable.of(job);
+	}
+
+	get(id) {
+		if (this.redis) {
+			return this.redis.get(`${this.prefix}${id}`)
+				.defaultIfEmpty(null)
+				.map(value => value ? JSON.parse(value) : null);
+		}
+
+		const entry = this.memory.get(id);
+
+		if (entry && entry.expiresAt <= Date.now()) {
+			this.memory.delete(id);
+
+			return Observable.of(null);
+		}
+
+		return Observable.of(entry ? entry.job : null);
+	}
+
+	create(lambda) {
+		const now = Date.now();
+
+		return this.save({
+			id: randomId(),
+			name: lambda.name,
+			status: PENDING,
+			token: randomId(),
+			createdAt: now,
+			updatedAt: now
+		});
+	}
+
+	// lambdas post their progress or completion with the token they got along the payload
+	update(id, token, data = {}) {
+		const {
+			status,
+			result = null,
+			error = null
+		} = data;
+
+		if (!UPDATE_STATUSES.includes(status)) {
+			return Observable.throw(makeError(400, `status should be one of ${UPDATE_STATUSES.join(', ')}.`));
+		}
+
+		return this.get(id)
+			.mergeMap(job => {
+				if (!job) {
+					return Observable.throw(makeError(404, 'Not Found'));
+				}
+
+				if (!sameToken(job.token, token)) {
+					return Observable.throw(makeError(403, 'Forbidden'));
+				}
+
+				return this.save(Object.assign(job, {
+					status,
+					result,
+					error,
+					updatedAt: Date.now()
+				}));
+			});
+	}
+
+	// job as seen by clients, without the token
+	toPublic(job) {
+		return Object.keys(job)
+			.reduce((reduction, key) => {
+				if (key !== 'token') {
+					reduction[key] = job[key];
+				}
+
+				return reduction;
+			}, {});
+	}
+};
+
+module.exports.PENDING = PENDING;
+module.exports.randomId = randomId;
+module.exports.sameToken = sameToken;
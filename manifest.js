@@ -0,0 +1,448 @@
+const fs = require('fs');
+const path = require('path');
+
+const middleware = require('./middleware');
+const router = require('./router');
+const validator = require('./validator');
+
+const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+const transformKeys = {
+	copy: {
+		type: 'object'
+	},
+	move: {
+		type: 'object'
+	},
+	set: {
+		type: 'object'
+	},
+	remove: {
+		type: 'array'
+	}
+};
+
+const types = {
+	array: value => Array.isArray(value),
+	boolean: value => typeof value === 'boolean',
+	function: value => typeof value === 'function',
+	number: value => typeof value === 'number' && !isNaN(value),
+	object: isObject,
+	string: value => typeof value === 'string'
+};
+
+// manifest entry schema, nested "keys" are validated too, objects without "keys" accept anything
+const schema = {
+	name: {
+		type: 'string',
+		required: true
+	},
+	version: {
+		type: 'string'
+	},
+	backend: {
+		type: 'string'
+	},
+	handler: {
+		type: ['string', 'function']
+	},
+	url: {
+		type: 'string'
+	},
+	timeout: {
+		type: 'number'
+	},
+	breaker: {
+		type: 'object',
+		keys: {
+			threshold: {
+				type: 'number'
+			},
+			resetTimeout: {
+				type: 'number'
+			},
+			halfOpenRequests: {
+				type: 'number'
+			},
+			fallback: {
+				type: ['string', 'object']
+			}
+		}
+	},
+	retry: {
+		type: 'object',
+		keys: {
+			attempts: {
+				type: 'number'
+			},
+			delay: {
+				type: 'number'
+			},
+			maxDelay: {
+				type: 'number'
+			},
+			errors: {
+				type: 'array'
+			},
+			methods: {
+				type: 'array'
+			}
+		}
+	},
+	paramsOnly: {
+		type: 'boolean'
+	},
+	coerceParams: {
+		type: 'boolean'
+	},
+	requestTransform: {
+		type: ['function', 'object'],
+		keys: transformKeys
+	},
+	responseTransform: {
+		type: ['function', 'object'],
+		keys: transformKeys
+	},
+	schema: {
+		type: 'object',
+		keys: {
+			params: {
+				type: 'object'
+			},
+			pathParams: {
+				type: 'object'
+			},
+			headers: {
+				type: 'object'
+			},
+			body: {
+				type: 'object'
+			},
+			coerce: {
+				type: 'boolean'
+			},
+			response: {
+				type: 'object'
+			},
+			responseMode: {
+				type: 'string'
+			}
+		}
+	},
+	async: {
+		type: 'boolean'
+	},
+	middlewares: {
+		type: ['object', 'array']
+	},
+	cors: {
+		type: ['object', 'boolean'],
+		keys: {
+			origin: {
+				type: ['string', 'array', 'object', 'function']
+			},
+			methods: {
+				type: 'array'
+			},
+			headers: {
+				type: 'array'
+			},
+			credentials: {
+				type: 'boolean'
+			},
+			maxAge: {
+				type: 'number'
+			},
+			exposedHeaders: {
+				type: 'array'
+			}
+		}
+	},
+	body: {
+		type: 'object',
+		keys: {
+			limit: {
+				type: 'number'
+			},
+			files: {
+				type: 'string'
+			}
+		}
+	},
+	cache: {
+		type: 'object',
+		keys: {
+			enabled: {
+				type: ['boolean', 'function']
+			},
+			key: {
+				type: ['string', 'function', 'object'],
+				keys: {
+					host: {
+						type: 'boolean'
+					},
+					pathname: {
+						type: 'boolean'
+					},
+					params: {
+						type: ['boolean', 'array']
+					},
+					vary: {
+						type: 'array'
+					},
+					auth: {
+						type: 'array'
+					}
+				}
+			},
+			ttl: {
+				type: ['number', 'function']
+			},
+			ttr: {
+				type: ['number', 'function']
+			},
+			timeout: {
+				type: ['number', 'function']
+			}
+		}
+	},
+	auth: {
+		type: 'object',
+		keys: {
+			allowedFields: {
+				type: 'array'
+			},
+			options: {
+				type: 'object'
+			},
+			requiredRoles: {
+				type: 'array'
+			},
+			secret: {
+				type: ['string', 'function'],
+				required: true
+			},
+			token: {
+				type: 'function'
+			}
+		}
+	},
+	defaults: {
+		type: 'object',
+		keys: {
+			requestParams: {
+				type: 'object'
+			},
+			responseBase64: {
+				type: 'boolean'
+			},
+			responseHeaders: {
+				type: 'object'
+			}
+		}
+	}
+};
+
+const article = type => /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+
+const validateKeys = (route, prefix, value, keys, errors) => {
+	Object.keys(value)
+		.forEach(key => {
+			if (!keys[key]) {
+				errors.push(`${route}: ${prefix}${key} is an unknown key.`);
+			}
+		});
+
+	Object.keys(keys)
+		.forEach(key => {
+			const field = `${prefix}${key}`;
+			const rule = keys[key];
+			const ruleTypes = [].concat(rule.type);
+
+			if (value[key] === undefined || value[key] === '') {
+				if (rule.required) {
+					errors.push(`${route}: ${field} is required.`);
+				}
+
+				return;
+			}
+
+			if (!ruleTypes.some(type => types[type](value[key]))) {
+				return errors.push(`${route}: ${field} should be ${ruleTypes.map(article).join(' or ')}.`);
+			}
+
+			if (rule.keys && isObject(value[key])) {
+				validateKeys(route, `${field}.`, value[key], rule.keys, errors);
+			}
+		});
+};
+
+const validateLambda = (route, lambda, errors, options) => {
+	if (!isObject(lambda)) {
+		return errors.push(`${route}: should be an object.`);
+	}
+
+	validateKeys(route, '', lambda, schema, errors);
+
+	const {
+		backends = ['lambda', 'local', 'http'],
+		dev = false
+	} = options;
+
+	const {
+		backend = 'lambda',
+		breaker
+	} = lambda;
+
+	if (isObject(breaker) && typeof breaker.fallback === 'string' && breaker.fallback !== 'cache') {
+		errors.push(`${route}: breaker.fallback should be "cache" or a response object.`);
+	}
+
+	if (isObject(lambda.body) && typeof lambda.body.files === 'string' && !['base64', 'tmp'].includes(lambda.body.files)) {
+		errors.push(`${route}: body.files should be "base64" or "tmp".`);
+	}
+
+	if (isObject(lambda.schema)) {
+		validator.LOCATIONS.concat('response')
+			.forEach(location => {
+				const schemaErrors = isObject(lambda.schema[location]) ? validator.checkSchema(lambda.schema[location]) : [];
+
+				if (schemaErrors.length) {
+					errors.push(`${route}: schema.${location} is an invalid JSON schema, ${schemaErrors.join(', ')}.`);
+				}
+			});
+
+		const {
+			responseMode
+		} = lambda.schema;
+
+		if (typeof responseMode === 'string' && !validator.RESPONSE_MODES.includes(responseMode)) {
+			errors.push(`${route}: schema.responseMode should be one of ${validator.RESPONSE_MODES.join(', ')}.`);
+		} else if (responseMode === 'log' && !dev) {
+			errors.push(`${route}: schema.responseMode log is allowed on development mode only.`);
+		}
+	}
+
+	if (isObject(lambda.auth) && isObject(lambda.cache) && lambda.cache.enabled !== false) {
+		const {
+			allowedFields = []
+		} = lambda.auth;
+
+		const {
+			key
+		} = lambda.cache;
+
+		if (!isObject(key) || !Array.isArray(key.auth) || !key.auth.length) {
+			errors.push(`${route}: cache.key should vary on auth claims when auth is set, like {auth: ['sub']}.`);
+		} else {
+			key.auth
+				.filter(claim => claim !== 'role' && !allowedFields.includes(claim))
+				.forEach(claim => errors.push(`${route}: cache.key.auth ${claim} should be role or one of auth.allowedFields.`));
+		}
+	}
+
+	if (lambda.cors === true) {
+		errors.push(`${route}: cors should be an object or false.`);
+	} else if (isObject(lambda.cors) && isObject(lambda.cors.origin) && !(lambda.cors.origin instanceof RegExp)) {
+		errors.push(`${route}: cors.origin should be a string, a list, a RegExp or a function.`);
+	}
+
+	if (lambda.middlewares) {
+		[].concat(lambda.middlewares)
+			.forEach((entry, index) => {
+				const prefix = Array.isArray(lambda.middlewares) ? `middlewares[${index}]` : 'middlewares';
+
+				if (!isObject(entry)) {
+					return errors.push(`${route}: ${prefix} should be an object.`);
+				}
+
+				Object.keys(entry)
+					.forEach(phase => {
+						if (!middleware.ROUTE_PHASES.includes(phase)) {
+							errors.push(`${route}: ${prefix}.${phase} should be one of ${middleware.ROUTE_PHASES.join(', ')}.`);
+						} else if (typeof entry[phase] !== 'function') {
+							errors.push(`${route}: ${prefix}.${phase} should be a function.`);
+						}
+					});
+			});
+	}
+
+	if (typeof backend === 'string') {
+		if (!backends.includes(backend)) {
+			errors.push(`${route}: backend ${backend} is unknown.`);
+		} else if (backend === 'local' && !lambda.handler) {
+			errors.push(`${route}: handler is required for local backend.`);
+		} else if (backend === 'http' && !lambda.url) {
+			errors.push(`${route}: url is required for http backend.`);
+		} else if (backend === 'http' && lambda.async) {
+			errors.push(`${route}: async isn't supported by http backend.`);
+		}
+	}
+};
+
+// routes which compile to the same trie node can't be told apart
+const signature = route => route.split('/')
+	.filter(token => token)
+	.map(token => token === '*' ? '*' : (token.charAt(0) === ':' && token.length > 1 ? ':' : token))
+	.join('/');
+
+// returns a list of errors, empty when lambdas are valid
+const validate = (lambdas, options = {}) => {
+	const errors = [];
+	const signatures = Object.create(null);
+
+	if (!isObject(lambdas)) {
+		return ['lambdas should be an object.'];
+	}
+
+	Object.keys(lambdas)
+		.forEach(route => {
+			const lambda = lambdas[route];
+
+			if (route.charAt(0) !== '/') {
+				return errors.push(`${route}: should start with "/".`);
+			}
+
+			const routeSignature = signature(route);
+
+			if (signatures[routeSignature]) {
+				errors.push(`${route}: conflicts with ${signatures[routeSignature]}.`);
+			} else {
+				signatures[routeSignature] = route;
+			}
+
+			if (router.isMethodMap(lambda)) {
+				return Object.keys(lambda)
+					.forEach(method => {
+						if (!router.METHODS.includes(method)) {
+							return errors.push(`${route}: ${method} is an unknown method.`);
+						}
+
+						validateLambda(`${route} (${method})`, lambda[method], errors, options);
+					});
+			}
+
+			validateLambda(route, lambda, errors, options);
+		});
+
+	return errors;
+};
+
+// load manifest from a JSON file or a JS module, always fresh
+const load = file => {
+	const filename = path.resolve(file);
+
+	if (path.extname(filename) === '.json') {
+		return JSON.parse(fs.readFileSync(filename, 'utf8'));
+	}
+
+	delete require.cache[require.resolve(filename)];
+
+	return require(filename);
+};
+
+module.exports = {
+	load,
+	schema,
+	validate
+};
@@ -0,0 +1,157 @@
+const {
+	Observable
+} = require('rxjs');
+
+const cacheAdmin = require('./cacheAdmin');
+
+/*
+	in-memory replacement of smallorange-cache-driver, same interface, for development usage.
+	ttl: time in seconds to live
+	ttr: time in seconds to refresh, stale entries are returned and refreshed in background
+ */
+module.exports = class MemoryCacheDriver {
+	constructor(options = {}) {
+		const {
+			logError = () => null,
+			ttl = 60 * 60 * 24 * 30,
+			ttr = 7200
+		} = options;
+
+		this.logError = logError;
+		this.ttl = ttl;
+		this.ttr = ttr;
+		this.namespaces = new Map();
+	}
+
+	namespace(namespace) {
+		if (!this.namespaces.has(namespace)) {
+			this.namespaces.set(namespace, new Map());
+		}
+
+		return this.namespaces.get(namespace);
+	}
+
+	// options.ttl and options.ttr override driver ones for this entry
+	set(namespace, key, value, options = {}) {
+		this.namespace(namespace)
+			.set(key, {
+				value,
+				createdAt: Date.now(),
+				ttl: typeof options.ttl === 'number' ? options.ttl : this.ttl,
+				ttr: typeof options.ttr === 'number' ? options.ttr : this.ttr,
+				refresh: false,
+				refreshing: false
+			});
+	}
+
+	get(args, fallback) {
+		const {
+			namespace,
+			key
+		} = args;
+
+		const entries = this.namespace(namespace);
+		const entry = entries.get(key);
+		const age = entry ? (Date.now() - entry.createdAt) / 1000 : 0;
+		// args are read once fallback responds, so it can change ttl and ttr
+		const doFallback = () => fallback(args)
+			.do(value => this.set(namespace, key, value, args));
+
+		if (!entry || age >= entry.ttl) {
+			entries.delete(key);
+
+			return doFallback();
+		}
+
+		// refresh in background, just once at time
+		if ((entry.refresh || age >= entry.ttr) && !entry.refreshing) {
+			entry.refreshing = true;
+
+			doFallback()
+				.subscribe(null, err => {
+					entry.refreshing = false;
+					this.logError(err);
+				});
+		}
+
+		return Observable.of(entry.value);
+	}
+
+	keys(namespace, keys) {
+		const entries = this.namespace(namespace);
+
+		return keys ? [].concat(keys)
+			.filter(key => entries.has(key)) : Array.from(entries.keys());
+	}
+
+	// live keys of a namespace
+	list(args = {}) {
+		const entries = this.namespace(args.namespace);
+		const now = Date.now();
+
+		return Observable.of(Array.from(entries.keys())
+			.filter(key => (now - entries.get(key).createdAt) / 1000 < entries.get(key).ttl));
+	}
+
+	// live keys page of a namespace, filtered by prefix or glob pattern, {keys, cursor}, cursor is null on the last page
+	scan(args = {}) {
+		return this.list(args)
+			.map(keys => cacheAdmin.page(cacheAdmin.filter(keys, args), args));
+	}
+
+	// entry value and timings in seconds, null when missing or expired
+	inspect(args = {}) {
+		const {
+			namespace,
+			key
+		} = args;
+
+		const entry = this.namespace(namespace)
+			.get(key);
+		const age = entry ? (Date.now() - entry.createdAt) / 1000 : 0;
+
+		if (!entry || age >= entry.ttl) {
+			return Observable.of(null);
+		}
+
+		return Observable.of({
+			key,
+			value: entry.value,
+			createdAt: entry.createdAt,
+			age,
+			ttl: entry.ttl,
+			ttr: entry.ttr,
+			expiresIn: entry.ttl - age,
+			refreshIn: entry.refresh ? 0 : Math.max(entry.ttr - age, 0),
+			refresh: entry.refresh
+		});
+	}
+
+	markToRefresh(args = {}) {
+		const {
+			namespace,
+			keys
+		} = args;
+
+		const entries = this.namespace(namespace);
+		const marked = this.keys(namespace, keys);
+
+		marked.forEach(key => entries.get(key).refresh = true);
+
+		return Observable.of(marked.length);
+	}
+
+	unset(args = {}) {
+		const {
+			namespace,
+			keys
+		} = args;
+
+		const entries = this.namespace(namespace);
+		const unset = this.keys(namespace, keys);
+
+		unset.forEach(key => entries.delete(key));
+
+		return Observable.of(unset.length);
+	}
+};
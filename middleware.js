@@ -0,0 +1,65 @@
+const {
+	Observable
+} = require('rxjs');
+
+const {
+	toObservable
+} = require('./observable');
+
+/*
+	onRequest(args): every request, right after parsing and before routing, global only
+	preAuth(args, lambda): before request validation and auth
+	preInvoke(args, lambda): before request transform and invocation
+	onResponse(response, args, lambda): normalized response, before responds
+	onError(err, args, lambda): returning a response recovers from err, returning nothing keeps it
+ */
+const PHASES = ['onRequest', 'preAuth', 'preInvoke', 'onResponse', 'onError'];
+const ROUTE_PHASES = PHASES.filter(phase => phase !== 'onRequest');
+
+// middlewares can return a value, a promise or an observable, just its first value is taken
+const call = (fn, ...args) => Observable.defer(() => toObservable(fn(...args)));
+
+// runs phase middlewares in sequence, each one gets the value returned by the previous, returning nothing keeps it
+const run = (middlewares, phase, value, ...args) => middlewares
+	.filter(middleware => typeof middleware[phase] === 'function')
+	.reduce((operation, middleware) => operation
+		.mergeMap(value => call(middleware[phase], value, ...args)
+			.map(result => result === undefined ? value : result)), Observable.of(value));
+
+const recover = (middlewares, operation, ...args) => middlewares
+	.filter(middleware => typeof middleware.onError === 'function')
+	.reduce((operation, middleware) => operation
+		.catch(err => call(middleware.onError, err, ...args)
+			.mergeMap(result => result === undefined ? Observable.throw(err) : Observable.of(result))), operation);
+
+// use('phase', fn) or use({phase: fn})
+const normalize = (phase, fn) => {
+	const middleware = typeof phase === 'string' ? {
+		[phase]: fn
+	} : phase;
+
+	if (!middleware || typeof middleware !== 'object') {
+		throw new Error('middleware should be an object or a phase and a function.');
+	}
+
+	Object.keys(middleware)
+		.forEach(key => {
+			if (!PHASES.includes(key)) {
+				throw new Error(`${key} is an unknown middleware phase.`);
+			}
+
+			if (typeof middleware[key] !== 'function') {
+				throw new Error(`${key} middleware should be a function.`);
+			}
+		});
+
+	return middleware;
+};
+
+module.exports = {
+	PHASES,
+	ROUTE_PHASES,
+	normalize,
+	recover,
+	run
+};
@@ -0,0 +1,17 @@
+const {
+	Observable
+} = require('rxjs');
+
+const isAsync = result => !!result && (typeof result.then === 'function' || typeof result.subscribe === 'function');
+
+// user functions can return a value, a promise or an observable, just the first value is taken,
+// undefined when none (rxjs defaultIfEmpty would emit null)
+const toObservable = result => isAsync(result) ? Observable.from(result)
+	.take(1)
+	.toArray()
+	.map(values => values[0]) : Observable.of(result);
+
+module.exports = {
+	isAsync,
+	toObservable
+};
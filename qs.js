@@ -0,0 +1,166 @@
+const MAX_DEPTH = 5;
+const MAX_INDEX = 20;
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype'];
+const NUMBER = /^-?(0|[1-9]\d*)(\.\d+)?$/;
+
+const decode = value => {
+	value = value.replace(/\+/g, ' ');
+
+	try {
+		return decodeURIComponent(value);
+	} catch (err) {
+		return value;
+	}
+};
+
+// just canonical numbers are coerced, so zip codes like 01234 and values like 12abc are kept as strings
+const coerce = value => {
+	if (value === 'true') {
+		return true;
+	} else if (value === 'false') {
+		return false;
+	} else if (value === 'null' || value === 'undefined') {
+		return null;
+	} else if (NUMBER.test(value)) {
+		return parseFloat(value);
+	}
+
+	return value;
+};
+
+// a[b][]=1 => ['a', 'b', '']
+const parseKey = key => {
+	const index = key.indexOf('[');
+
+	if (index <= 0) {
+		return [key];
+	}
+
+	const path = [key.slice(0, index)];
+	const rest = key.slice(index);
+	const segments = /\[([^\[\]]*)\]/g;
+	let consumed = 0;
+	let match;
+
+	while (path.length <= MAX_DEPTH && (match = segments.exec(rest)) && match.index === consumed) {
+		path.push(match[1]);
+		consumed = segments.lastIndex;
+	}
+
+	// malformed brackets are part of the key
+	if (!consumed) {
+		return [key];
+	}
+
+	// too deep, remaining is kept as a single key
+	if (consumed < rest.length) {
+		path.push(rest.slice(consumed));
+	}
+
+	return path;
+};
+
+const isIndex = key => /^\d+$/.test(key) && parseInt(key, 10) <= MAX_INDEX;
+
+// own properties only, so keys like toString or valueOf don't collide with inherited ones
+const own = (target, key) => Object.prototype.hasOwnProperty.call(target, key) ? target[key] : undefined;
+
+// indexes just order items, a[1]=x gives ['x'] rather than a sparse array
+const compact = value => {
+	if (Array.isArray(value)) {
+		return value.filter(() => true)
+			.map(compact);
+	}
+
+	if (value !== null && typeof value === 'object') {
+		Object.keys(value)
+			.forEach(key => value[key] = compact(value[key]));
+	}
+
+	return value;
+};
+
+const assign = (target, path, value) => {
+	const [key, ...rest] = path;
+
+	if (FORBIDDEN_KEYS.includes(key)) {
+		return target;
+	}
+
+	if (Array.isArray(target) && key === '') {
+		if (!rest.length) {
+			target.push(value);
+		} else {
+			target.push(assign(rest[0] === '' || isIndex(rest[0]) ? [] : {}, rest, value));
+		}
+
+		return target;
+	}
+
+	if (!rest.length) {
+		const current = own(target, key);
+
+		// repeated keys become arrays
+		if (current === undefined) {
+			target[key] = value;
+		} else if (Array.isArray(current)) {
+			current.push(value);
+		} else {
+			target[key] = [current, value];
+		}
+
+		return target;
+	}
+
+	let next = own(target, key);
+
+	if (next === null || typeof next !== 'object') {
+		next = rest[0] === '' || isIndex(rest[0]) ? [] : {};
+	}
+
+	// arrays indexed by non numeric keys turn into objects
+	if (Array.isArray(next) && rest[0] !== '' && !isIndex(rest[0])) {
+		next = Object.assign({}, next);
+	}
+
+	target[key] = assign(next, rest, value);
+
+	return target;
+};
+
+/*
+	parses query strings like a=1&a=2&b[c]=3&d[]=4&e=f+g, into {a: [1, 2], b: {c: 3}, d: [4], e: 'f g'}
+	coerce: coerces booleans, nulls and numbers, default: true
+ */
+const parse = (query, options = {}) => {
+	const {
+		coerce: shouldCoerce = true
+	} = options;
+
+	if (!query) {
+		return {};
+	}
+
+	return compact(query.split('&')
+		.reduce((reduction, token) => {
+			if (!token) {
+				return reduction;
+			}
+
+			const index = token.indexOf('=');
+			const key = decode(index >= 0 ? token.slice(0, index) : token);
+			const value = decode(index >= 0 ? token.slice(index + 1) : '');
+
+			if (!key) {
+				return reduction;
+			}
+
+			return assign(reduction, parseKey(key), shouldCoerce ? coerce(value) : value);
+		}, {}));
+};
+
+module.exports = {
+	coerce,
+	decode,
+	parse
+};
@@ -0,0 +1,64 @@
+const {
+	Observable
+} = require('rxjs');
+
+const RETRYABLE_ERRORS = [
+	// lambda
+	'TooManyRequestsException',
+	'ServiceException',
+	'EC2ThrottledException',
+	'ResourceNotReadyException',
+	// network
+	'ECONNRESET',
+	'ECONNREFUSED',
+	'EPIPE',
+	'ETIMEDOUT',
+	'NetworkingError'
+];
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/*
+	attempts: max attempts, including the first one
+	delay: base delay in ms, doubled on each attempt
+	maxDelay: max delay in ms
+	errors: retryable error codes
+	methods: retryable request methods, idempotent ones by default
+ */
+const policy = (options = {}) => Object.assign({
+	attempts: 3,
+	delay: 100,
+	maxDelay: 2000,
+	errors: RETRYABLE_ERRORS,
+	methods: IDEMPOTENT_METHODS
+}, options);
+
+const isRetryable = (err, policy) => !!err && (policy.errors.includes(err.code) || policy.errors.includes(err.name));
+
+// exponential backoff with full jitter
+const backoff = (attempt, policy, random = Math.random) => {
+	return Math.floor(random() * Math.min(policy.maxDelay, policy.delay * Math.pow(2, attempt - 1)));
+};
+
+const retry = (operation, policy, onRetry = () => null) => operation.retryWhen(errors => errors.mergeMap((err, index) => {
+	const attempt = index + 1;
+
+	if (attempt >= policy.attempts || !isRetryable(err, policy)) {
+		return Observable.throw(err);
+	}
+
+	const delay = backoff(attempt, policy);
+
+	onRetry(err, attempt, delay);
+
+	return Observable.timer(delay);
+}));
+
+module.exports = {
+	IDEMPOTENT_METHODS,
+	RETRYABLE_ERRORS,
+	backoff,
+	isRetryable,
+	policy,
+	retry
+};
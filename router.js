@@ -0,0 +1,188 @@
+const METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+const WILDCARD = '*';
+const PARAM = ':';
+
+const LITERAL_SEGMENT = 2;
+const PARAM_SEGMENT = 1;
+const WILDCARD_SEGMENT = 0;
+
+const split = path => path.split('/')
+	.filter(token => token);
+
+const decode = value => {
+	try {
+		return decodeURIComponent(value);
+	} catch (err) {
+		return value;
+	}
+};
+
+const parseSegment = token => {
+	if (token === WILDCARD) {
+		return {
+			type: WILDCARD_SEGMENT
+		};
+	}
+
+	if (token.charAt(0) === PARAM && token.length > 1) {
+		return {
+			type: PARAM_SEGMENT,
+			name: token.slice(1)
+		};
+	}
+
+	return {
+		type: LITERAL_SEGMENT,
+		value: token
+	};
+};
+
+/*
+	routes are matched by prefix, literal routes first (longest first), then routes mixing wildcards and
+	other segments (fewer wildcards first, then longest first), and finally full wildcard routes (longest first);
+	named params (:name) count as non wildcard segments, ties are broken left to right as literal > named > wildcard.
+ */
+const compare = (a, b) => {
+	const category = route => route.wildcards === 0 ? 0 : (route.wildcards < route.segments.length ? 1 : 2);
+	const categoryA = category(a);
+	const categoryB = category(b);
+
+	if (categoryA !== categoryB) {
+		return categoryA - categoryB;
+	}
+
+	if (categoryA === 1 && a.wildcards !== b.wildcards) {
+		return a.wildcards - b.wildcards;
+	}
+
+	if (a.segments.length !== b.segments.length) {
+		return b.segments.length - a.segments.length;
+	}
+
+	for (let i = 0; i < a.segments.length; i++) {
+		if (a.segments[i].type !== b.segments[i].type) {
+			return b.segments[i].type - a.segments[i].type;
+		}
+	}
+
+	return 0;
+};
+
+const createNode = () => ({
+	literals: Object.create(null),
+	param: null,
+	wildcard: null,
+	routes: []
+});
+
+const childNode = (node, segment) => {
+	if (segment.type === LITERAL_SEGMENT) {
+		return node.literals[segment.value] || (node.literals[segment.value] = createNode());
+	}
+
+	const key = segment.type === PARAM_SEGMENT ? 'param' : 'wildcard';
+
+	return node[key] || (node[key] = createNode());
+};
+
+// compile manifest into a segment trie, each node holds the routes which ends on it
+const compile = (lambdas = {}) => {
+	const root = createNode();
+
+	Object.keys(lambdas)
+		.filter(path => path.charAt(0) === '/' && lambdas[path])
+		.forEach(path => {
+			const segments = split(path)
+				.map(parseSegment);
+
+			const node = segments.reduce(childNode, root);
+
+			node.routes.push({
+				path,
+				lambda: lambdas[path],
+				segments,
+				wildcards: segments.filter(segment => segment.type === WILDCARD_SEGMENT).length
+			});
+		});
+
+	return root;
+};
+
+/*
+	walk the trie collecting every route matching tokens by prefix. every level branches into literal, param
+	and wildcard children, so it visits the trie nodes matching a path prefix, at most min(trie nodes, 3^depth),
+	and routes are reduced over all candidates; legacy wildcard expansion probed O(depth²) paths on every request.
+ */
+const collect = (node, tokens, depth = 0, candidates = []) => {
+	if (depth > 0) {
+		candidates.push.apply(candidates, node.routes);
+	}
+
+	if (depth < tokens.length) {
+		[
+			node.literals[tokens[depth]],
+			node.param,
+			node.wildcard
+		].forEach(child => child && collect(child, tokens, depth + 1, candidates));
+	}
+
+	return candidates;
+};
+
+const match = (root, uri) => {
+	const tokens = split(uri);
+	// root only matches "/" and "/*"
+	const candidates = tokens.length ? collect(root, tokens) : root.routes.concat(root.wildcard ? root.wildcard.routes : []);
+	const route = candidates.reduce((reduction, route) => {
+		return !reduction || compare(route, reduction) < 0 ? route : reduction;
+	}, null);
+
+	if (!route) {
+		return null;
+	}
+
+	return {
+		lambda: route.lambda,
+		path: route.path,
+		pathParams: route.segments.reduce((reduction, segment, index) => {
+			if (segment.type === PARAM_SEGMENT) {
+				reduction[segment.name] = decode(tokens[index]);
+			}
+
+			return reduction;
+		}, {})
+	};
+};
+
+// routes made of wildcards only, like /* or /*/*, gateway endpoints have precedence over them
+const isCatchAll = path => {
+	const tokens = split(path || '');
+
+	return tokens.length > 0 && tokens.every(token => token === WILDCARD);
+};
+
+// manifest entries might declare one lambda per method, like { GET: {name: 'listUsers'}, POST: {name: 'createUser'} }
+const isMethodMap = lambda => !!lambda && typeof lambda === 'object' && !lambda.name && Object.keys(lambda)
+	.some(key => METHODS.includes(key));
+
+const allowedMethods = lambda => Object.keys(lambda)
+	.filter(key => METHODS.includes(key) && lambda[key]);
+
+// every lambda of a manifest, method maps flattened
+const flatten = (lambdas = {}) => Object.keys(lambdas)
+	.reduce((reduction, route) => {
+		const lambda = lambdas[route];
+
+		return reduction.concat(isMethodMap(lambda) ? allowedMethods(lambda)
+			.map(method => lambda[method]) : [lambda]);
+	}, []);
+
+module.exports = {
+	METHODS,
+	allowedMethods,
+	compile,
+	flatten,
+	isCatchAll,
+	isMethodMap,
+	match
+};
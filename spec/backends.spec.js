@@ -0,0 +1,415 @@
+const chai = require('chai');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const {
+	Observable
+} = require('rxjs');
+
+const backends = require('../backends');
+
+const expect = chai.expect;
+
+describe('backends.js', () => {
+	describe('local', () => {
+		const handlerFile = path.join(os.tmpdir(), `smallorange-gateway-handler-${process.pid}.js`);
+
+		before(() => {
+			fs.writeFileSync(handlerFile, 'exports.handler = (event, context, callback) => callback(null, {event, context});');
+		});
+
+		after(() => {
+			fs.unlinkSync(handlerFile);
+		});
+
+		it('should invoke handler from module', done => {
+			backends.local({
+					name: 'functionName',
+					handler: handlerFile
+				}, {
+					width: 10
+				})
+				.subscribe(response => {
+					expect(response).to.deep.equal({
+						event: {
+							width: 10
+						},
+						context: {
+							functionName: 'functionName',
+							functionVersion: '$LATEST'
+						}
+					});
+				}, null, done);
+		});
+
+		it('should invoke handler function with callback', done => {
+			backends.local({
+					name: 'functionName',
+					handler: (event, context, callback) => callback(null, event.width * 2)
+				}, {
+					width: 10
+				})
+				.subscribe(response => {
+					expect(response).to.equal(20);
+				}, null, done);
+		});
+
+		it('should invoke handler function returning promise', done => {
+			backends.local({
+					name: 'functionName',
+					handler: event => Promise.resolve(event.width * 2)
+				}, {
+					width: 10
+				})
+				.subscribe(response => {
+					expect(response).to.equal(20);
+				}, null, done);
+		});
+
+		it('should invoke handler function returning observable', done => {
+			backends.local({
+					name: 'functionName',
+					handler: event => Observable.of(event.width * 2)
+				}, {
+					width: 10
+				})
+				.subscribe(response => {
+					expect(response).to.equal(20);
+				}, null, done);
+		});
+
+		it('should take first value of handler returning observable', done => {
+			const values = [];
+
+			backends.local({
+					name: 'functionName',
+					handler: () => Observable.of('first', 'second')
+				})
+				.subscribe(response => values.push(response), null, () => {
+					expect(values).to.deep.equal(['first']);
+					done();
+				});
+		});
+
+		it('should responds undefined if handler returns empty observable', done => {
+			backends.local({
+					name: 'functionName',
+					handler: () => Observable.empty()
+				})
+				.subscribe(response => {
+					expect(response).to.be.undefined;
+				}, null, done);
+		});
+
+		it('should isolate event', done => {
+			const payload = {
+				width: 10
+			};
+
+			backends.local({
+					name: 'functionName',
+					handler: (event, context, callback) => {
+						event.width = 20;
+						callback(null, payload.width);
+					}
+				}, payload)
+				.subscribe(response => {
+					expect(response).to.equal(10);
+				}, null, done);
+		});
+
+		it('should return callback error', done => {
+			backends.local({
+					name: 'functionName',
+					handler: (event, context, callback) => callback(new Error('some error'))
+				})
+				.subscribe(null, err => {
+					expect(err.message).to.equal('some error');
+					expect(err.statusCode).to.equal(502);
+					expect(err.context.functionError).to.equal('Handled');
+					done();
+				});
+		});
+
+		it('should lose custom error properties like AWS does', done => {
+			const err = new Error('some error');
+
+			err.statusCode = 404;
+
+			backends.local({
+					name: 'functionName',
+					handler: (event, context, callback) => callback(err)
+				})
+				.subscribe(null, err => {
+					expect(err.statusCode).to.equal(502);
+					done();
+				});
+		});
+
+		it('should return rejected promise error', done => {
+			backends.local({
+					name: 'functionName',
+					handler: () => Promise.reject(new Error('some error'))
+				})
+				.subscribe(null, err => {
+					expect(err.message).to.equal('some error');
+					done();
+				});
+		});
+
+		it('should return thrown error', done => {
+			backends.local({
+					name: 'functionName',
+					handler: () => {
+						throw new Error('some error');
+					}
+				})
+				.subscribe(null, err => {
+					expect(err.message).to.equal('some error');
+					expect(err.context.functionError).to.equal('Unhandled');
+					done();
+				});
+		});
+
+		it('should respond right away with void response if async', done => {
+			let resolve;
+
+			backends.local({
+					name: 'functionName',
+					async: true,
+					handler: () => new Promise(done => resolve = done)
+				})
+				.subscribe(response => {
+					expect(resolve).to.be.a('function');
+					expect(response).to.be.null;
+				}, null, done);
+		});
+
+		it('should return error if handler module doesn\'t exist', done => {
+			backends.local({
+					name: 'functionName',
+					handler: path.join(os.tmpdir(), `smallorange-gateway-inexistent-${process.pid}.js`)
+				})
+				.subscribe(null, err => {
+					expect(err.code).to.equal('MODULE_NOT_FOUND');
+					done();
+				});
+		});
+	});
+
+	describe('http', () => {
+		let hanged;
+		let server;
+		let requests;
+		let url;
+
+		before(done => {
+			server = http.createServer((req, res) => {
+				let body = '';
+
+				req.on('data', chunk => body += chunk);
+				req.on('end', () => {
+					requests.push({
+						body,
+						headers: req.headers,
+						method: req.method,
+						url: req.url
+					});
+
+					if (req.url.indexOf('/upstream/hang') === 0) {
+						return res.on('close', () => hanged());
+					}
+
+					if (req.url.indexOf('/upstream/image') === 0) {
+						res.setHeader('content-type', 'image/png');
+						return res.end(Buffer.from('image'));
+					}
+
+					res.statusCode = req.url.indexOf('/upstream/missing') === 0 ? 404 : 200;
+					res.setHeader('content-type', 'application/json');
+					res.end(JSON.stringify({
+						ok: true
+					}));
+				});
+			});
+
+			server.listen(0, '127.0.0.1', () => {
+				url = `http://127.0.0.1:${server.address().port}/upstream/`;
+				done();
+			});
+		});
+
+		after(done => {
+			server.close(done);
+		});
+
+		beforeEach(() => {
+			requests = [];
+		});
+
+		it('should proxy request', done => {
+			backends.http({
+					name: 'functionName',
+					url
+				}, {}, {
+					body: {
+						width: 10
+					},
+					headers: {
+						host: 'localhost',
+						'x-custom': 'custom'
+					},
+					method: 'POST',
+					uri: '/users',
+					url: {
+						path: '/users?width=10'
+					}
+				})
+				.subscribe(response => {
+					const [request] = requests;
+
+					expect(request.method).to.equal('POST');
+					expect(request.url).to.equal('/upstream/users?width=10');
+					expect(request.body).to.equal(JSON.stringify({
+						width: 10
+					}));
+					expect(request.headers['x-custom']).to.equal('custom');
+					expect(request.headers.host).to.equal(url.split('/')[2]);
+					expect(request.headers['content-type']).to.equal('application/json');
+
+					expect(response.body).to.equal(JSON.stringify({
+						ok: true
+					}));
+					expect(response.base64).to.be.false;
+					expect(response.statusCode).to.equal(200);
+					expect(response.headers['content-type']).to.equal('application/json');
+					expect(response.headers['content-length']).to.be.undefined;
+				}, null, done);
+		});
+
+		it('should forward raw body with client content-type', done => {
+			backends.http({
+					name: 'functionName',
+					url
+				}, {}, {
+					body: 'hello plain text',
+					rawBody: Buffer.from('hello plain text'),
+					headers: {
+						'content-type': 'text/plain'
+					},
+					method: 'POST',
+					uri: '/text'
+				})
+				.subscribe(() => {
+					const [request] = requests;
+
+					expect(request.body).to.equal('hello plain text');
+					expect(request.headers['content-type']).to.equal('text/plain');
+					expect(request.headers['content-length']).to.equal('16');
+				}, null, done);
+		});
+
+		it('should forward raw form body', done => {
+			backends.http({
+					name: 'functionName',
+					url
+				}, {}, {
+					body: {
+						width: '10'
+					},
+					rawBody: Buffer.from('width=10'),
+					headers: {
+						'content-type': 'application/x-www-form-urlencoded'
+					},
+					method: 'POST',
+					uri: '/form'
+				})
+				.subscribe(() => {
+					const [request] = requests;
+
+					expect(request.body).to.equal('width=10');
+					expect(request.headers['content-type']).to.equal('application/x-www-form-urlencoded');
+				}, null, done);
+		});
+
+		it('should send string body without raw body as is', done => {
+			backends.http({
+					name: 'functionName',
+					url
+				}, {}, {
+					body: 'reshaped',
+					headers: {
+						'content-type': 'text/plain'
+					},
+					method: 'POST',
+					uri: '/text'
+				})
+				.subscribe(() => {
+					const [request] = requests;
+
+					expect(request.body).to.equal('reshaped');
+					expect(request.headers['content-type']).to.equal('text/plain');
+				}, null, done);
+		});
+
+		it('should return binary body as base64', done => {
+			backends.http({
+					name: 'functionName',
+					url
+				}, {}, {
+					uri: '/image'
+				})
+				.subscribe(response => {
+					expect(requests[0].method).to.equal('GET');
+					expect(requests[0].body).to.equal('');
+					expect(response.body).to.equal(Buffer.from('image').toString('base64'));
+					expect(response.base64).to.be.true;
+				}, null, done);
+		});
+
+		it('should return upstream statusCode', done => {
+			backends.http({
+					name: 'functionName',
+					url
+				}, {}, {
+					uri: '/missing'
+				})
+				.subscribe(response => {
+					expect(response.statusCode).to.equal(404);
+				}, null, done);
+		});
+
+		it('should abort request on unsubscribe', done => {
+			const subscription = backends.http({
+					name: 'functionName',
+					url
+				}, {}, {
+					uri: '/hang'
+				})
+				.subscribe();
+
+			hanged = done;
+
+			const wait = setInterval(() => {
+				if (requests.length) {
+					clearInterval(wait);
+					subscription.unsubscribe();
+				}
+			}, 5);
+		});
+
+		it('should return error if upstream is unreachable', done => {
+			backends.http({
+					name: 'functionName',
+					url: 'http://127.0.0.1:1'
+				}, {}, {
+					uri: '/'
+				})
+				.subscribe(null, err => {
+					expect(err.code).to.equal('ECONNREFUSED');
+					done();
+				});
+		});
+	});
+});
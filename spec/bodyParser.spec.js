@@ -0,0 +1,300 @@
+const chai = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+	PassThrough
+} = require('stream');
+
+const bodyParser = require('../bodyParser');
+
+const expect = chai.expect;
+
+describe('bodyParser.js', () => {
+	const request = (data, headers = {}) => {
+		const req = new PassThrough();
+
+		req.headers = headers;
+		req.end(data);
+
+		return req;
+	};
+
+	const multipart = [
+		'--boundary',
+		'Content-Disposition: form-data; name="field"',
+		'',
+		'value',
+		'--boundary',
+		'Content-Disposition: form-data; name="tags"',
+		'',
+		'a',
+		'--boundary',
+		'Content-Disposition: form-data; name="tags"',
+		'',
+		'b',
+		'--boundary',
+		'Content-Disposition: form-data; name="file"; filename="file.txt"',
+		'Content-Type: text/plain',
+		'',
+		'file content',
+		'--boundary--',
+		''
+	].join('\r\n');
+
+	const multipartHeaders = {
+		'content-type': 'multipart/form-data; boundary=boundary'
+	};
+
+	it('should parse JSON', done => {
+		bodyParser(request('{"width":10}', {
+			'content-type': 'application/json; charset=utf-8'
+		}), null, (err, body) => {
+			expect(err).to.be.null;
+			expect(body).to.deep.equal({
+				width: 10
+			});
+			done();
+		});
+	});
+
+	it('should parse JSON without content-type', done => {
+		bodyParser(request('{"width":10}'), null, (err, body) => {
+			expect(body).to.deep.equal({
+				width: 10
+			});
+			done();
+		});
+	});
+
+	it('should return empty object for empty body', done => {
+		bodyParser(request(''), null, (err, body) => {
+			expect(body).to.deep.equal({});
+			done();
+		});
+	});
+
+	it('should return 400 for invalid JSON', done => {
+		bodyParser(request('{width', {
+			'content-type': 'application/json'
+		}), null, err => {
+			expect(err.statusCode).to.equal(400);
+			done();
+		});
+	});
+
+	it('should parse urlencoded', done => {
+		bodyParser(request('width=10&tags=a&tags=b', {
+			'content-type': 'application/x-www-form-urlencoded'
+		}), null, (err, body) => {
+			expect(body).to.deep.equal({
+				width: '10',
+				tags: ['a', 'b']
+			});
+			done();
+		});
+	});
+
+	it('should ignore inherited and __proto__ urlencoded keys', done => {
+		bodyParser(request('toString=1&constructor=2&__proto__=3', {
+			'content-type': 'application/x-www-form-urlencoded'
+		}), null, (err, body) => {
+			expect(Object.getPrototypeOf(body)).to.equal(Object.prototype);
+			expect(Object.keys(body)).to.deep.equal(['toString', 'constructor']);
+			expect(body.toString).to.equal('1');
+			expect(body.constructor).to.equal('2');
+			done();
+		});
+	});
+
+	it('should return raw bytes', done => {
+		bodyParser(request('plain text', {
+			'content-type': 'text/plain'
+		}), null, (err, body, data) => {
+			expect(data).to.deep.equal(Buffer.from('plain text'));
+			done();
+		});
+	});
+
+	it('should parse text', done => {
+		bodyParser(request('plain text', {
+			'content-type': 'text/plain'
+		}), null, (err, body) => {
+			expect(body).to.equal('plain text');
+			done();
+		});
+	});
+
+	it('should parse raw bytes as base64', done => {
+		const data = Buffer.from([0, 1, 2, 255]);
+
+		bodyParser(request(data, {
+			'content-type': 'application/octet-stream'
+		}), null, (err, body) => {
+			expect(body).to.equal(data.toString('base64'));
+			done();
+		});
+	});
+
+	it('should parse multipart with base64 files', done => {
+		bodyParser(request(multipart, multipartHeaders), null, (err, body) => {
+			expect(err).to.be.null;
+			expect(body).to.deep.equal({
+				field: 'value',
+				tags: ['a', 'b'],
+				file: {
+					filename: 'file.txt',
+					contentType: 'text/plain',
+					size: 12,
+					data: Buffer.from('file content')
+						.toString('base64')
+				}
+			});
+			done();
+		});
+	});
+
+	it('should ignore inherited and __proto__ multipart fields', done => {
+		const data = ['toString', 'constructor', '__proto__'].map(name => [
+				'--boundary',
+				`Content-Disposition: form-data; name="${name}"`,
+				'',
+				'value'
+			].join('\r\n'))
+			.concat('--boundary--', '')
+			.join('\r\n');
+
+		bodyParser(request(data, multipartHeaders), null, (err, body) => {
+			expect(Object.getPrototypeOf(body)).to.equal(Object.prototype);
+			expect(body).to.deep.equal({
+				toString: 'value',
+				constructor: 'value'
+			});
+			done();
+		});
+	});
+
+	it('should parse multipart with temp files', done => {
+		bodyParser(request(multipart, multipartHeaders), {
+			files: 'tmp'
+		}, (err, body) => {
+			const file = body.file;
+
+			expect(file.data).to.be.undefined;
+			expect(path.dirname(file.path)).to.equal(os.tmpdir());
+			expect(fs.readFileSync(file.path, 'utf8')).to.equal('file content');
+
+			bodyParser.cleanup(body);
+
+			setTimeout(() => {
+				expect(fs.existsSync(file.path)).to.be.false;
+				done();
+			}, 50);
+		});
+	});
+
+	it('should remove temp files if multipart is malformed after them', done => {
+		const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spec-'));
+		const data = [
+			'--boundary',
+			'Content-Disposition: form-data; name="file"; filename="file.txt"',
+			'',
+			'file content',
+			'--boundary',
+			'Content-Disposition: form-data; name="field"',
+			'',
+			'value'
+		].join('\r\n');
+
+		bodyParser(request(data, multipartHeaders), {
+			files: 'tmp',
+			tmpDir
+		}, err => {
+			expect(err.statusCode).to.equal(400);
+
+			setTimeout(() => {
+				expect(fs.readdirSync(tmpDir)).to.deep.equal([]);
+				fs.rmdirSync(tmpDir);
+				done();
+			}, 50);
+		});
+	});
+
+	it('should not save __proto__ multipart files', done => {
+		const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spec-'));
+		const data = [
+			'--boundary',
+			'Content-Disposition: form-data; name="__proto__"; filename="file.txt"',
+			'',
+			'file content',
+			'--boundary--',
+			''
+		].join('\r\n');
+
+		bodyParser(request(data, multipartHeaders), {
+			files: 'tmp',
+			tmpDir
+		}, (err, body) => {
+			expect(body).to.deep.equal({});
+			expect(fs.readdirSync(tmpDir)).to.deep.equal([]);
+			fs.rmdirSync(tmpDir);
+			done();
+		});
+	});
+
+	it('should return 400 for multipart without boundary', done => {
+		bodyParser(request(multipart, {
+			'content-type': 'multipart/form-data'
+		}), null, err => {
+			expect(err.statusCode).to.equal(400);
+			done();
+		});
+	});
+
+	it('should return 400 for malformed multipart', done => {
+		bodyParser(request('--boundary\r\nContent-Disposition: form-data; name="field"\r\n\r\nvalue', multipartHeaders), null, err => {
+			expect(err.statusCode).to.equal(400);
+			done();
+		});
+	});
+
+	it('should return 413 if content-length is larger than limit', done => {
+		bodyParser(request('{"width":10}', {
+			'content-length': '12'
+		}), {
+			limit: 10
+		}, err => {
+			expect(err.statusCode).to.equal(413);
+			expect(err.message).to.equal('Payload Too Large');
+			done();
+		});
+	});
+
+	it('should return 413 if body is larger than limit', done => {
+		bodyParser(request('{"width":10}'), {
+			limit: 10
+		}, err => {
+			expect(err.statusCode).to.equal(413);
+			done();
+		});
+	});
+
+	describe('cleanup', () => {
+		it('should not remove files out of temp dir', () => {
+			const file = path.join(__dirname, 'bodyParser.spec.js');
+
+			bodyParser.cleanup({
+				file: {
+					path: file
+				}
+			});
+
+			expect(fs.existsSync(file)).to.be.true;
+		});
+
+		it('should ignore non object bodies', () => {
+			expect(() => bodyParser.cleanup('body')).not.to.throw();
+			expect(() => bodyParser.cleanup(null)).not.to.throw();
+		});
+	});
+});
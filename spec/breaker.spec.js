@@ -0,0 +1,173 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const {
+	Observable
+} = require('rxjs');
+
+const CircuitBreaker = require('../breaker');
+
+chai.use(sinonChai);
+
+const expect = chai.expect;
+
+describe('breaker.js', () => {
+	let breaker;
+	let clock;
+	let onReject;
+
+	const fail = () => breaker.execute(Observable.throw(new Error('some error')), onReject)
+		.subscribe(null, () => null);
+
+	const succeed = () => breaker.execute(Observable.of('response'), onReject)
+		.subscribe();
+
+	beforeEach(() => {
+		clock = sinon.useFakeTimers();
+		onReject = sinon.stub()
+			.returns(Observable.of('rejected'));
+		breaker = new CircuitBreaker({
+			threshold: 2,
+			resetTimeout: 1000
+		});
+	});
+
+	afterEach(() => {
+		clock.restore();
+	});
+
+	it('should be closed by default', () => {
+		expect(breaker.state).to.equal(CircuitBreaker.CLOSED);
+		expect(breaker.toJSON()).to.deep.equal({
+			state: 'closed',
+			failures: 0,
+			openedAt: null
+		});
+	});
+
+	it('should pass operation while closed', done => {
+		breaker.execute(Observable.of('response'), onReject)
+			.subscribe(response => {
+				expect(response).to.equal('response');
+				expect(onReject).not.to.have.been.called;
+			}, null, done);
+	});
+
+	it('should open after threshold', () => {
+		fail();
+
+		expect(breaker.state).to.equal(CircuitBreaker.CLOSED);
+
+		fail();
+
+		expect(breaker.state).to.equal(CircuitBreaker.OPEN);
+		expect(breaker.toJSON()).to.deep.equal({
+			state: 'open',
+			failures: 2,
+			openedAt: 0
+		});
+	});
+
+	it('should reset failures on success', () => {
+		fail();
+		succeed();
+		fail();
+
+		expect(breaker.state).to.equal(CircuitBreaker.CLOSED);
+	});
+
+	it('should not count client errors', () => {
+		const err = new Error('Not Found');
+
+		err.statusCode = 404;
+
+		breaker.execute(Observable.throw(err), onReject)
+			.subscribe(null, () => null);
+		breaker.execute(Observable.throw(err), onReject)
+			.subscribe(null, () => null);
+
+		expect(breaker.state).to.equal(CircuitBreaker.CLOSED);
+		expect(breaker.failures).to.equal(0);
+	});
+
+	it('should count throttling errors', () => {
+		const err = new Error('Too Many Requests');
+
+		err.statusCode = 429;
+
+		breaker.execute(Observable.throw(err), onReject)
+			.subscribe(null, () => null);
+		breaker.execute(Observable.throw(err), onReject)
+			.subscribe(null, () => null);
+
+		expect(breaker.state).to.equal(CircuitBreaker.OPEN);
+	});
+
+	it('should reject while open', done => {
+		const operation = sinon.stub()
+			.returns(Observable.of('response'));
+
+		fail();
+		fail();
+
+		breaker.execute(Observable.defer(operation), onReject)
+			.subscribe(response => {
+				expect(response).to.equal('rejected');
+				expect(operation).not.to.have.been.called;
+			}, null, done);
+	});
+
+	it('should be half-open after resetTimeout', () => {
+		fail();
+		fail();
+		clock.tick(1000);
+
+		expect(breaker.state).to.equal(CircuitBreaker.HALF_OPEN);
+	});
+
+	it('should close on half-open success', () => {
+		fail();
+		fail();
+		clock.tick(1000);
+		succeed();
+
+		expect(breaker.state).to.equal(CircuitBreaker.CLOSED);
+	});
+
+	it('should open again on half-open failure', () => {
+		fail();
+		fail();
+		clock.tick(1000);
+		fail();
+
+		expect(breaker.state).to.equal(CircuitBreaker.OPEN);
+		expect(breaker.openedAt).to.equal(1000);
+	});
+
+	it('should allow just halfOpenRequests trials', () => {
+		fail();
+		fail();
+		clock.tick(1000);
+
+		breaker.execute(Observable.never(), onReject)
+			.subscribe();
+		breaker.execute(Observable.never(), onReject)
+			.subscribe();
+
+		expect(onReject).to.have.been.calledOnce;
+	});
+
+	it('should release trial when unsubscribed', () => {
+		fail();
+		fail();
+		clock.tick(1000);
+
+		breaker.execute(Observable.never(), onReject)
+			.subscribe()
+			.unsubscribe();
+		breaker.execute(Observable.never(), onReject)
+			.subscribe();
+
+		expect(onReject).not.to.have.been.called;
+	});
+});
@@ -0,0 +1,116 @@
+const chai = require('chai');
+
+const cacheAdmin = require('../cacheAdmin');
+
+const expect = chai.expect;
+
+describe('cacheAdmin.js', () => {
+	describe('glob', () => {
+		it('should match any sequence and single chars', () => {
+			expect(cacheAdmin.glob('/users/*')
+				.test('/users/1/photos')).to.be.true;
+			expect(cacheAdmin.glob('/users/?')
+				.test('/users/1')).to.be.true;
+			expect(cacheAdmin.glob('/users/?')
+				.test('/users/10')).to.be.false;
+		});
+
+		it('should escape regexp chars', () => {
+			expect(cacheAdmin.glob('/image.png?w=*')
+				.test('/image.png?w=10')).to.be.true;
+			expect(cacheAdmin.glob('/image.png')
+				.test('/imagexpng')).to.be.false;
+		});
+	});
+
+	describe('filter', () => {
+		const keys = ['/users/1', '/users/2', '/cart'];
+
+		it('should filter by prefix', () => {
+			expect(cacheAdmin.filter(keys, {
+				prefix: '/users'
+			})).to.deep.equal(['/users/1', '/users/2']);
+		});
+
+		it('should filter by pattern', () => {
+			expect(cacheAdmin.filter(keys, {
+				pattern: '*/2'
+			})).to.deep.equal(['/users/2']);
+		});
+
+		it('should return all keys', () => {
+			expect(cacheAdmin.filter(keys)).to.deep.equal(keys);
+		});
+	});
+
+	describe('limitOf', () => {
+		it('should return limit', () => {
+			expect(cacheAdmin.limitOf({
+				limit: '10'
+			})).to.equal(10);
+		});
+
+		it('should return default limit', () => {
+			expect(cacheAdmin.limitOf()).to.equal(100);
+			expect(cacheAdmin.limitOf({
+				limit: 0
+			})).to.equal(100);
+		});
+
+		it('should cap limit', () => {
+			expect(cacheAdmin.limitOf({
+				limit: 5000
+			})).to.equal(1000);
+		});
+	});
+
+	describe('page', () => {
+		const keys = ['c', 'a', 'b'];
+
+		it('should return first page', () => {
+			expect(cacheAdmin.page(keys, {
+				limit: 2
+			})).to.deep.equal({
+				keys: ['a', 'b'],
+				cursor: 2
+			});
+		});
+
+		it('should return last page', () => {
+			expect(cacheAdmin.page(keys, {
+				cursor: '2',
+				limit: '2'
+			})).to.deep.equal({
+				keys: ['c'],
+				cursor: null
+			});
+		});
+
+		it('should use defaults with invalid values', () => {
+			expect(cacheAdmin.page(keys, {
+				cursor: -1,
+				limit: 'all'
+			})).to.deep.equal({
+				keys: ['a', 'b', 'c'],
+				cursor: null
+			});
+		});
+	});
+
+	describe('selectors', () => {
+		it('should return given selectors', () => {
+			expect(cacheAdmin.selectors({
+				operation: 'purge',
+				pattern: '/users/*',
+				route: undefined,
+				limit: 10
+			})).to.deep.equal({
+				pattern: '/users/*'
+			});
+		});
+
+		it('should return empty', () => {
+			expect(cacheAdmin.selectors()).to.deep.equal({});
+		});
+	});
+});
@@ -0,0 +1,147 @@
+const chai = require('chai');
+
+const cacheKey = require('../cacheKey');
+
+const expect = chai.expect;
+
+describe('cacheKey.js', () => {
+	let args;
+
+	beforeEach(() => {
+		args = {
+			headers: {
+				'Accept-Language': ' pt-BR ',
+				'x-device': 'mobile'
+			},
+			host: 'Localhost',
+			params: {
+				width: 10,
+				fields: 'name,email',
+				tags: ['b', 'a'],
+				auth: {
+					role: 'admin',
+					sub: '123'
+				}
+			},
+			uri: '/users/1',
+			url: {
+				pathname: '//users/1/'
+			}
+		};
+	});
+
+	describe('variesOnAuth', () => {
+		it('should return true', () => {
+			expect(cacheKey.variesOnAuth({
+				auth: ['sub']
+			})).to.be.true;
+		});
+
+		it('should return false', () => {
+			expect(cacheKey.variesOnAuth('/users')).to.be.false;
+			expect(cacheKey.variesOnAuth(args => '/users')).to.be.false;
+			expect(cacheKey.variesOnAuth({
+				auth: []
+			})).to.be.false;
+			expect(cacheKey.variesOnAuth({
+				params: true
+			})).to.be.false;
+		});
+	});
+
+	describe('build', () => {
+		it('should return normalized uri by default', () => {
+			expect(cacheKey.build({}, args)).to.equal('/users/1');
+		});
+
+		it('should include host', () => {
+			expect(cacheKey.build({
+				host: true
+			}, args)).to.equal('localhost/users/1');
+		});
+
+		it('should include every param sorted, but auth', () => {
+			expect(cacheKey.build({
+				params: true
+			}, args)).to.equal('/users/1?fields=name%2Cemail&tags=%5B%22b%22%2C%22a%22%5D&width=10');
+		});
+
+		it('should include selected params sorted', () => {
+			expect(cacheKey.build({
+				params: ['width', 'fields', 'width', 'height']
+			}, args)).to.equal('/users/1?fields=name%2Cemail&width=10');
+		});
+
+		it('should return same key whatever params order', () => {
+			const key = cacheKey.build({
+				params: true
+			}, args);
+
+			args.params = {
+				tags: ['b', 'a'],
+				width: '10',
+				fields: 'name,email'
+			};
+
+			expect(cacheKey.build({
+				params: true
+			}, args)).to.equal(key);
+		});
+
+		it('should include vary headers case insensitively', () => {
+			expect(cacheKey.build({
+				vary: ['x-device', 'Accept-Language', 'x-missing']
+			}, args)).to.equal('/users/1#vary:accept-language=pt-BR&x-device=mobile&x-missing=');
+		});
+
+		it('should include auth claims', () => {
+			expect(cacheKey.build({
+				pathname: false,
+				auth: ['sub', 'role']
+			}, args)).to.equal('#auth:role=admin&sub=123');
+		});
+
+		it('should return null if a claim is missing', () => {
+			expect(cacheKey.build({
+				auth: ['sub', 'email']
+			}, args)).to.be.null;
+
+			delete args.params.auth;
+
+			expect(cacheKey.build({
+				auth: ['sub']
+			}, args)).to.be.null;
+		});
+
+		it('should encode values', () => {
+			args.params.q = 'a&b#c';
+			args.headers['x-device'] = 'a#auth:sub=1';
+
+			expect(cacheKey.build({
+				params: ['q'],
+				vary: ['x-device'],
+				auth: ['sub']
+			}, args)).to.equal('/users/1?q=a%26b%23c#vary:x-device=a%23auth%3Asub%3D1#auth:sub=123');
+		});
+	});
+
+	describe('pathOf', () => {
+		it('should return pathname', () => {
+			expect(cacheKey.pathOf('/users/1?fields=name#vary:x-device=mobile')).to.equal('/users/1');
+			expect(cacheKey.pathOf('/users/1#auth:sub=123', 'localhost')).to.equal('/users/1');
+		});
+
+		it('should strip host', () => {
+			expect(cacheKey.pathOf(cacheKey.build({
+				host: true,
+				params: true
+			}, args), 'Localhost')).to.equal('/users/1');
+			expect(cacheKey.pathOf('localhost:8080/users/1', 'localhost:8080')).to.equal('/users/1');
+		});
+
+		it('should return null if key has no pathname', () => {
+			expect(cacheKey.pathOf('#auth:sub=123', 'localhost')).to.be.null;
+			expect(cacheKey.pathOf('otherhost/users/1', 'localhost')).to.be.null;
+		});
+	});
+});
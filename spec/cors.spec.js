@@ -0,0 +1,148 @@
+const chai = require('chai');
+
+const cors = require('../cors');
+
+const expect = chai.expect;
+
+describe('cors.js', () => {
+	describe('options', () => {
+		it('should merge route options over global ones', () => {
+			expect(cors.options({
+				origin: 'http://origin.com',
+				maxAge: 600
+			}, {
+				credentials: true
+			})).to.deep.equal({
+				origin: 'http://origin.com',
+				methods: null,
+				headers: null,
+				credentials: true,
+				maxAge: 600,
+				exposedHeaders: []
+			});
+		});
+
+		it('should return null if disabled', () => {
+			expect(cors.options(false, {})).to.be.null;
+			expect(cors.options({}, false)).to.be.null;
+		});
+	});
+
+	describe('headers', () => {
+		it('should return wildcard', () => {
+			expect(cors.headers(cors.options(), {
+				origin: 'http://origin.com'
+			})).to.deep.equal({
+				'access-control-allow-origin': '*'
+			});
+		});
+
+		it('should reflect origin with credentials', () => {
+			expect(cors.headers(cors.options({
+				credentials: true,
+				exposedHeaders: ['x-total', 'etag']
+			}), {
+				origin: 'http://origin.com'
+			})).to.deep.equal({
+				'access-control-allow-origin': 'http://origin.com',
+				'access-control-allow-credentials': 'true',
+				'access-control-expose-headers': 'x-total, etag',
+				vary: 'origin'
+			});
+		});
+
+		it('should match origin by string, list, regexp and function', () => {
+			const reqHeaders = {
+				origin: 'http://www.origin.com'
+			};
+
+			expect(cors.headers(cors.options({
+				origin: 'http://www.origin.com'
+			}), reqHeaders)['access-control-allow-origin']).to.equal('http://www.origin.com');
+			expect(cors.headers(cors.options({
+				origin: ['http://other.com', /\.origin\.com$/]
+			}), reqHeaders)['access-control-allow-origin']).to.equal('http://www.origin.com');
+			expect(cors.headers(cors.options({
+				origin: origin => origin.indexOf('origin') >= 0
+			}), reqHeaders)['access-control-allow-origin']).to.equal('http://www.origin.com');
+		});
+
+		it('should return empty if origin is not allowed', () => {
+			expect(cors.headers(cors.options({
+				origin: ['http://other.com']
+			}), {
+				origin: 'http://origin.com'
+			})).to.deep.equal({});
+		});
+
+		it('should return empty if no origin', () => {
+			expect(cors.headers(cors.options({
+				origin: 'http://origin.com'
+			}), {})).to.deep.equal({});
+		});
+
+		it('should return empty if disabled', () => {
+			expect(cors.headers(null, {
+				origin: 'http://origin.com'
+			})).to.deep.equal({});
+		});
+	});
+
+	describe('preflight', () => {
+		it('should return preflight headers', () => {
+			expect(cors.preflight(cors.options({
+				maxAge: 0
+			}), {
+				origin: 'http://origin.com',
+				'access-control-request-headers': 'authorization, content-type'
+			})).to.deep.equal({
+				'access-control-allow-origin': '*',
+				'access-control-allow-methods': 'GET, HEAD, POST, PUT, PATCH, DELETE',
+				'access-control-allow-headers': 'authorization, content-type',
+				'access-control-max-age': '0',
+				vary: 'access-control-request-headers'
+			});
+		});
+
+		it('should limit methods and headers', () => {
+			expect(cors.preflight(cors.options({
+				methods: ['GET', 'DELETE'],
+				headers: ['authorization']
+			}), {
+				origin: 'http://origin.com',
+				'access-control-request-headers': 'x-custom'
+			}, ['GET', 'POST'])).to.deep.equal({
+				'access-control-allow-origin': '*',
+				'access-control-allow-methods': 'GET',
+				'access-control-allow-headers': 'authorization'
+			});
+		});
+
+		it('should return empty if origin is not allowed', () => {
+			expect(cors.preflight(cors.options({
+				origin: 'http://other.com'
+			}), {
+				origin: 'http://origin.com'
+			})).to.deep.equal({});
+		});
+	});
+
+	describe('isPreflight', () => {
+		it('should return true', () => {
+			expect(cors.isPreflight({
+				origin: 'http://origin.com',
+				'access-control-request-method': 'POST'
+			})).to.be.true;
+		});
+
+		it('should return false', () => {
+			expect(cors.isPreflight()).to.be.false;
+			expect(cors.isPreflight({
+				origin: 'http://origin.com'
+			})).to.be.false;
+			expect(cors.isPreflight({
+				'access-control-request-method': 'POST'
+			})).to.be.false;
+		});
+	});
+});
@@ -0,0 +1,131 @@
+const chai = require('chai');
+
+const errors = require('../errors');
+
+const expect = chai.expect;
+
+describe('errors.js', () => {
+	describe('functionError', () => {
+		it('should return 502 error', () => {
+			const err = errors.functionError({
+				errorMessage: 'some error',
+				errorType: 'TypeError',
+				stackTrace: []
+			}, 'Unhandled');
+
+			expect(err).to.be.instanceOf(Error);
+			expect(err.message).to.equal('some error');
+			expect(err.name).to.equal('TypeError');
+			expect(err.statusCode).to.equal(502);
+			expect(err.context).to.deep.equal({
+				functionError: 'Unhandled',
+				errorType: 'TypeError'
+			});
+		});
+
+		it('should return error with payload statusCode', () => {
+			const err = errors.functionError({
+				errorMessage: 'Not Found',
+				errorType: 'NotFoundError',
+				statusCode: 404
+			}, 'Handled');
+
+			expect(err.statusCode).to.equal(404);
+			expect(err.context.functionError).to.equal('Handled');
+		});
+
+		it('should return error with JSON errorMessage statusCode', () => {
+			const err = errors.functionError({
+				errorMessage: JSON.stringify({
+					statusCode: 409,
+					message: 'Conflict'
+				}),
+				errorType: 'Error'
+			}, 'Handled');
+
+			expect(err.message).to.equal('Conflict');
+			expect(err.statusCode).to.equal(409);
+		});
+
+		it('should ignore invalid statusCode', () => {
+			expect(errors.functionError({
+				errorMessage: 'some error',
+				statusCode: 200
+			}).statusCode).to.equal(502);
+
+			expect(errors.functionError({
+				errorMessage: 'some error',
+				statusCode: '404'
+			}).statusCode).to.equal(502);
+		});
+
+		it('should handle non object payload', () => {
+			const err = errors.functionError('some error');
+
+			expect(err.message).to.equal('some error');
+			expect(err.name).to.equal('FunctionError');
+			expect(err.context.functionError).to.equal('Unhandled');
+		});
+
+		it('should handle empty payload', () => {
+			const err = errors.functionError(null);
+
+			expect(err.message).to.equal('Bad Gateway');
+			expect(err.statusCode).to.equal(502);
+		});
+	});
+
+	describe('invokeError', () => {
+		it('should return 413 for payload too large', () => {
+			const err = new Error('payload too large');
+
+			err.code = 'RequestTooLargeException';
+
+			expect(errors.invokeError(err).statusCode).to.equal(413);
+		});
+
+		it('should return error as is', () => {
+			const err = new Error('some error');
+
+			err.code = 'ServiceException';
+
+			expect(errors.invokeError(err)).to.equal(err);
+			expect(err.statusCode).to.be.undefined;
+		});
+	});
+
+	describe('isTypedError', () => {
+		it('should return true', () => {
+			expect(errors.isTypedError({
+				errorType: 'NotFoundError',
+				statusCode: 404
+			})).to.be.true;
+		});
+
+		it('should return false', () => {
+			expect(errors.isTypedError(null)).to.be.false;
+			expect(errors.isTypedError('body')).to.be.false;
+			expect(errors.isTypedError({
+				body: 'body',
+				statusCode: 404
+			})).to.be.false;
+			expect(errors.isTypedError({
+				errorType: 'NotFoundError'
+			})).to.be.false;
+		});
+	});
+
+	describe('typedError', () => {
+		it('should return error with statusCode', () => {
+			const err = errors.typedError({
+				errorType: 'NotFoundError',
+				errorMessage: 'user not found',
+				statusCode: 404
+			});
+
+			expect(err.message).to.equal('user not found');
+			expect(err.name).to.equal('NotFoundError');
+			expect(err.statusCode).to.equal(404);
+		});
+	});
+});
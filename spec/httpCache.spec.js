@@ -0,0 +1,117 @@
+const chai = require('chai');
+
+const httpCache = require('../httpCache');
+
+const expect = chai.expect;
+
+describe('httpCache.js', () => {
+	describe('header', () => {
+		it('should find header case insensitively', () => {
+			expect(httpCache.header({
+				ETag: '"tag"'
+			}, 'etag')).to.equal('"tag"');
+		});
+
+		it('should return undefined', () => {
+			expect(httpCache.header({}, 'etag')).to.be.undefined;
+		});
+	});
+
+	describe('etag', () => {
+		it('should return quoted hash', () => {
+			expect(httpCache.etag('body')).to.match(/^"[a-f0-9]{40}"$/);
+		});
+
+		it('should hash objects as JSON', () => {
+			expect(httpCache.etag({
+				a: 1
+			})).to.equal(httpCache.etag('{"a":1}'));
+		});
+
+		it('should hash base64 bodies decoded', () => {
+			const data = Buffer.from('image');
+
+			expect(httpCache.etag(data.toString('base64'), true)).to.equal(httpCache.etag(data));
+			expect(httpCache.etag(data.toString('base64'), true)).to.equal(httpCache.etag('image'));
+		});
+	});
+
+	describe('notModified', () => {
+		it('should match if-none-match', () => {
+			expect(httpCache.notModified({
+				'if-none-match': '"other", W/"tag"'
+			}, {
+				etag: '"tag"'
+			})).to.be.true;
+			expect(httpCache.notModified({
+				'if-none-match': '*'
+			}, {
+				etag: '"tag"'
+			})).to.be.true;
+			expect(httpCache.notModified({
+				'if-none-match': '"other"'
+			}, {
+				etag: '"tag"'
+			})).to.be.false;
+		});
+
+		it('should prefer if-none-match over if-modified-since', () => {
+			expect(httpCache.notModified({
+				'if-none-match': '"other"',
+				'if-modified-since': 'Sun, 18 Oct 2026 00:00:00 GMT'
+			}, {
+				etag: '"tag"',
+				'last-modified': 'Sat, 17 Oct 2026 00:00:00 GMT'
+			})).to.be.false;
+		});
+
+		it('should match if-modified-since', () => {
+			expect(httpCache.notModified({
+				'if-modified-since': 'Sun, 18 Oct 2026 00:00:00 GMT'
+			}, {
+				'Last-Modified': 'Sat, 17 Oct 2026 00:00:00 GMT'
+			})).to.be.true;
+			expect(httpCache.notModified({
+				'if-modified-since': 'Fri, 16 Oct 2026 00:00:00 GMT'
+			}, {
+				'last-modified': 'Sat, 17 Oct 2026 00:00:00 GMT'
+			})).to.be.false;
+		});
+
+		it('should return false without conditional headers', () => {
+			expect(httpCache.notModified({}, {
+				etag: '"tag"'
+			})).to.be.false;
+		});
+	});
+
+	describe('cacheControl', () => {
+		it('should return public cache-control', () => {
+			expect(httpCache.cacheControl({
+				ttl: 3600,
+				ttr: 60
+			})).to.equal('public, max-age=60, stale-while-revalidate=3540');
+		});
+
+		it('should return private cache-control', () => {
+			expect(httpCache.cacheControl({
+				ttl: 30,
+				ttr: 60,
+				private: true
+			})).to.equal('private, max-age=30, stale-while-revalidate=0');
+		});
+	});
+
+	describe('headers', () => {
+		it('should return age, last-modified and cache-control', () => {
+			expect(httpCache.headers(0, {
+				ttl: 3600,
+				ttr: 60
+			}, 90500)).to.deep.equal({
+				age: '90',
+				'last-modified': 'Thu, 01 Jan 1970 00:00:00 GMT',
+				'cache-control': 'public, max-age=60, stale-while-revalidate=3540'
+			});
+		});
+	});
+});
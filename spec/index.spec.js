@@ -6,8 +6,17 @@ const Gateway = require('../');
 const jwt = require('../jwt');
 const Logger = require('smallorange-cloudwatch-logger');
 const CacheDriver = require('smallorange-cache-driver');
+const ConsoleLogger = require('../consoleLogger');
+const IndexedCacheDriver = require('../indexedCache');
+const MemoryCacheDriver = require('../memoryCache');
+const CircuitBreaker = require('../breaker');
+const httpCache = require('../httpCache');
+const JobStore = require('../jobs');
+const router = require('../router');
 const beautyError = require('smallorange-beauty-error');
+const fs = require('fs');
 const http = require('http');
+const path = require('path');
 const {
 	Observable
 } = require('rxjs');
@@ -57,15 +66,13 @@ describe('index.js', () => {
 		};
 
 		res = {
+			on: sinon.stub(),
 			setHeader: sinon.stub(),
 			write: sinon.stub(),
 			end: sinon.stub(),
 		};
 
 		lambdas = {
-			'*': {
-				name: 'functionName'
-			},
 			'/': {
 				name: 'functionName'
 			},
@@ -108,10 +115,6 @@ describe('index.js', () => {
 					}
 				}
 			},
-			'/wrongAuth': {
-				name: 'functionName',
-				auth: true
-			},
 			'/authOnly': {
 				name: 'functionName',
 				auth: {
@@ -134,6 +137,29 @@ describe('index.js', () => {
 					secret: 'mySecret',
 					requiredRoles: ['admin', 'public']
 				}
+			},
+			'/users': {
+				GET: {
+					name: 'listUsers'
+				},
+				POST: {
+					name: 'createUser'
+				}
+			},
+			'/users/:userId': {
+				name: 'functionName'
+			},
+			'/validated': {
+				name: 'functionName',
+				auth: {
+					secret: 'mySecret'
+				},
+				schema: {
+					params: {
+						type: 'object',
+						required: ['width']
+					}
+				}
 			}
 		};
 
@@ -170,12 +196,78 @@ describe('index.js', () => {
 			})).to.throw('cachePrefix must be a string.');
 		});
 
+		it('should throw if cors is not an object or false', () => {
+			expect(() => new Gateway({
+				lambdas,
+				logGroup: 'spec',
+				cors: '*'
+			})).to.throw('cors must be an object or false.');
+		});
+
+		it('should load and watch lambdasFile', () => {
+			sinon.stub(fs, 'readFileSync')
+				.returns(JSON.stringify(lambdas));
+			sinon.stub(fs, 'watchFile');
+
+			gateway = new Gateway({
+				logGroup: 'spec',
+				lambdasFile: 'lambdas.json'
+			});
+
+			expect(gateway.lambdas).to.deep.equal(JSON.parse(JSON.stringify(lambdas)));
+			expect(fs.watchFile).to.have.been.calledWith('lambdas.json');
+
+			gateway.unwatchLambdas();
+			fs.readFileSync.restore();
+			fs.watchFile.restore();
+		});
+
+		it('should throw if lambdas are invalid', () => {
+			expect(() => new Gateway({
+				logGroup: 'spec',
+				lambdas: {
+					'/': {}
+				}
+			})).to.throw('invalid lambdas manifest:\n/: name is required.');
+		});
+
+		it('should throw aggregated errors', () => {
+			try {
+				new Gateway({
+					logGroup: 'spec',
+					lambdas: {
+						'/': {
+							name: 'functionName',
+							paramsOnly: 'true'
+						},
+						'/users': {
+							cache: true
+						}
+					}
+				});
+			} catch (err) {
+				expect(err.message).to.equal('invalid lambdas manifest:\n/: paramsOnly should be a boolean.\n/users: name is required.\n/users: cache should be an object.');
+				expect(err.errors).to.deep.equal([
+					'/: paramsOnly should be a boolean.',
+					'/users: name is required.',
+					'/users: cache should be an object.'
+				]);
+
+				return;
+			}
+
+			throw new Error('should throw');
+		});
+
 		it('should have logger', () => {
 			expect(gateway.logger).to.be.instanceOf(Logger);
 		});
 
 		it('should have cacheDriver', () => {
-			expect(gateway.cacheDriver).to.be.instanceOf(CacheDriver);
+			expect(gateway.cacheDriver).to.be.instanceOf(IndexedCacheDriver);
+			expect(gateway.cacheDriver.driver).to.be.instanceOf(CacheDriver);
+			expect(gateway.cacheDriver.redis).to.equal(gateway.jobs.redis);
+			expect(gateway.cacheDriver.prefix).to.equal('cachePrefix_cacheIndex:');
 		});
 
 		it('should not have cacheDriver if no redisUrl provided', () => {
@@ -187,12 +279,94 @@ describe('index.js', () => {
 			expect(gateway.cacheDriver).to.be.null
 		});
 
+		describe('dev', () => {
+			beforeEach(() => {
+				gateway = new Gateway({
+					dev: true,
+					handlersDir: 'handlers',
+					lambdas,
+					redisUrl: 'redis://localhost:6380'
+				});
+			});
+
+			it('should not require logGroup', () => {
+				expect(gateway.dev).to.be.true;
+			});
+
+			it('should have console logger', () => {
+				expect(gateway.logger).to.be.instanceOf(ConsoleLogger);
+			});
+
+			it('should have memory cacheDriver', () => {
+				expect(gateway.cacheDriver).to.be.instanceOf(MemoryCacheDriver);
+			});
+
+			it('should have memory jobs store', () => {
+				expect(gateway.jobs).to.be.instanceOf(JobStore);
+				expect(gateway.jobs.redis).to.be.null;
+			});
+
+			it('should invoke lambdas in-process', done => {
+				sinon.stub(gateway, 'invoke');
+
+				gateway.invokeBackend({
+						name: 'functionName',
+						handler: (event, context, callback) => callback(null, event)
+					}, {
+						width: 10
+					})
+					.subscribe(response => {
+						expect(gateway.invoke).not.to.have.been.called;
+						expect(response).to.deep.equal({
+							width: 10
+						});
+					}, null, done);
+			});
+
+			it('should invoke lambdas in-process from handlersDir', done => {
+				gateway.invokeBackend({
+						name: 'inexistentFunctionName'
+					}, {})
+					.subscribe(null, err => {
+						expect(err.code).to.equal('MODULE_NOT_FOUND');
+						expect(err.message).to.contain(path.resolve('handlers/inexistentFunctionName'));
+						done();
+					});
+			});
+		});
+
 		it('should have cachePrefix', () => {
 			expect(gateway.cachePrefix).to.be.a('string');
 		});
 
+		it('should have redis jobs store', () => {
+			expect(gateway.jobs).to.be.instanceOf(JobStore);
+			expect(gateway.jobs.redis).to.be.an('object');
+			expect(gateway.jobs.prefix).to.equal('cachePrefix_job:');
+			expect(gateway.jobsPath).to.equal('/jobs');
+		});
+
+		it('should not have jobs store without redis', () => {
+			gateway = new Gateway({
+				logGroup: 'spec',
+				lambdas
+			});
+
+			expect(gateway.jobs).to.be.null;
+		});
+
+		it('should have cacheAdmin with no auth', () => {
+			expect(gateway.cacheAdmin).to.deep.equal({
+				path: '/cache',
+				key: null,
+				auth: null,
+				namespaces: null
+			});
+		});
+
 		it('should have bodyParser', () => {
 			expect(gateway.bodyParser).to.be.a('function');
+			expect(gateway.bodyLimit).to.equal(1024 * 1024);
 		});
 
 		it('should have cloudWatchLogs', () => {
@@ -207,6 +381,15 @@ describe('index.js', () => {
 			expect(gateway.lambdas).to.deep.equal(lambdas);
 		});
 
+		it('should have timeout', () => {
+			expect(gateway.timeout).to.be.null;
+			expect(new Gateway({
+				logGroup: 'spec',
+				lambdas,
+				timeout: 1000
+			}).timeout).to.equal(1000);
+		});
+
 		it('should have server', () => {
 			expect(gateway.server).to.be.instanceOf(http.Server);
 		});
@@ -216,6 +399,142 @@ describe('index.js', () => {
 		});
 	});
 
+	describe('setLambdas', () => {
+		it('should set lambdas and routes', () => {
+			const newLambdas = {
+				'/new': {
+					name: 'newFunctionName'
+				}
+			};
+
+			gateway.setLambdas(newLambdas);
+
+			expect(gateway.lambdas).to.equal(newLambdas);
+			expect(gateway.findFunction('/new')).to.equal(newLambdas['/new']);
+			expect(gateway.findFunction('/mocked')).to.be.null;
+		});
+
+		it('should throw and keep current lambdas if invalid', () => {
+			const routes = gateway.routes;
+
+			expect(() => gateway.setLambdas({
+				'/new': {}
+			})).to.throw('invalid lambdas manifest:\n/new: name is required.');
+
+			expect(gateway.lambdas).to.equal(lambdas);
+			expect(gateway.routes).to.equal(routes);
+		});
+	});
+
+	describe('reloadLambdas', () => {
+		beforeEach(() => {
+			sinon.stub(gateway.logger, 'log');
+		});
+
+		afterEach(() => {
+			gateway.logger.log.restore();
+			fs.readFileSync.restore();
+		});
+
+		it('should set lambdas from file', () => {
+			sinon.stub(fs, 'readFileSync')
+				.returns(JSON.stringify({
+					'/new': {
+						name: 'newFunctionName'
+					}
+				}));
+
+			expect(gateway.reloadLambdas('lambdas.json')).to.be.true;
+			expect(gateway.findFunction('/new')).to.deep.equal({
+				name: 'newFunctionName'
+			});
+		});
+
+		it('should log and keep current lambdas if invalid', () => {
+			sinon.stub(fs, 'readFileSync')
+				.returns(JSON.stringify({
+					'/new': {}
+				}));
+
+			expect(gateway.reloadLambdas('lambdas.json')).to.be.false;
+			expect(gateway.logger.log).to.have.been.calledWithMatch({
+				message: 'invalid lambdas manifest:\n/new: name is required.'
+			});
+			expect(gateway.lambdas).to.equal(lambdas);
+		});
+
+		it('should log and keep current lambdas if malformed', () => {
+			sinon.stub(fs, 'readFileSync')
+				.returns('{');
+
+			expect(gateway.reloadLambdas('lambdas.json')).to.be.false;
+			expect(gateway.logger.log).to.have.been.calledWithMatch(sinon.match.instanceOf(SyntaxError));
+			expect(gateway.lambdas).to.equal(lambdas);
+		});
+	});
+
+	describe('watchLambdas', () => {
+		beforeEach(() => {
+			sinon.stub(fs, 'watchFile');
+			sinon.stub(fs, 'unwatchFile');
+			sinon.stub(gateway, 'reloadLambdas');
+		});
+
+		afterEach(() => {
+			fs.watchFile.restore();
+			fs.unwatchFile.restore();
+			gateway.reloadLambdas.restore();
+		});
+
+		it('should call fs.watchFile', () => {
+			gateway.watchLambdas('lambdas.json');
+
+			expect(fs.watchFile).to.have.been.calledWithExactly('lambdas.json', {
+				interval: 1000
+			}, gateway.lambdasWatcher.listener);
+		});
+
+		it('should reload lambdas when file changes', () => {
+			gateway.watchLambdas('lambdas.json');
+
+			const listener = fs.watchFile.firstCall.args[2];
+
+			listener({
+				mtime: new Date(1)
+			}, {
+				mtime: new Date(1)
+			});
+
+			expect(gateway.reloadLambdas).not.to.have.been.called;
+
+			listener({
+				mtime: new Date(2)
+			}, {
+				mtime: new Date(1)
+			});
+
+			expect(gateway.reloadLambdas).to.have.been.calledWithExactly('lambdas.json');
+		});
+
+		it('should unwatch previous file', () => {
+			gateway.watchLambdas('lambdas.json');
+
+			const listener = fs.watchFile.firstCall.args[2];
+
+			gateway.watchLambdas('otherLambdas.json');
+
+			expect(fs.unwatchFile).to.have.been.calledWithExactly('lambdas.json', listener);
+		});
+
+		it('should unwatchLambdas', () => {
+			gateway.watchLambdas('lambdas.json');
+			gateway.unwatchLambdas();
+
+			expect(fs.unwatchFile).to.have.been.calledOnce;
+			expect(gateway.lambdasWatcher).to.be.null;
+		});
+	});
+
 	describe('invoke', () => {
 		beforeEach(() => {
 			sinon.stub(gateway.lambda, 'invoke')
@@ -235,6 +554,7 @@ describe('index.js', () => {
 				.subscribe(null, null, () => {
 					expect(gateway.lambda.invoke).to.have.been.calledWithExactly({
 						FunctionName: 'name',
+						InvocationType: 'RequestResponse',
 						Payload: JSON.stringify({}),
 						Qualifier: '$LATEST'
 					}, sinon.match.func);
@@ -250,6 +570,7 @@ describe('index.js', () => {
 				.subscribe(null, null, () => {
 					expect(gateway.lambda.invoke).to.have.been.calledWithExactly({
 						FunctionName: 'name',
+						InvocationType: 'RequestResponse',
 						Payload: JSON.stringify({
 							width: 10
 						}),
@@ -260,6 +581,20 @@ describe('index.js', () => {
 				});
 		});
 
+		it('should call lambda.invoke with invocation type', done => {
+			gateway.invoke('name', {}, 'version', 'Event')
+				.subscribe(null, null, () => {
+					expect(gateway.lambda.invoke).to.have.been.calledWithExactly({
+						FunctionName: 'name',
+						InvocationType: 'Event',
+						Payload: JSON.stringify({}),
+						Qualifier: 'version'
+					}, sinon.match.func);
+
+					done();
+				});
+		});
+
 		it('should return Payload', done => {
 			gateway.invoke('name')
 				.subscribe(response => {
@@ -269,91 +604,374 @@ describe('index.js', () => {
 				}, null, done);
 		});
 
-		describe('error', () => {
-			beforeEach(() => {
-				gateway.lambda.invoke.restore();
-
-				sinon.stub(gateway.lambda, 'invoke')
-					.callsArgWith(1, new Error('some error'));
+		it('should return null for void payload', done => {
+			gateway.lambda.invoke.callsArgWith(1, null, {
+				Payload: ''
 			});
 
-			it('should return Payload', done => {
-				gateway.invoke('name')
-					.subscribe(null, err => {
-						expect(err.message).to.equal('some error');
-						done();
-					});
-			});
+			gateway.invoke('name')
+				.subscribe(response => {
+					expect(response).to.be.null;
+				}, null, done);
 		});
-	});
 
-	describe('parseValue', () => {
-		it('should parse true', () => {
-			expect(gateway.parseValue('true')).to.be.true;
-			expect(gateway.parseValue(true)).to.be.true;
-		});
+		it('should return null for missing payload', done => {
+			gateway.lambda.invoke.callsArgWith(1, null, {});
 
-		it('should parse false', () => {
-			expect(gateway.parseValue('false')).to.be.false;
-			expect(gateway.parseValue(false)).to.be.false;
+			gateway.invoke('name')
+				.subscribe(response => {
+					expect(response).to.be.null;
+				}, null, done);
 		});
 
-		it('should parse nil', () => {
-			expect(gateway.parseValue('null')).to.be.null;
-			expect(gateway.parseValue(null)).to.be.null;
-			expect(gateway.parseValue('undefined')).to.be.null;
-			expect(gateway.parseValue(undefined)).to.be.null;
-		});
+		it('should return non JSON payload as text', done => {
+			gateway.lambda.invoke.callsArgWith(1, null, {
+				Payload: 'plain text'
+			});
 
-		it('should parse number', () => {
-			expect(gateway.parseValue('6')).to.equal(6);
-			expect(gateway.parseValue(6)).to.equal(6);
-			expect(gateway.parseValue('6.66')).to.equal(6.66);
+			gateway.invoke('name')
+				.subscribe(response => {
+					expect(response).to.equal('plain text');
+				}, null, done);
 		});
 
-		it('should parse string', () => {
-			expect(gateway.parseValue('string string')).to.equal('string string');
-			expect(gateway.parseValue(encodeURIComponent('string string'))).to.equal('string string');
-		});
-	});
+		it('should decode buffer payload', done => {
+			gateway.lambda.invoke.callsArgWith(1, null, {
+				Payload: Buffer.from(JSON.stringify({
+					width: 10
+				}))
+			});
 
-	describe('qs', () => {
-		it('should parse empty', () => {
-			expect(gateway.qs()).to.deep.equal({});
+			gateway.invoke('name')
+				.subscribe(response => {
+					expect(response).to.deep.equal({
+						width: 10
+					});
+				}, null, done);
 		});
 
-		it('should parse string', () => {
-			expect(gateway.qs('false=false&true=true&null=null&undefined=undefined&number=6.66&string=string')).to.deep.equal({
-				false: false,
-				true: true,
-				null: null,
-				undefined: null,
-				number: 6.66,
-				string: 'string'
-			});
-		});
-	});
+		it('should return 413 if request payload is too large', done => {
+			const err = new Error('payload too large');
 
-	describe('writeError', () => {
-		let err;
+			err.code = 'RequestTooLargeException';
+			gateway.lambda.invoke.callsArgWith(1, err);
 
-		beforeEach(() => {
-			err = new Error();
-			sinon.stub(gateway.logger, 'log');
+			gateway.invoke('name')
+				.subscribe(null, err => {
+					expect(err.statusCode).to.equal(413);
+					done();
+				});
 		});
 
-		afterEach(() => {
-			gateway.logger.log.restore();
+		it('should return 502 if response payload is too large', done => {
+			gateway.lambda.invoke.callsArgWith(1, null, {
+				FunctionError: 'Unhandled',
+				Payload: JSON.stringify({
+					errorMessage: 'Response payload size exceeded maximum allowed payload size (6291556 bytes).',
+					errorType: 'Function.ResponseSizeTooLarge'
+				})
+			});
+
+			gateway.invoke('name')
+				.subscribe(null, err => {
+					expect(err.statusCode).to.equal(502);
+					expect(err.name).to.equal('Function.ResponseSizeTooLarge');
+					done();
+				});
 		});
 
-		it('should call logger.log', () => {
-			gateway.writeError(res, err);
+		it('should return non JSON function error', done => {
+			gateway.lambda.invoke.callsArgWith(1, null, {
+				FunctionError: 'Unhandled',
+				Payload: 'Process exited before completing request'
+			});
 
-			expect(gateway.logger.log).to.have.been.calledWithExactly(err);
+			gateway.invoke('name')
+				.subscribe(null, err => {
+					expect(err.statusCode).to.equal(502);
+					expect(err.message).to.equal('Process exited before completing request');
+					done();
+				});
 		});
 
-		it('should statusCode be 500 by default', () => {
-			gateway.writeError(res, err);
+		it('should return function error', done => {
+			gateway.lambda.invoke.callsArgWith(1, null, {
+				FunctionError: 'Unhandled',
+				Payload: JSON.stringify({
+					errorMessage: 'some error',
+					errorType: 'TypeError',
+					stackTrace: []
+				})
+			});
+
+			gateway.invoke('name')
+				.subscribe(null, err => {
+					expect(err.message).to.equal('some error');
+					expect(err.name).to.equal('TypeError');
+					expect(err.statusCode).to.equal(502);
+					expect(err.context.functionError).to.equal('Unhandled');
+					done();
+				});
+		});
+
+		it('should return function error with intended statusCode', done => {
+			gateway.lambda.invoke.callsArgWith(1, null, {
+				FunctionError: 'Handled',
+				Payload: JSON.stringify({
+					errorMessage: JSON.stringify({
+						statusCode: 404,
+						message: 'user not found'
+					}),
+					errorType: 'Error'
+				})
+			});
+
+			gateway.invoke('name')
+				.subscribe(null, err => {
+					expect(err.message).to.equal('user not found');
+					expect(err.statusCode).to.equal(404);
+					done();
+				});
+		});
+
+		it('should abort request on unsubscribe', () => {
+			const request = {
+				abort: sinon.stub()
+			};
+
+			gateway.lambda.invoke.restore();
+			sinon.stub(gateway.lambda, 'invoke')
+				.returns(request);
+
+			gateway.invoke('name')
+				.subscribe()
+				.unsubscribe();
+
+			expect(request.abort).to.have.been.calledOnce;
+		});
+
+		it('should not abort completed request', () => {
+			const request = {
+				abort: sinon.stub()
+			};
+
+			gateway.lambda.invoke.returns(request);
+
+			gateway.invoke('name')
+				.subscribe()
+				.unsubscribe();
+
+			expect(request.abort).not.to.have.been.called;
+		});
+
+		describe('error', () => {
+			beforeEach(() => {
+				gateway.lambda.invoke.restore();
+
+				sinon.stub(gateway.lambda, 'invoke')
+					.callsArgWith(1, new Error('some error'));
+			});
+
+			it('should return Payload', done => {
+				gateway.invoke('name')
+					.subscribe(null, err => {
+						expect(err.message).to.equal('some error');
+						done();
+					});
+			});
+		});
+	});
+
+	describe('invokeBackend', () => {
+		beforeEach(() => {
+			sinon.stub(gateway, 'invoke')
+				.returns(Observable.of('invoked'));
+		});
+
+		afterEach(() => {
+			gateway.invoke.restore();
+		});
+
+		it('should call invoke by default', done => {
+			gateway.invokeBackend({
+					name: 'functionName'
+				}, {
+					width: 10
+				})
+				.subscribe(response => {
+					expect(gateway.invoke).to.have.been.calledWithExactly('functionName', {
+						width: 10
+					}, '$LATEST');
+					expect(response).to.equal('invoked');
+				}, null, done);
+		});
+
+		it('should call invoke with version', done => {
+			gateway.invokeBackend({
+					name: 'functionName',
+					backend: 'lambda',
+					version: 'version'
+				}, {})
+				.subscribe(() => {
+					expect(gateway.invoke).to.have.been.calledWithExactly('functionName', {}, 'version');
+				}, null, done);
+		});
+
+		it('should call invoke with Event invocation type if async', done => {
+			gateway.invokeBackend({
+					name: 'functionName',
+					async: true
+				}, {})
+				.subscribe(() => {
+					expect(gateway.invoke).to.have.been.calledWithExactly('functionName', {}, '$LATEST', 'Event');
+				}, null, done);
+		});
+
+		it('should call local backend', done => {
+			gateway.invokeBackend({
+					name: 'functionName',
+					backend: 'local',
+					handler: (event, context, callback) => callback(null, event)
+				}, {
+					width: 10
+				})
+				.subscribe(response => {
+					expect(gateway.invoke).not.to.have.been.called;
+					expect(response).to.deep.equal({
+						width: 10
+					});
+				}, null, done);
+		});
+
+		it('should call custom backend', done => {
+			const custom = sinon.stub()
+				.returns(Observable.of('custom'));
+			const lambda = {
+				name: 'functionName',
+				backend: 'custom'
+			};
+			const args = {
+				uri: '/'
+			};
+
+			const customGateway = new Gateway({
+				logGroup: 'spec',
+				lambdas: {
+					'/': lambda
+				},
+				backends: {
+					custom
+				}
+			});
+
+			customGateway.invokeBackend(lambda, {}, args)
+				.subscribe(response => {
+					expect(custom).to.have.been.calledWithExactly(lambda, {}, args);
+					expect(response).to.equal('custom');
+				}, null, done);
+		});
+
+		it('should return error if backend is unknown', done => {
+			gateway.invokeBackend({
+					name: 'functionName',
+					backend: 'custom'
+				}, {})
+				.subscribe(null, err => {
+					expect(err.message).to.equal('unknown backend custom.');
+					done();
+				});
+		});
+	});
+
+	describe('parseValue', () => {
+		it('should parse true', () => {
+			expect(gateway.parseValue('true')).to.be.true;
+			expect(gateway.parseValue(true)).to.be.true;
+		});
+
+		it('should parse false', () => {
+			expect(gateway.parseValue('false')).to.be.false;
+			expect(gateway.parseValue(false)).to.be.false;
+		});
+
+		it('should parse nil', () => {
+			expect(gateway.parseValue('null')).to.be.null;
+			expect(gateway.parseValue(null)).to.be.null;
+			expect(gateway.parseValue('undefined')).to.be.null;
+			expect(gateway.parseValue(undefined)).to.be.null;
+		});
+
+		it('should parse number', () => {
+			expect(gateway.parseValue('6')).to.equal(6);
+			expect(gateway.parseValue(6)).to.equal(6);
+			expect(gateway.parseValue('6.66')).to.equal(6.66);
+		});
+
+		it('should not parse non canonical number', () => {
+			expect(gateway.parseValue('01234')).to.equal('01234');
+			expect(gateway.parseValue('12abc')).to.equal('12abc');
+		});
+
+		it('should parse string', () => {
+			expect(gateway.parseValue('string string')).to.equal('string string');
+			expect(gateway.parseValue(encodeURIComponent('string string'))).to.equal('string string');
+		});
+	});
+
+	describe('qs', () => {
+		it('should parse empty', () => {
+			expect(gateway.qs()).to.deep.equal({});
+		});
+
+		it('should parse string', () => {
+			expect(gateway.qs('false=false&true=true&null=null&undefined=undefined&number=6.66&string=string')).to.deep.equal({
+				false: false,
+				true: true,
+				null: null,
+				undefined: null,
+				number: 6.66,
+				string: 'string'
+			});
+		});
+
+		it('should parse arrays and nested objects', () => {
+			expect(gateway.qs('tags=a&tags=b&user[zip]=01234')).to.deep.equal({
+				tags: ['a', 'b'],
+				user: {
+					zip: '01234'
+				}
+			});
+		});
+
+		it('should not coerce', () => {
+			expect(gateway.qs('number=6', {
+				coerce: false
+			})).to.deep.equal({
+				number: '6'
+			});
+		});
+	});
+
+	describe('writeError', () => {
+		let err;
+
+		beforeEach(() => {
+			err = new Error();
+			sinon.stub(gateway.logger, 'log');
+		});
+
+		afterEach(() => {
+			gateway.logger.log.restore();
+		});
+
+		it('should call logger.log', () => {
+			gateway.writeError(res, err);
+
+			expect(gateway.logger.log).to.have.been.calledWithExactly(err);
+		});
+
+		it('should statusCode be 500 by default', () => {
+			gateway.writeError(res, err);
 
 			expect(res.statusCode).to.equal(500);
 		});
@@ -426,7 +1044,7 @@ describe('index.js', () => {
 			gateway.setHeaders(res);
 
 			expect(res.setHeader).to.have.been.calledWithExactly('content-type', 'application/json');
-			expect(res.setHeader).to.have.been.calledWithExactly('access-control-allow-origin', '*');
+			expect(res.setHeader).not.to.have.been.calledWith('access-control-allow-origin');
 		});
 
 		it('should call res.setHeader with custom headers', () => {
@@ -435,7 +1053,7 @@ describe('index.js', () => {
 			});
 
 			expect(res.setHeader).to.have.been.calledWithExactly('content-type', 'image/png');
-			expect(res.setHeader).to.have.been.calledWithExactly('access-control-allow-origin', '*');
+			expect(res.setHeader).not.to.have.been.calledWith('access-control-allow-origin');
 		});
 	});
 
@@ -481,7 +1099,7 @@ describe('index.js', () => {
 
 			gateway.responds(res, null, b64);
 
-			expect(gateway.write).to.have.been.calledWithExactly(res, b64);
+			expect(gateway.write).to.have.been.calledWithExactly(res, b64, 200);
 		});
 
 		it('should call write with buffer from base64 string', () => {
@@ -491,6 +1109,24 @@ describe('index.js', () => {
 
 			expect(Buffer.isBuffer(gateway.write.firstCall.args[1])).to.be.true;
 		});
+
+		it('should call write with buffer as is', () => {
+			const buffer = Buffer.from('spec');
+
+			gateway.responds(res, null, buffer, {}, true);
+
+			expect(gateway.write.firstCall.args[1]).to.equal(buffer);
+		});
+
+		it('should not decode non string data', () => {
+			gateway.responds(res, null, {
+				width: 10
+			}, {}, true);
+
+			expect(gateway.write).to.have.been.calledWithExactly(res, {
+				width: 10
+			}, 200);
+		});
 	});
 
 	describe('makeError', () => {
@@ -524,7 +1160,7 @@ describe('index.js', () => {
 			sinon.stub(gateway, 'bodyParser')
 				.callsArgWith(2, null, {
 					body: 'body'
-				});
+				}, Buffer.from('{"body":"body"}'));
 		});
 
 		afterEach(() => {
@@ -546,6 +1182,7 @@ describe('index.js', () => {
 						width: 10,
 						height: 20
 					},
+					pathParams: {},
 					url: {
 						path: '/param1/param2?width=10&height=20',
 						pathname: '/param1/param2',
@@ -575,6 +1212,8 @@ describe('index.js', () => {
 						width: 10,
 						height: 20
 					},
+					pathParams: {},
+					rawBody: Buffer.from('{"body":"body"}'),
 					url: {
 						path: '/param1/param2?width=10&height=20',
 						pathname: '/param1/param2',
@@ -585,6 +1224,118 @@ describe('index.js', () => {
 			});
 		});
 
+		['PATCH', 'DELETE'].forEach(method => {
+			it(`should return parsed request with body when req.method = ${method}`, () => {
+				req.method = method;
+
+				gateway.parseRequest(req, (err, args) => {
+					expect(err).to.be.null;
+					expect(args.body).to.deep.equal({
+						body: 'body'
+					});
+				});
+			});
+		});
+
+		it('should not coerce params if lambda opts out', () => {
+			const zipGateway = new Gateway({
+				logGroup: 'spec',
+				lambdas: {
+					'/zip': {
+						name: 'zip',
+						coerceParams: false
+					}
+				}
+			});
+
+			req.url = 'http://localhost/zip?code=01234&number=6';
+
+			zipGateway.parseRequest(req, (err, args) => {
+				expect(args.params).to.deep.equal({
+					code: '01234',
+					number: '6'
+				});
+			});
+		});
+
+		it('should coerce params according to given route', () => {
+			const zipGateway = new Gateway({
+				logGroup: 'spec',
+				lambdas: {
+					'/zip': {
+						name: 'zip',
+						coerceParams: false
+					}
+				}
+			});
+
+			const route = zipGateway.findRoute('/zip', 'GET');
+
+			zipGateway.setLambdas({
+				'/zip': {
+					name: 'zip'
+				}
+			});
+
+			req.url = 'http://localhost/zip?number=6';
+
+			zipGateway.parseRequest(req, (err, args) => {
+				expect(args.params).to.deep.equal({
+					number: '6'
+				});
+			}, route);
+		});
+
+		it('should leave params coercion to schema', () => {
+			const schemaGateway = new Gateway({
+				logGroup: 'spec',
+				lambdas: {
+					'/zip': {
+						name: 'zip',
+						schema: {
+							params: {
+								type: 'object'
+							},
+							coerce: true
+						}
+					}
+				}
+			});
+
+			req.url = 'http://localhost/zip?code=01234&number=6';
+
+			schemaGateway.parseRequest(req, (err, args) => {
+				expect(args.params).to.deep.equal({
+					code: '01234',
+					number: '6'
+				});
+			});
+		});
+
+		it('should call bodyParser with options', () => {
+			req.method = 'POST';
+
+			gateway.parseRequest(req, () => null);
+
+			expect(gateway.bodyParser).to.have.been.calledWithExactly(req, {
+				limit: 1024 * 1024,
+				files: 'base64',
+				tmpDir: null
+			}, sinon.match.func);
+		});
+
+		it('should return bodyParser error', () => {
+			const err = new Error('Payload Too Large');
+
+			err.statusCode = 413;
+			gateway.bodyParser.callsArgWith(2, err);
+			req.method = 'POST';
+
+			gateway.parseRequest(req, response => {
+				expect(response).to.equal(err);
+			});
+		});
+
 		it('should return parsed request with body when req.method = PUT', () => {
 			req.method = 'PUT';
 
@@ -604,6 +1355,8 @@ describe('index.js', () => {
 						width: 10,
 						height: 20
 					},
+					pathParams: {},
+					rawBody: Buffer.from('{"body":"body"}'),
 					url: {
 						path: '/param1/param2?width=10&height=20',
 						pathname: '/param1/param2',
@@ -615,20 +1368,80 @@ describe('index.js', () => {
 		});
 	});
 
-	describe('callLambda', () => {
-		let args;
-
-		const plainResult = 'result';
-		const completeResult = {
-			headers: {
-				fromResultHeader: 'fromResultHeader'
-			},
-			body: 'result'
-		};
+	describe('bodyOptions', () => {
+		it('should return default options', () => {
+			expect(gateway.bodyOptions({
+				method: 'POST',
+				uri: '/'
+			})).to.deep.equal({
+				limit: 1024 * 1024,
+				files: 'base64',
+				tmpDir: null
+			});
+		});
 
-		beforeEach(() => {
-			args = {
-				body: {},
+		it('should return lambda options', () => {
+			gateway = new Gateway({
+				logGroup: 'spec',
+				uploadsDir: '/uploads',
+				lambdas: {
+					'/upload': {
+						name: 'upload',
+						body: {
+							limit: 10,
+							files: 'tmp'
+						}
+					}
+				}
+			});
+
+			expect(gateway.bodyOptions({
+				method: 'POST',
+				uri: '/upload'
+			})).to.deep.equal({
+				limit: 10,
+				files: 'tmp',
+				tmpDir: '/uploads'
+			});
+		});
+
+		it('should return options of given route', () => {
+			const route = gateway.findRoute('/upload', 'POST');
+
+			gateway.setLambdas({
+				'/upload': {
+					name: 'upload',
+					body: {
+						limit: 10
+					}
+				}
+			});
+
+			expect(gateway.bodyOptions({
+				method: 'POST',
+				uri: '/upload'
+			}, route)).to.deep.equal({
+				limit: 1024 * 1024,
+				files: 'base64',
+				tmpDir: null
+			});
+		});
+	});
+
+	describe('callLambda', () => {
+		let args;
+
+		const plainResult = 'result';
+		const completeResult = {
+			headers: {
+				fromResultHeader: 'fromResultHeader'
+			},
+			body: 'result'
+		};
+
+		beforeEach(() => {
+			args = {
+				body: {},
 				hasExtension: false,
 				headers: {},
 				host: 'localhost',
@@ -689,6 +1502,129 @@ describe('index.js', () => {
 						});
 					}, null, done);
 			});
+			it('should call cache.key with pathParams', done => {
+				sinon.stub(gateway.cacheDriver, 'get')
+					.returns(Observable.of(plainResult));
+
+				args.pathParams = {
+					userId: '123'
+				};
+
+				gateway.callLambda({
+						name: 'functionName',
+						cache: {
+							enabled: true,
+							key: args => `/users/${args.pathParams.userId}`
+						}
+					}, args)
+					.subscribe(() => {
+						expect(gateway.cacheDriver.get).to.have.been.calledWithExactly({
+							namespace: args.host,
+							key: 'cachePrefix_/users/123'
+						}, sinon.match.func);
+					}, null, done);
+			});
+
+			it('should call cacheDriver.get with route ttl, ttr and timeout', done => {
+				sinon.stub(gateway.cacheDriver, 'get')
+					.returns(Observable.of(plainResult));
+
+				gateway.callLambda({
+						name: 'functionName',
+						cache: {
+							enabled: true,
+							key: '/prices',
+							ttl: 60,
+							ttr: args => args.params.width,
+							timeout: () => 'invalid'
+						}
+					}, args)
+					.subscribe(() => {
+						expect(gateway.cacheDriver.get).to.have.been.calledWithExactly({
+							namespace: args.host,
+							key: 'cachePrefix_/prices',
+							ttl: 60,
+							ttr: 10
+						}, sinon.match.func);
+					}, null, done);
+			});
+
+			it('should let lambda response override ttl and ttr', done => {
+				let cacheArgs;
+
+				sinon.stub(gateway, 'invoke')
+					.returns(Observable.of({
+						body: 'result',
+						headers: {},
+						cache: {
+							ttl: 30,
+							ttr: -1
+						}
+					}));
+
+				sinon.stub(gateway.cacheDriver, 'get')
+					.callsFake((args, fallback) => {
+						cacheArgs = args;
+
+						return fallback(args);
+					});
+
+				gateway.callLambda({
+						name: 'functionName',
+						cache: {
+							enabled: true,
+							key: '/prices',
+							ttl: 60
+						}
+					}, args)
+					.subscribe(response => {
+						gateway.invoke.restore();
+
+						expect(cacheArgs).to.deep.equal({
+							namespace: args.host,
+							key: 'cachePrefix_/prices',
+							ttl: 30
+						});
+						expect(response.body).to.equal('result');
+						expect(response.headers.age).to.equal('0');
+						expect(response.headers['cache-control']).to.equal('public, max-age=30, stale-while-revalidate=0');
+					}, null, done);
+			});
+
+			it('should add private cache headers to stamped hits of authenticated routes', done => {
+				args.params.auth = {
+					role: 'public'
+				};
+
+				sinon.stub(gateway.cacheDriver, 'get')
+					.returns(Observable.of({
+						body: 'result',
+						headers: {
+							'last-modified': 'Sat, 17 Oct 2026 00:00:00 GMT'
+						},
+						cachedAt: 0
+					}));
+
+				gateway.callLambda({
+						name: 'functionName',
+						auth: {
+							secret: 'secret'
+						},
+						cache: {
+							enabled: true,
+							key: {
+								auth: ['role']
+							},
+							ttl: 120,
+							ttr: 60
+						}
+					}, args)
+					.subscribe(response => {
+						expect(response.headers['cache-control']).to.equal('private, max-age=60, stale-while-revalidate=60');
+						expect(response.headers['last-modified']).to.equal('Sat, 17 Oct 2026 00:00:00 GMT');
+						expect(response.headers.age).to.be.a('string');
+					}, null, done);
+			});
 		});
 
 		describe('cached with mocked headers and base64', () => {
@@ -793,6 +1729,7 @@ describe('index.js', () => {
 							headers: args.headers,
 							body: args.body,
 							params: args.params,
+							pathParams: {},
 							uri: args.uri
 						}, '$LATEST');
 					}, null, done);
@@ -809,6 +1746,41 @@ describe('index.js', () => {
 					}, null, done);
 			});
 
+			it('should call invoke with pathParams', done => {
+				args.pathParams = {
+					userId: '123'
+				};
+
+				gateway.callLambda(lambdas['/'], args)
+					.subscribe(() => {
+						expect(gateway.invoke).to.have.been.calledWithExactly('functionName', {
+							method: args.method,
+							headers: args.headers,
+							body: args.body,
+							params: args.params,
+							pathParams: {
+								userId: '123'
+							},
+							uri: args.uri
+						}, '$LATEST');
+					}, null, done);
+			});
+
+			it('should call invoke with params and pathParams when params only', done => {
+				lambdas['/'].paramsOnly = true;
+				args.pathParams = {
+					userId: '123'
+				};
+
+				gateway.callLambda(lambdas['/'], args)
+					.subscribe(() => {
+						expect(gateway.invoke).to.have.been.calledWithExactly('functionName', {
+							width: 10,
+							userId: '123'
+						}, '$LATEST');
+					}, null, done);
+			});
+
 			it('should return', done => {
 				gateway.callLambda(lambdas['/'], args)
 					.subscribe(response => {
@@ -828,179 +1800,1787 @@ describe('index.js', () => {
 					}, null, done);
 			});
 
-			it('should return mocked', done => {
-				gateway.callLambda(lambdas['/mocked'], args)
-					.subscribe(response => {
-						expect(response).to.deep.equal({
-							body: {},
-							headers: {
-								'content-type': 'image/png'
-							},
-							base64: true,
-							statusCode: 200
-						});
-					}, null, done);
+			it('should return 504 on lambda timeout', done => {
+				gateway.invoke.returns(Observable.never());
+
+				gateway.callLambda({
+						name: 'functionName',
+						timeout: 10
+					}, args)
+					.subscribe(null, err => {
+						expect(err.statusCode).to.equal(504);
+						expect(err.message).to.equal('Gateway Timeout');
+						done();
+					});
 			});
-		});
-	});
 
-	describe('findFunction', () => {
-		beforeEach(() => {
-			gateway.lambdas = {
-				'/': 'function-0',
-				'/param1': 'function-1',
-				'/param1/param2': 'function-2',
-				'/param1/param2/param3': 'function-3'
-			};
-		});
+			it('should return 504 on global timeout', done => {
+				gateway.timeout = 10;
+				gateway.invoke.returns(Observable.never());
 
-		it('should return null if no url matches', () => {
-			expect(gateway.findFunction('/inexistent')).to.be.null;
-		});
+				gateway.callLambda(lambdas['/'], args)
+					.subscribe(null, err => {
+						expect(err.statusCode).to.equal(504);
+						done();
+					});
+			});
 
-		it('should return function-0', () => {
-			expect(gateway.findFunction('/')).to.equal('function-0');
-		});
+			it('should unsubscribe invocation on timeout', done => {
+				const unsubscribed = sinon.stub();
 
-		it('should return function-1', () => {
-			expect(gateway.findFunction('/param1/param3/param4')).to.equal('function-1');
-			expect(gateway.findFunction('/param1')).to.equal('function-1');
-		});
+				gateway.invoke.returns(Observable.never()
+					.finally(unsubscribed));
 
-		it('should return function-2', () => {
-			expect(gateway.findFunction('/param1/param2/param4')).to.equal('function-2');
-			expect(gateway.findFunction('/param1/param2')).to.equal('function-2');
-		});
+				gateway.callLambda({
+						name: 'functionName',
+						timeout: 10
+					}, args)
+					.subscribe(null, () => {
+						expect(unsubscribed).to.have.been.calledOnce;
+						done();
+					});
+			});
 
-		it('should return function-3', () => {
-			expect(gateway.findFunction('/param1/param2/param3/param4')).to.equal('function-3');
-			expect(gateway.findFunction('/param1/param2/param3')).to.equal('function-3');
-		});
+			describe('retry', () => {
+				let err;
 
-		describe('partial match', () => {
-			beforeEach(() => {
-				gateway.lambdas = {
-					'/*': 'wildcard-0',
-					'/*/param2': 'wildcard-1',
-					'/*/param2/param3': 'wildcard-2',
-					'/*/*/param3': 'wildcard-3'
-				};
-			});
+				beforeEach(() => {
+					err = new Error('Rate Exceeded');
+					err.code = 'TooManyRequestsException';
 
-			it('should return wildcard-1', () => {
-				expect(gateway.findFunction('/')).to.equal('wildcard-0');
-			});
+					sinon.stub(gateway.logger, 'log');
+					gateway.invoke.onCall(0)
+						.returns(Observable.throw(err));
+				});
 
-			it('should return wildcard-1', () => {
-				expect(gateway.findFunction('/any')).to.equal('wildcard-0');
-			});
+				afterEach(() => {
+					gateway.logger.log.restore();
+				});
 
-			it('should return wildcard-1', () => {
-				expect(gateway.findFunction('/any/param2')).to.equal('wildcard-1');
-			});
+				it('should retry and log attempts', done => {
+					gateway.callLambda({
+							name: 'functionName',
+							retry: {
+								delay: 1
+							}
+						}, args)
+						.subscribe(() => {
+							expect(gateway.invoke).to.have.been.calledTwice;
+							expect(gateway.logger.log).to.have.been.calledWithMatch({
+								name: 'functionName',
+								attempt: 1,
+								error: 'TooManyRequestsException'
+							});
+						}, null, done);
+				});
 
-			it('should return wildcard-2', () => {
-				expect(gateway.findFunction('/any/param2/param3')).to.equal('wildcard-2');
+				it('should not retry non idempotent methods by default', done => {
+					args.method = 'POST';
+
+					gateway.callLambda({
+							name: 'functionName',
+							retry: {
+								delay: 1
+							}
+						}, args)
+						.subscribe(null, err => {
+							expect(err.code).to.equal('TooManyRequestsException');
+							expect(gateway.invoke).to.have.been.calledOnce;
+							done();
+						});
+				});
+
+				it('should retry configured methods', done => {
+					args.method = 'POST';
+
+					gateway.callLambda({
+							name: 'functionName',
+							retry: {
+								delay: 1,
+								methods: ['POST']
+							}
+						}, args)
+						.subscribe(() => {
+							expect(gateway.invoke).to.have.been.calledTwice;
+						}, null, done);
+				});
+
+				it('should not retry without policy', done => {
+					gateway.callLambda(lambdas['/'], args)
+						.subscribe(null, () => {
+							expect(gateway.invoke).to.have.been.calledOnce;
+							done();
+						});
+				});
 			});
 
-			it('should return wildcard-3', () => {
-				expect(gateway.findFunction('/any/any/param3')).to.equal('wildcard-3');
+			it('should return typed error', done => {
+				gateway.invoke.returns(Observable.of({
+					errorType: 'NotFoundError',
+					errorMessage: 'user not found',
+					statusCode: 404
+				}));
+
+				gateway.callLambda(lambdas['/'], args)
+					.subscribe(null, err => {
+						expect(err.message).to.equal('user not found');
+						expect(err.name).to.equal('NotFoundError');
+						expect(err.statusCode).to.equal(404);
+						done();
+					});
 			});
-		});
 
-		describe('full wildcards', () => {
-			beforeEach(() => {
-				gateway.lambdas = {
-					'/*': 'wildcard-0',
-					'/*/*': 'wildcard-1',
-					'/*/*/*': 'wildcard-2'
+			it('should not open circuit breaker on client errors', done => {
+				const lambda = {
+					name: 'functionName',
+					breaker: {
+						threshold: 1
+					}
 				};
-			});
 
-			it('should return wildcard-0', () => {
-				expect(gateway.findFunction('/')).to.equal('wildcard-0');
-			});
+				gateway.invoke.returns(Observable.of({
+					errorType: 'NotFoundError',
+					statusCode: 404
+				}));
 
-			it('should return wildcard-0', () => {
-				expect(gateway.findFunction('/inexistent')).to.equal('wildcard-0');
+				gateway.callLambda(lambda, args)
+					.catch(() => gateway.callLambda(lambda, args))
+					.subscribe(null, err => {
+						expect(gateway.invoke).to.have.been.calledTwice;
+						expect(err.statusCode).to.equal(404);
+						done();
+					});
 			});
 
-			it('should return wildcard-1', () => {
-				expect(gateway.findFunction('/inexistent/inexistent')).to.equal('wildcard-1');
-			});
+			it('should open circuit breaker after failures', done => {
+				const lambda = {
+					name: 'functionName',
+					breaker: {
+						threshold: 1
+					}
+				};
 
-			it('should return wildcard-2', () => {
-				expect(gateway.findFunction('/inexistent/inexistent/inexistent')).to.equal('wildcard-2');
+				gateway.invoke.returns(Observable.throw(new Error('some error')));
+
+				gateway.callLambda(lambda, args)
+					.catch(() => gateway.callLambda(lambda, args))
+					.subscribe(null, err => {
+						expect(gateway.invoke).to.have.been.calledOnce;
+						expect(err.statusCode).to.equal(503);
+						done();
+					});
 			});
-		});
-	});
 
-	describe('handle', () => {
-		beforeEach(() => {
-			sinon.spy(gateway, 'parseRequest');
-			sinon.stub(gateway, 'write');
-			sinon.stub(gateway, 'responds');
-			sinon.stub(gateway.cacheDriver, 'markToRefresh')
-				.returns(Observable.of([0]));
-			sinon.stub(gateway.cacheDriver, 'unset')
-				.returns(Observable.of([1]));
-			sinon.stub(gateway, 'callLambda')
-				.returns(Observable.of({
-					body: 'body',
-					headers: {
-						'content-type': 'image/png'
-					},
-					base64: true
-				}));
-			sinon.stub(gateway, 'bodyParser')
-				.callsArgWith(2, null, {
-					keys: ['/']
+			describe('breaker fallback of cached routes', () => {
+				let cacheDriver;
+
+				beforeEach(() => {
+					cacheDriver = gateway.cacheDriver;
+					gateway.cacheDriver = new MemoryCacheDriver({
+						ttr: 1
+					});
 				});
-		});
 
-		afterEach(() => {
-			gateway.parseRequest.restore();
-			gateway.write.restore();
-			gateway.responds.restore();
-			gateway.cacheDriver.markToRefresh.restore();
-			gateway.cacheDriver.unset.restore();
-			gateway.callLambda.restore();
-			gateway.bodyParser.restore();
-		});
+				afterEach(() => {
+					gateway.cacheDriver = cacheDriver;
+				});
 
-		it('should call write if req.method === OPTIONS', () => {
-			req.method = 'OPTIONS';
+				it('should serve stale entry without storing nor restamping it', done => {
+					const lambda = {
+						name: 'functionName',
+						cache: {
+							enabled: true,
+							key: '/breaker'
+						},
+						breaker: {
+							threshold: 1,
+							fallback: 'cache'
+						}
+					};
 
-			gateway.handle(req, res);
+					gateway.invoke.returns(Observable.of('result'));
 
-			expect(gateway.write).to.have.been.calledWithExactly(res);
-		});
+					gateway.callLambda(lambda, args)
+						.subscribe(() => {
+							const entry = gateway.cacheDriver.namespace(args.host)
+								.get('cachePrefix_/breaker');
 
-		it('should call write if req.url === /favicon.ico', () => {
-			req.url = '/favicon.ico';
+							entry.createdAt -= 10000;
+							entry.value.cachedAt -= 10000;
 
-			gateway.handle(req, res);
+							const {
+								createdAt,
+								value
+							} = entry;
 
-			expect(gateway.write).to.have.been.calledWithExactly(res);
+							gateway.getBreaker(lambda)
+								.failure();
+
+							gateway.callLambda(lambda, args)
+								.subscribe(response => {
+									const current = gateway.cacheDriver.namespace(args.host)
+										.get('cachePrefix_/breaker');
+
+									expect(gateway.invoke).to.have.been.calledOnce;
+									expect(response.body).to.equal('result');
+									expect(parseInt(response.headers.age, 10)).to.be.at.least(10);
+									expect(current.createdAt).to.equal(createdAt);
+									expect(current.value).to.equal(value);
+								}, null, done);
+						});
+				});
+
+				it('should serve static fallback without storing it', done => {
+					const lambda = {
+						name: 'functionName',
+						cache: {
+							enabled: true,
+							key: '/breaker'
+						},
+						breaker: {
+							threshold: 1,
+							fallback: {
+								body: 'fallback',
+								headers: {}
+							}
+						}
+					};
+
+					gateway.getBreaker(lambda)
+						.failure();
+
+					gateway.callLambda(lambda, args)
+						.subscribe(response => {
+							expect(response.body).to.equal('fallback');
+							expect(gateway.cacheDriver.keys(args.host)).to.deep.equal([]);
+						}, null, done);
+				});
+			});
+
+			it('should return empty body for void response', done => {
+				gateway.invoke.returns(Observable.of(null));
+
+				gateway.callLambda(lambdas['/'], args)
+					.subscribe(response => {
+						expect(response).to.deep.equal({
+							body: '',
+							headers: {},
+							base64: false,
+							statusCode: 200
+						});
+					}, null, done);
+			});
+
+			describe('async', () => {
+				const asyncLambda = {
+					name: 'functionName',
+					async: true,
+					cache: {
+						enabled: true,
+						key: 'key'
+					}
+				};
+
+				beforeEach(() => {
+					gateway.jobs = new JobStore();
+					gateway.invoke.returns(Observable.of(null));
+				});
+
+				it('should return 202 with job', done => {
+					gateway.callLambda(asyncLambda, args)
+						.subscribe(response => {
+							const jobId = response.body.jobId;
+
+							expect(jobId).to.be.a('string');
+							expect(response).to.deep.equal({
+								body: {
+									jobId,
+									status: 'pending',
+									statusPath: `/jobs/${jobId}`
+								},
+								headers: {
+									location: `/jobs/${jobId}`
+								},
+								base64: false,
+								statusCode: 202
+							});
+						}, null, done);
+				});
+
+				it('should invoke with job and not cache', done => {
+					gateway.callLambda(asyncLambda, args)
+						.mergeMap(response => gateway.jobs.get(response.body.jobId))
+						.subscribe(job => {
+							expect(gateway.cacheDriver.get).not.to.have.been.called;
+							expect(gateway.invoke).to.have.been.calledWithExactly('functionName', {
+								method: 'GET',
+								headers: {},
+								body: {},
+								params: {
+									width: 10
+								},
+								pathParams: {},
+								uri: '/',
+								job: {
+									id: job.id,
+									token: job.token,
+									path: `/jobs/${job.id}`
+								}
+							}, '$LATEST', 'Event');
+						}, null, done);
+				});
+
+				it('should mark job as failed if invocation fails', done => {
+					sinon.spy(gateway.jobs, 'update');
+					gateway.invoke.returns(Observable.throw(new Error('some error')));
+
+					gateway.callLambda(asyncLambda, args)
+						.subscribe(null, err => {
+							expect(err.message).to.equal('some error');
+							expect(gateway.jobs.update).to.have.been.calledWith(sinon.match.string, sinon.match.string, {
+								status: 'failed',
+								error: 'some error'
+							});
+							done();
+						});
+				});
+
+				it('should return 202 without status if jobs path is shadowed', done => {
+					gateway.setLambdas({
+						'/jobs/:jobId': {
+							name: 'legacyJobs'
+						}
+					});
+
+					gateway.callLambda(asyncLambda, args)
+						.subscribe(response => {
+							expect(response.body).to.have.all.keys('jobId', 'status');
+							expect(response.headers).to.deep.equal({});
+							expect(gateway.invoke.firstCall.args[1].job.path).to.be.null;
+						}, null, done);
+				});
+
+				it('should return 202 with status if jobs path is matched by catch-all route', done => {
+					gateway.setLambdas({
+						'/*': {
+							name: 'catchAll'
+						}
+					});
+
+					gateway.callLambda(asyncLambda, args)
+						.subscribe(response => {
+							expect(response.body.statusPath).to.equal(`/jobs/${response.body.jobId}`);
+						}, null, done);
+				});
+
+				it('should return 202 without status if no jobs store', done => {
+					gateway.jobs = null;
+
+					gateway.callLambda(asyncLambda, args)
+						.subscribe(response => {
+							expect(response.statusCode).to.equal(202);
+							expect(response.body).to.have.all.keys('jobId', 'status');
+							expect(response.headers).to.deep.equal({});
+						}, null, done);
+				});
+			});
+
+			it('should return mocked', done => {
+				gateway.callLambda(lambdas['/mocked'], args)
+					.subscribe(response => {
+						expect(response).to.deep.equal({
+							body: {},
+							headers: {
+								'content-type': 'image/png'
+							},
+							base64: true,
+							statusCode: 200
+						});
+					}, null, done);
+			});
+		});
+	});
+
+	describe('validateResponse', () => {
+		let response;
+
+		const schemaLambda = mode => ({
+			name: 'functionName',
+			schema: {
+				response: {
+					type: 'object',
+					properties: {
+						id: {
+							type: 'string'
+						}
+					},
+					required: ['id']
+				},
+				responseMode: mode
+			}
+		});
+
+		beforeEach(() => {
+			sinon.stub(gateway.logger, 'log');
+
+			response = {
+				body: {
+					id: 'id',
+					password: 'password'
+				},
+				headers: {},
+				base64: false,
+				statusCode: 200
+			};
+		});
+
+		afterEach(() => {
+			gateway.logger.log.restore();
+		});
+
+		it('should return response if no schema', done => {
+			gateway.validateResponse(lambdas['/'], response)
+				.subscribe(result => {
+					expect(result).to.equal(response);
+				}, null, done);
+		});
+
+		it('should return valid response', done => {
+			gateway.validateResponse(schemaLambda(), response)
+				.subscribe(result => {
+					expect(result.body).to.deep.equal({
+						id: 'id',
+						password: 'password'
+					});
+					expect(gateway.logger.log).not.to.have.been.called;
+				}, null, done);
+		});
+
+		it('should reject with 502 and log', done => {
+			response.body.id = 1;
+
+			gateway.validateResponse(schemaLambda('reject'), response)
+				.subscribe(null, err => {
+					expect(err.statusCode).to.equal(502);
+					expect(err.message).to.equal('Bad Gateway');
+					expect(gateway.logger.log).to.have.been.calledWithExactly({
+						message: 'functionName response doesn\'t match schema.',
+						name: 'functionName',
+						mode: 'reject',
+						errors: ['body.id should be string']
+					});
+					done();
+				});
+		});
+
+		it('should strip unknown fields', done => {
+			gateway.validateResponse(schemaLambda('strip'), response)
+				.subscribe(result => {
+					expect(result.body).to.deep.equal({
+						id: 'id'
+					});
+				}, null, done);
+		});
+
+		it('should validate stringified body', done => {
+			response.body = JSON.stringify(response.body);
+
+			gateway.validateResponse(schemaLambda('reject'), response)
+				.subscribe(result => {
+					expect(result.body).to.equal('{"id":"id","password":"password"}');
+					expect(gateway.logger.log).not.to.have.been.called;
+				}, null, done);
+		});
+
+		it('should strip stringified body', done => {
+			response.body = JSON.stringify(response.body);
+
+			gateway.validateResponse(schemaLambda('strip'), response)
+				.subscribe(result => {
+					expect(result.body).to.equal('{"id":"id"}');
+				}, null, done);
+		});
+
+		it('should log without altering response', done => {
+			response.body.id = 1;
+
+			gateway.validateResponse(schemaLambda('log'), response)
+				.subscribe(result => {
+					expect(result.body).to.deep.equal({
+						id: 1,
+						password: 'password'
+					});
+					expect(gateway.logger.log).to.have.been.calledOnce;
+				}, null, done);
+		});
+
+		it('should not validate error responses', done => {
+			response.body = 'Not Found';
+			response.statusCode = 404;
+
+			gateway.validateResponse(schemaLambda('reject'), response)
+				.subscribe(result => {
+					expect(result).to.equal(response);
+				}, null, done);
+		});
+
+		it('should validate lambda responses', done => {
+			sinon.stub(gateway, 'invoke')
+				.returns(Observable.of({
+					body: {
+						id: 'id',
+						password: 'password'
+					},
+					headers: {}
+				}));
+
+			gateway.callLambda(schemaLambda('strip'), {
+					method: 'GET',
+					params: {},
+					url: {}
+				})
+				.subscribe(result => {
+					expect(result.body).to.deep.equal({
+						id: 'id'
+					});
+
+					gateway.invoke.restore();
+				}, null, done);
+		});
+	});
+
+	describe('cacheOperation', () => {
+		let adminGateway;
+
+		beforeEach(() => {
+			adminGateway = new Gateway({
+				dev: true,
+				cachePrefix: 'prefix_',
+				lambdas
+			});
+
+			['/', '/users/1', '/users/2', '/users', '/cached'].forEach(key => adminGateway.cacheDriver.set('http://localhost', `prefix_${key}`, key));
+		});
+
+		describe('list', () => {
+			it('should return sorted keys page', done => {
+				adminGateway.cacheOperation('list', {
+						namespace: 'http://localhost',
+						limit: 2
+					})
+					.subscribe(response => {
+						expect(response).to.deep.equal({
+							keys: ['prefix_/', 'prefix_/cached'],
+							cursor: 2
+						});
+					}, null, done);
+			});
+
+			it('should return filtered keys', done => {
+				adminGateway.cacheOperation('list', {
+						namespace: 'http://localhost',
+						prefix: 'prefix_/users/'
+					})
+					.subscribe(response => {
+						expect(response).to.deep.equal({
+							keys: ['prefix_/users/1', 'prefix_/users/2'],
+							cursor: null
+						});
+					}, null, done);
+			});
+		});
+
+		describe('inspect', () => {
+			it('should return entry', done => {
+				adminGateway.cacheOperation('inspect', {
+						namespace: 'http://localhost',
+						key: 'prefix_/cached'
+					})
+					.subscribe(response => {
+						expect(response.value).to.equal('/cached');
+						expect(response.ttl).to.equal(60 * 60 * 24 * 30);
+						expect(response.refresh).to.be.false;
+					}, null, done);
+			});
+
+			it('should throw 404 if key is missing', done => {
+				adminGateway.cacheOperation('inspect', {
+						namespace: 'http://localhost',
+						key: 'prefix_/inexistent'
+					})
+					.subscribe(null, err => {
+						expect(err.statusCode).to.equal(404);
+
+						done();
+					});
+			});
+
+			it('should throw 400 without key', done => {
+				adminGateway.cacheOperation('inspect', {
+						namespace: 'http://localhost'
+					})
+					.subscribe(null, err => {
+						expect(err.statusCode).to.equal(400);
+						expect(err.message).to.equal('key is required.');
+
+						done();
+					});
+			});
+		});
+
+		describe('purge', () => {
+			it('should unset by pattern', done => {
+				adminGateway.cacheOperation('purge', {
+						namespace: 'http://localhost',
+						pattern: 'prefix_/users/*'
+					})
+					.subscribe(response => {
+						expect(response).to.deep.equal({
+							keys: ['prefix_/users/1', 'prefix_/users/2'],
+							count: 2
+						});
+						expect(adminGateway.cacheDriver.keys('http://localhost')).to.deep.equal(['prefix_/', 'prefix_/users', 'prefix_/cached']);
+					}, null, done);
+			});
+
+			it('should unset by route', done => {
+				adminGateway.cacheOperation('purge', {
+						namespace: 'http://localhost',
+						route: '/users/:userId'
+					})
+					.subscribe(response => {
+						expect(response).to.deep.equal({
+							keys: ['prefix_/users/1', 'prefix_/users/2'],
+							count: 2
+						});
+					}, null, done);
+			});
+
+			it('should unset by route keys built with host', done => {
+				['/users/1?width=10', '/cached'].forEach(key => adminGateway.cacheDriver.set('localhost', `prefix_localhost${key}`, key));
+
+				adminGateway.cacheOperation('purge', {
+						namespace: 'localhost',
+						route: '/users/:userId'
+					})
+					.subscribe(response => {
+						expect(response).to.deep.equal({
+							keys: ['prefix_localhost/users/1?width=10'],
+							count: 1
+						});
+					}, null, done);
+			});
+
+			it('should unset keys of every page', done => {
+				sinon.stub(adminGateway.cacheDriver, 'scan')
+					.callsFake(args => Observable.of(args.cursor === null ? {
+						keys: ['prefix_/users/1'],
+						cursor: '5'
+					} : {
+						keys: ['prefix_/users/2'],
+						cursor: null
+					}));
+
+				adminGateway.cacheOperation('purge', {
+						namespace: 'http://localhost',
+						prefix: 'prefix_/users/'
+					})
+					.subscribe(response => {
+						expect(adminGateway.cacheDriver.scan).to.have.been.calledTwice;
+						expect(adminGateway.cacheDriver.scan).to.have.been.calledWithExactly({
+							namespace: 'http://localhost',
+							prefix: 'prefix_/users/',
+							pattern: undefined,
+							cursor: '5',
+							limit: 1000
+						});
+						expect(response).to.deep.equal({
+							keys: ['prefix_/users/1', 'prefix_/users/2'],
+							count: 2
+						});
+						expect(adminGateway.cacheDriver.keys('http://localhost')).to.deep.equal(['prefix_/', 'prefix_/users', 'prefix_/cached']);
+					}, null, done);
+			});
+
+			it('should return empty if nothing matches', done => {
+				adminGateway.cacheOperation('purge', {
+						namespace: 'http://localhost',
+						prefix: 'other_'
+					})
+					.subscribe(response => {
+						expect(response).to.deep.equal({
+							keys: [],
+							count: 0
+						});
+					}, null, done);
+			});
+
+			it('should throw 400 without criteria', done => {
+				adminGateway.cacheOperation('purge', {
+						namespace: 'http://localhost'
+					})
+					.subscribe(null, err => {
+						expect(err.statusCode).to.equal(400);
+						expect(err.message).to.equal('prefix, pattern or route is required.');
+
+						done();
+					});
+			});
+
+			it('should throw 400 if route is not in the manifest', done => {
+				adminGateway.cacheOperation('purge', {
+						namespace: 'http://localhost',
+						route: '/inexistent'
+					})
+					.subscribe(null, err => {
+						expect(err.statusCode).to.equal(400);
+						expect(err.message).to.equal('route /inexistent isn\'t in the manifest.');
+
+						done();
+					});
+			});
+		});
+
+		describe('warm', () => {
+			beforeEach(() => {
+				adminGateway.cacheDriver.unset({
+					namespace: 'http://localhost'
+				});
+
+				sinon.stub(adminGateway, 'invokeBackend')
+					.returns(Observable.of('warm'));
+			});
+
+			it('should invoke cacheable routes and report each path', done => {
+				adminGateway.cacheOperation('warm', {
+						namespace: 'http://localhost',
+						paths: ['/cached?width=10', '/', '/inexistent/path']
+					})
+					.subscribe(response => {
+						expect(response).to.deep.equal([{
+							path: '/cached?width=10',
+							key: 'prefix_/cached',
+							status: 'warmed'
+						}, {
+							path: '/',
+							key: null,
+							status: 'skipped'
+						}, {
+							path: '/inexistent/path',
+							key: null,
+							status: 'not found'
+						}]);
+						expect(adminGateway.invokeBackend).to.have.been.calledOnce;
+						expect(adminGateway.invokeBackend.firstCall.args[1].params).to.deep.equal({
+							width: 10
+						});
+						expect(adminGateway.cacheDriver.keys('http://localhost')).to.deep.equal(['prefix_/cached']);
+					}, null, done);
+			});
+
+			it('should report failures', done => {
+				adminGateway.invokeBackend.returns(Observable.throw(new Error('some error')));
+
+				adminGateway.cacheOperation('warm', {
+						namespace: 'http://localhost',
+						paths: ['/cached']
+					})
+					.subscribe(response => {
+						expect(response).to.deep.equal([{
+							path: '/cached',
+							key: 'prefix_/cached',
+							status: 'failed',
+							error: 'some error'
+						}]);
+					}, null, done);
+			});
+
+			it('should throw 400 if paths are invalid', done => {
+				adminGateway.cacheOperation('warm', {
+						namespace: 'http://localhost',
+						paths: ['cached']
+					})
+					.subscribe(null, err => {
+						expect(err.statusCode).to.equal(400);
+						expect(err.message).to.equal('paths should be a list of up to 100 paths.');
+
+						done();
+					});
+			});
+		});
+	});
+
+	describe('stampResponse', () => {
+		it('should stamp complete response', () => {
+			const response = gateway.stampResponse({
+				body: 'body',
+				headers: {}
+			});
+
+			expect(response.body).to.equal('body');
+			expect(response.cachedAt).to.be.a('number');
+		});
+
+		it('should wrap plain response', () => {
+			const response = gateway.stampResponse({
+				width: 10
+			});
+
+			expect(response).to.deep.equal({
+				body: {
+					width: 10
+				},
+				headers: {},
+				cachedAt: response.cachedAt
+			});
+		});
+
+		it('should wrap void response', () => {
+			expect(gateway.stampResponse(null)
+				.body).to.equal('');
+		});
+	});
+
+	describe('conditionalResponse', () => {
+		let args;
+		let response;
+
+		beforeEach(() => {
+			args = {
+				method: 'GET',
+				headers: {}
+			};
+
+			response = {
+				body: 'body',
+				headers: {
+					'last-modified': 'Sat, 17 Oct 2026 00:00:00 GMT'
+				},
+				base64: false,
+				statusCode: 200
+			};
+		});
+
+		it('should add etag', () => {
+			expect(gateway.conditionalResponse(args, response)).to.deep.equal({
+				body: 'body',
+				headers: {
+					etag: httpCache.etag('body'),
+					'last-modified': 'Sat, 17 Oct 2026 00:00:00 GMT'
+				},
+				base64: false,
+				statusCode: 200
+			});
+		});
+
+		it('should keep lambda etag', () => {
+			response.headers.ETag = '"lambda"';
+
+			expect(gateway.conditionalResponse(args, response)
+				.headers).to.deep.equal({
+				ETag: '"lambda"',
+				'last-modified': 'Sat, 17 Oct 2026 00:00:00 GMT'
+			});
+		});
+
+		it('should return 304 if etag matches', () => {
+			args.headers['if-none-match'] = httpCache.etag('body');
+
+			expect(gateway.conditionalResponse(args, response)).to.deep.equal({
+				body: '',
+				headers: {
+					etag: httpCache.etag('body'),
+					'last-modified': 'Sat, 17 Oct 2026 00:00:00 GMT'
+				},
+				base64: false,
+				statusCode: 304
+			});
+		});
+
+		it('should return 304 if not modified since', () => {
+			args.headers['if-modified-since'] = 'Sun, 18 Oct 2026 00:00:00 GMT';
+
+			expect(gateway.conditionalResponse(args, response)
+				.statusCode).to.equal(304);
+		});
+
+		it('should ignore non GET or HEAD requests', () => {
+			args.method = 'POST';
+			args.headers['if-none-match'] = '*';
+
+			expect(gateway.conditionalResponse(args, response)).to.equal(response);
+		});
+
+		it('should ignore non 200 responses', () => {
+			response.statusCode = 201;
+
+			expect(gateway.conditionalResponse(args, response)).to.equal(response);
+		});
+	});
+
+	describe('cacheKey', () => {
+		it('should return prefixed key', () => {
+			expect(gateway.cacheKey(lambdas['/cached'], {
+				url: {
+					pathname: '/cached'
+				}
+			})).to.equal('cachePrefix_/cached');
+		});
+
+		it('should return null', () => {
+			expect(gateway.cacheKey(lambdas['/'], {})).to.be.null;
+			expect(gateway.cacheKey({
+				name: 'functionName',
+				cache: {
+					key: () => null
+				}
+			}, {})).to.be.null;
+		});
+
+		it('should return declarative key', () => {
+			expect(gateway.cacheKey({
+				name: 'functionName',
+				cache: {
+					key: {
+						params: ['width'],
+						vary: ['accept-language']
+					}
+				}
+			}, {
+				headers: {
+					'accept-language': 'pt-BR'
+				},
+				params: {
+					width: 10,
+					height: 20
+				},
+				uri: '/cached',
+				url: {
+					pathname: '/cached/'
+				}
+			})).to.equal('cachePrefix_/cached?width=10#vary:accept-language=pt-BR');
+		});
+
+		it('should return same declarative key for equivalent paths', () => {
+			const lambda = {
+				name: 'functionName',
+				cache: {
+					key: {
+						params: true
+					}
+				}
+			};
+
+			expect(['/cached?width=10', '/cached/?width=10', '//cached?width=10'].map(url => gateway.cacheKey(lambda, gateway.createArgs({
+				headers: {
+					host: 'http://localhost'
+				},
+				method: 'GET',
+				url
+			})))).to.deep.equal([
+				'cachePrefix_/cached?width=10',
+				'cachePrefix_/cached?width=10',
+				'cachePrefix_/cached?width=10'
+			]);
+		});
+
+		it('should return null for authenticated routes not varying on auth claims', () => {
+			expect(gateway.cacheKey({
+				name: 'functionName',
+				auth: {
+					secret: 'secret'
+				},
+				cache: {
+					key: () => '/cached'
+				}
+			}, {})).to.be.null;
+		});
+
+		it('should return key for authenticated routes varying on auth claims', () => {
+			expect(gateway.cacheKey({
+				name: 'functionName',
+				auth: {
+					secret: 'secret'
+				},
+				cache: {
+					key: {
+						auth: ['role']
+					}
+				}
+			}, {
+				params: {
+					auth: {
+						role: 'admin'
+					}
+				},
+				uri: '/cached'
+			})).to.equal('cachePrefix_/cached#auth:role=admin');
+		});
+	});
+
+	describe('getBreaker', () => {
+		it('should return null if no breaker configured', () => {
+			expect(gateway.getBreaker(lambdas['/'])).to.be.null;
+		});
+
+		it('should return breaker by name and version', () => {
+			const breaker = gateway.getBreaker({
+				name: 'functionName',
+				breaker: {
+					threshold: 1
+				}
+			});
+
+			expect(breaker).to.be.instanceOf(CircuitBreaker);
+			expect(breaker.threshold).to.equal(1);
+			expect(gateway.breakers.get('functionName:$LATEST')).to.equal(breaker);
+			expect(gateway.getBreaker({
+				name: 'functionName',
+				breaker: {}
+			})).to.equal(breaker);
+			expect(gateway.getBreaker({
+				name: 'functionName',
+				version: 'version',
+				breaker: {}
+			})).not.to.equal(breaker);
+		});
+
+		it('should return breaker with global options', () => {
+			gateway.breaker = {
+				threshold: 10
+			};
+
+			expect(gateway.getBreaker(lambdas['/']).threshold).to.equal(10);
+		});
+	});
+
+	describe('breakerFallback', () => {
+		let args;
+
+		beforeEach(() => {
+			args = {
+				host: 'localhost',
+				url: {
+					pathname: '/cached'
+				}
+			};
+		});
+
+		it('should return 503', done => {
+			gateway.breakerFallback({
+					name: 'functionName',
+					breaker: {}
+				}, args)
+				.subscribe(null, err => {
+					expect(err.statusCode).to.equal(503);
+					expect(err.message).to.equal('Service Unavailable');
+					done();
+				});
+		});
+
+		it('should return static response', done => {
+			gateway.breakerFallback({
+					name: 'functionName',
+					breaker: {
+						fallback: {
+							body: 'fallback'
+						}
+					}
+				}, args)
+				.subscribe(response => {
+					expect(response).to.deep.equal({
+						body: 'fallback'
+					});
+				}, null, done);
+		});
+
+		it('should return cached response', done => {
+			sinon.stub(gateway.cacheDriver, 'get')
+				.returns(Observable.of('cached'));
+
+			gateway.breakerFallback(Object.assign({
+					breaker: {
+						fallback: 'cache'
+					}
+				}, lambdas['/cached']), args)
+				.subscribe(response => {
+					expect(gateway.cacheDriver.get).to.have.been.calledWithExactly({
+						namespace: 'localhost',
+						key: 'cachePrefix_/cached'
+					}, sinon.match.func);
+					expect(response).to.equal('cached');
+
+					gateway.cacheDriver.get.restore();
+				}, null, done);
+		});
+
+		it('should return 503 if nothing is cached', done => {
+			sinon.stub(gateway.cacheDriver, 'get')
+				.callsFake((args, fallback) => fallback());
+
+			gateway.breakerFallback(Object.assign({
+					breaker: {
+						fallback: 'cache'
+					}
+				}, lambdas['/cached']), args)
+				.subscribe(null, err => {
+					expect(err.statusCode).to.equal(503);
+					gateway.cacheDriver.get.restore();
+					done();
+				});
+		});
+	});
+
+	describe('healthMounted', () => {
+		it('should return false without breakers', () => {
+			expect(gateway.healthMounted()).to.be.false;
+		});
+
+		it('should return true with route breakers', () => {
+			gateway.setLambdas({
+				'/users': {
+					GET: {
+						name: 'listUsers',
+						breaker: {
+							threshold: 5
+						}
+					}
+				}
+			});
+
+			expect(gateway.healthMounted()).to.be.true;
+		});
+
+		it('should return explicit option', () => {
+			gateway.breaker = {
+				threshold: 5
+			};
+			gateway.healthEnabled = false;
+
+			expect(gateway.healthMounted()).to.be.false;
+		});
+	});
+
+	describe('health', () => {
+		it('should return ok', () => {
+			expect(gateway.health()).to.deep.equal({
+				status: 'ok',
+				breakers: {}
+			});
+		});
+
+		it('should return degraded', () => {
+			const breaker = gateway.getBreaker({
+				name: 'functionName',
+				breaker: {
+					threshold: 1
+				}
+			});
+
+			breaker.failure();
+
+			expect(gateway.health()).to.deep.equal({
+				status: 'degraded',
+				breakers: {
+					'functionName:$LATEST': breaker.toJSON()
+				}
+			});
+		});
+	});
+
+	describe('findFunction', () => {
+		beforeEach(() => {
+			gateway = new Gateway({
+				logGroup: 'spec',
+				lambdas: {
+					'/': {
+						name: 'function-0'
+					},
+					'/param1': {
+						name: 'function-1'
+					},
+					'/param1/param2': {
+						name: 'function-2'
+					},
+					'/param1/param2/param3': {
+						name: 'function-3'
+					}
+				}
+			});
+		});
+
+		it('should return null if no url matches', () => {
+			expect(gateway.findFunction('/inexistent')).to.be.null;
+		});
+
+		it('should return function-0', () => {
+			expect(gateway.findFunction('/').name).to.equal('function-0');
+		});
+
+		it('should return function-1', () => {
+			expect(gateway.findFunction('/param1/param3/param4').name).to.equal('function-1');
+			expect(gateway.findFunction('/param1').name).to.equal('function-1');
+		});
+
+		it('should return function-2', () => {
+			expect(gateway.findFunction('/param1/param2/param4').name).to.equal('function-2');
+			expect(gateway.findFunction('/param1/param2').name).to.equal('function-2');
+		});
+
+		it('should return function-3', () => {
+			expect(gateway.findFunction('/param1/param2/param3/param4').name).to.equal('function-3');
+			expect(gateway.findFunction('/param1/param2/param3').name).to.equal('function-3');
+		});
+
+		describe('partial match', () => {
+			beforeEach(() => {
+				gateway = new Gateway({
+					logGroup: 'spec',
+					lambdas: {
+						'/*': {
+							name: 'wildcard-0'
+						},
+						'/*/param2': {
+							name: 'wildcard-1'
+						},
+						'/*/param2/param3': {
+							name: 'wildcard-2'
+						},
+						'/*/*/param3': {
+							name: 'wildcard-3'
+						}
+					}
+				});
+			});
+
+			it('should return wildcard-1', () => {
+				expect(gateway.findFunction('/').name).to.equal('wildcard-0');
+			});
+
+			it('should return wildcard-1', () => {
+				expect(gateway.findFunction('/any').name).to.equal('wildcard-0');
+			});
+
+			it('should return wildcard-1', () => {
+				expect(gateway.findFunction('/any/param2').name).to.equal('wildcard-1');
+			});
+
+			it('should return wildcard-2', () => {
+				expect(gateway.findFunction('/any/param2/param3').name).to.equal('wildcard-2');
+			});
+
+			it('should return wildcard-3', () => {
+				expect(gateway.findFunction('/any/any/param3').name).to.equal('wildcard-3');
+			});
+		});
+
+		describe('full wildcards', () => {
+			beforeEach(() => {
+				gateway = new Gateway({
+					logGroup: 'spec',
+					lambdas: {
+						'/*': {
+							name: 'wildcard-0'
+						},
+						'/*/*': {
+							name: 'wildcard-1'
+						},
+						'/*/*/*': {
+							name: 'wildcard-2'
+						}
+					}
+				});
+			});
+
+			it('should return wildcard-0', () => {
+				expect(gateway.findFunction('/').name).to.equal('wildcard-0');
+			});
+
+			it('should return wildcard-0', () => {
+				expect(gateway.findFunction('/inexistent').name).to.equal('wildcard-0');
+			});
+
+			it('should return wildcard-1', () => {
+				expect(gateway.findFunction('/inexistent/inexistent').name).to.equal('wildcard-1');
+			});
+
+			it('should return wildcard-2', () => {
+				expect(gateway.findFunction('/inexistent/inexistent/inexistent').name).to.equal('wildcard-2');
+			});
+		});
+	});
+
+	describe('findRoute', () => {
+		beforeEach(() => {
+			gateway = new Gateway({
+				logGroup: 'spec',
+				lambdas: {
+					'/users': {
+						name: 'function-0'
+					},
+					'/users/:userId': {
+						name: 'function-1'
+					},
+					'/users/:userId/orders/:orderId': {
+						name: 'function-2'
+					}
+				}
+			});
+		});
+
+		it('should return null if no url matches', () => {
+			expect(gateway.findRoute('/inexistent')).to.be.null;
+		});
+
+		it('should return lambda and pathParams', () => {
+			expect(gateway.findRoute('/users/123/orders/456')).to.deep.equal({
+				lambda: {
+					name: 'function-2'
+				},
+				path: '/users/:userId/orders/:orderId',
+				pathParams: {
+					userId: '123',
+					orderId: '456'
+				}
+			});
+		});
+
+		it('should return empty pathParams', () => {
+			expect(gateway.findRoute('/users').pathParams).to.deep.equal({});
+		});
+
+		describe('per method', () => {
+			beforeEach(() => {
+				gateway = new Gateway({
+					logGroup: 'spec',
+					lambdas: {
+						'/users': {
+							GET: {
+								name: 'function-0'
+							},
+							POST: {
+								name: 'function-1'
+							}
+						}
+					}
+				});
+			});
+
+			it('should return lambda by method', () => {
+				expect(gateway.findRoute('/users', 'GET').lambda.name).to.equal('function-0');
+				expect(gateway.findRoute('/users', 'POST').lambda.name).to.equal('function-1');
+			});
+
+			it('should return null lambda and allowedMethods if method isn\'t configured', () => {
+				expect(gateway.findRoute('/users', 'DELETE')).to.deep.equal({
+					lambda: null,
+					path: '/users',
+					pathParams: {},
+					allowedMethods: ['GET', 'POST']
+				});
+			});
+
+			it('should return method map if no method provided', () => {
+				expect(gateway.findFunction('/users')).to.deep.equal({
+					GET: {
+						name: 'function-0'
+					},
+					POST: {
+						name: 'function-1'
+					}
+				});
+			});
+		});
+	});
+
+	describe('handle', () => {
+		beforeEach(() => {
+			sinon.spy(gateway, 'parseRequest');
+			sinon.stub(gateway, 'write');
+			sinon.stub(gateway, 'responds');
+			sinon.stub(gateway.cacheDriver, 'markToRefresh')
+				.returns(Observable.of([0]));
+			sinon.stub(gateway.cacheDriver, 'unset')
+				.returns(Observable.of([1]));
+			sinon.stub(gateway, 'callLambda')
+				.returns(Observable.of({
+					body: 'body',
+					headers: {
+						'content-type': 'image/png'
+					},
+					base64: true
+				}));
+			sinon.stub(gateway, 'bodyParser')
+				.callsArgWith(2, null, {
+					keys: ['/']
+				});
+		});
+
+		afterEach(() => {
+			gateway.parseRequest.restore();
+			gateway.write.restore();
+			gateway.responds.restore();
+			gateway.cacheDriver.markToRefresh.restore();
+			gateway.cacheDriver.unset.restore();
+			gateway.callLambda.restore();
+			gateway.bodyParser.restore();
+		});
+
+		it('should call preflight if req.method === OPTIONS', () => {
+			sinon.stub(gateway, 'preflight');
+			req.method = 'OPTIONS';
+
+			gateway.handle(req, res);
+			gateway.preflight.restore();
+
+			expect(gateway.write).not.to.have.been.called;
+			expect(gateway.parseRequest).not.to.have.been.called;
+		});
+
+		describe('OPTIONS lambda', () => {
+			beforeEach(() => {
+				sinon.stub(gateway, 'preflight');
+				gateway.setLambdas({
+					'/users': {
+						GET: {
+							name: 'listUsers'
+						},
+						OPTIONS: {
+							name: 'usersOptions'
+						}
+					}
+				});
+
+				req.method = 'OPTIONS';
+				req.url = 'http://localhost/users';
+			});
+
+			afterEach(() => {
+				gateway.preflight.restore();
+			});
+
+			it('should call OPTIONS lambda', () => {
+				gateway.handle(req, res);
+
+				expect(gateway.preflight).not.to.have.been.called;
+				expect(gateway.callLambda).to.have.been.calledWith(sinon.match({
+					name: 'usersOptions'
+				}));
+			});
+
+			it('should call preflight if request is preflight', () => {
+				req.headers.origin = 'http://origin.com';
+				req.headers['access-control-request-method'] = 'GET';
+
+				gateway.handle(req, res);
+
+				expect(gateway.preflight).to.have.been.called;
+				expect(gateway.callLambda).not.to.have.been.called;
+			});
+
+			it('should call preflight if route has no OPTIONS lambda', () => {
+				req.url = 'http://localhost/';
+
+				gateway.handle(req, res);
+
+				expect(gateway.preflight).to.have.been.called;
+				expect(gateway.callLambda).not.to.have.been.called;
+			});
+		});
+
+		it('should set cors headers', () => {
+			req.headers.origin = 'http://origin.com';
+
+			gateway.handle(req, res);
+
+			expect(res.setHeader).to.have.been.calledWithExactly('access-control-allow-origin', '*');
+		});
+
+		it('should call write if req.url === /favicon.ico', () => {
+			req.url = '/favicon.ico';
+
+			gateway.handle(req, res);
+
+			expect(gateway.write).to.have.been.calledWithExactly(res);
+		});
+
+		it('should call parseRequest', () => {
+			gateway.handle(req, res);
+
+			expect(gateway.parseRequest).to.have.been.calledWithExactly(req, sinon.match.func, gateway.findRoute('/param1/param2', 'GET'));
+		});
+
+		it('should match route once', () => {
+			const match = sinon.spy(router, 'match');
+
+			req.headers.origin = 'http://origin.com';
+			req.method = 'POST';
+			req.url = 'http://localhost/users';
+
+			gateway.handle(req, res);
+			match.restore();
+
+			expect(match).to.have.been.calledOnce;
+			expect(gateway.callLambda).to.have.been.calledWith(sinon.match({
+				name: 'createUser'
+			}));
+		});
+
+		it('should match preflight route once', () => {
+			const match = sinon.spy(router, 'match');
+
+			req.headers.origin = 'http://origin.com';
+			req.headers['access-control-request-method'] = 'POST';
+			req.method = 'OPTIONS';
+			req.url = 'http://localhost/users';
+
+			gateway.handle(req, res);
+			match.restore();
+
+			expect(match).to.have.been.calledOnce;
+			expect(gateway.write).to.have.been.calledWith(res, '', 204);
+		});
+
+		it('should call responds with health', () => {
+			req.url = 'http://localhost/health';
+			gateway.breaker = {
+				threshold: 5
+			};
+
+			gateway.handle(req, res);
+
+			expect(gateway.responds).to.have.been.calledWithExactly(res, null, {
+				status: 'ok',
+				breakers: {}
+			});
+			expect(gateway.callLambda).not.to.have.been.called;
 		});
 
-		it('should call parseRequest', () => {
+		it('should not mount health without breakers', () => {
+			req.url = 'http://localhost/health';
+
+			gateway.handle(req, res);
+
+			expect(gateway.responds.firstCall.args[1].statusCode).to.equal(404);
+		});
+
+		it('should mount health if explicitly enabled', () => {
+			req.url = 'http://localhost/health';
+			gateway.healthEnabled = true;
+
+			gateway.handle(req, res);
+
+			expect(gateway.responds).to.have.been.calledWith(res, null, sinon.match({
+				status: 'ok'
+			}));
+		});
+
+		it('should not shadow manifest routes with health', () => {
+			gateway.breaker = {
+				threshold: 5
+			};
+			gateway.setLambdas({
+				'/health': {
+					name: 'health'
+				}
+			});
+
+			req.url = 'http://localhost/health';
+
+			gateway.handle(req, res);
+
+			expect(gateway.callLambda).to.have.been.calledWith(sinon.match({
+				name: 'health'
+			}));
+		});
+
+		it('should serve health over catch-all routes', () => {
+			gateway.breaker = {
+				threshold: 5
+			};
+			gateway.setLambdas({
+				'/*': {
+					name: 'catchAll'
+				}
+			});
+
+			req.url = 'http://localhost/health';
+
 			gateway.handle(req, res);
 
-			expect(gateway.parseRequest).to.have.been.calledWithExactly(req, sinon.match.func);
+			expect(gateway.callLambda).not.to.have.been.called;
+			expect(gateway.responds).to.have.been.calledWith(res, null, sinon.match({
+				status: 'ok'
+			}));
+		});
+
+		describe('jobs', () => {
+			let job;
+
+			beforeEach(done => {
+				gateway.setLambdas(Object.assign({}, gateway.lambdas, {
+					'/async': {
+						name: 'functionName',
+						async: true
+					}
+				}));
+				gateway.jobs = new JobStore();
+				gateway.jobs.create({
+						name: 'functionName'
+					})
+					.subscribe(response => job = response, null, done);
+			});
+
+			it('should call responds with job', () => {
+				req.url = `http://localhost/jobs/${job.id}`;
+
+				gateway.handle(req, res);
+
+				expect(gateway.responds).to.have.been.calledWithExactly(res, null, gateway.jobs.toPublic(job));
+				expect(gateway.callLambda).not.to.have.been.called;
+			});
+
+			it('should not mount jobs without async routes', () => {
+				sinon.spy(gateway, 'handleJob');
+
+				gateway.setLambdas({
+					'/': {
+						name: 'functionName'
+					}
+				});
+
+				req.url = `http://localhost/jobs/${job.id}`;
+
+				gateway.handle(req, res);
+
+				expect(gateway.handleJob).not.to.have.been.called;
+				expect(gateway.responds.firstCall.args[1].statusCode).to.equal(404);
+
+				gateway.handleJob.restore();
+			});
+
+			it('should not shadow manifest routes with jobs', () => {
+				gateway.setLambdas({
+					'/async': {
+						name: 'functionName',
+						async: true
+					},
+					'/jobs/:jobId': {
+						name: 'legacyJobs'
+					}
+				});
+
+				req.url = `http://localhost/jobs/${job.id}`;
+
+				gateway.handle(req, res);
+
+				expect(gateway.callLambda).to.have.been.calledWith(sinon.match({
+					name: 'legacyJobs'
+				}));
+			});
+
+			it('should serve jobs over catch-all routes', () => {
+				gateway.setLambdas({
+					'/async': {
+						name: 'functionName',
+						async: true
+					},
+					'/*': {
+						name: 'catchAll'
+					}
+				});
+
+				req.url = `http://localhost/jobs/${job.id}`;
+
+				gateway.handle(req, res);
+
+				expect(gateway.callLambda).not.to.have.been.called;
+				expect(gateway.responds).to.have.been.calledWith(res, null, sinon.match({
+					id: job.id
+				}));
+			});
+
+			it('should call responds with 404 if job doesn\'t exist', () => {
+				req.url = 'http://localhost/jobs/inexistent';
+
+				gateway.handle(req, res);
+
+				expect(gateway.responds.firstCall.args[1].statusCode).to.equal(404);
+			});
+
+			it('should update job', () => {
+				gateway.bodyParser.callsArgWith(2, null, {
+					status: 'succeeded',
+					result: 'result'
+				});
+
+				req.method = 'POST';
+				req.url = `http://localhost/jobs/${job.id}`;
+				req.headers['x-job-token'] = job.token;
+
+				gateway.handle(req, res);
+
+				expect(gateway.responds.firstCall.args[1]).to.be.null;
+				expect(gateway.responds.firstCall.args[2]).to.deep.include({
+					id: job.id,
+					status: 'succeeded',
+					result: 'result'
+				});
+				expect(gateway.responds.firstCall.args[2].token).to.be.undefined;
+			});
+
+			it('should call responds with 403 if token is wrong', () => {
+				gateway.bodyParser.callsArgWith(2, null, {
+					status: 'succeeded',
+					token: 'wrongToken'
+				});
+
+				req.method = 'POST';
+				req.url = `http://localhost/jobs/${job.id}`;
+
+				gateway.handle(req, res);
+
+				expect(gateway.responds.firstCall.args[1].statusCode).to.equal(403);
+			});
+
+			it('should call responds with 405 if method isn\'t allowed', () => {
+				req.method = 'DELETE';
+				req.url = `http://localhost/jobs/${job.id}`;
+
+				gateway.handle(req, res);
+
+				expect(gateway.responds).to.have.been.calledWithExactly(res, sinon.match({
+					statusCode: 405
+				}), null, {
+					allow: 'GET, POST'
+				});
+			});
 		});
 
 		describe('cache operations', () => {
-			it('should call cacheDriver.markToRefresh as default operation', () => {
+			beforeEach(() => {
+				sinon.stub(gateway.logger, 'log');
+
+				gateway.cacheAdmin.key = 'adminKey';
 				req.method = 'POST';
 				req.url = 'http://localhost/cache';
+				req.headers['x-cache-admin-key'] = 'adminKey';
+			});
+
+			afterEach(() => {
+				gateway.logger.log.restore();
+			});
 
+			it('should call cacheDriver.markToRefresh as default operation', () => {
 				gateway.handle(req, res);
 
 				expect(gateway.cacheDriver.markToRefresh).to.have.been.calledWithExactly({
 					namespace: 'http://localhost',
 					keys: ['/']
 				});
+				expect(gateway.responds).to.have.been.calledWithExactly(res, null, {
+					markToRefresh: [0]
+				}, {}, false, 200);
 			});
 
 			it('should call cacheDriver with custom operation', () => {
@@ -1011,9 +3591,6 @@ describe('index.js', () => {
 						keys: ['/']
 					});
 
-				req.method = 'POST';
-				req.url = 'http://localhost/cache';
-
 				gateway.handle(req, res);
 
 				expect(gateway.cacheDriver.unset).to.have.been.calledWithExactly({
@@ -1022,9 +3599,248 @@ describe('index.js', () => {
 					keys: ['/']
 				});
 			});
+
+			it('should audit log operations', () => {
+				gateway.handle(req, res);
+
+				expect(gateway.logger.log).to.have.been.calledWithExactly({
+					message: 'cache operation.',
+					operation: 'markToRefresh',
+					namespace: 'http://localhost',
+					keys: ['/'],
+					actor: 'key',
+					host: 'http://localhost',
+					statusCode: 200
+				});
+			});
+
+			it('should audit log selectors and purged keys', done => {
+				sinon.stub(gateway.cacheDriver, 'scan')
+					.returns(Observable.of({
+						keys: ['cachePrefix_/users/1'],
+						cursor: null
+					}));
+				gateway.bodyParser.callsArgWith(2, null, {
+					operation: 'purge',
+					pattern: 'cachePrefix_/users/*'
+				});
+				gateway.responds.callsFake(() => {
+					expect(gateway.logger.log).to.have.been.calledWithExactly({
+						message: 'cache operation.',
+						operation: 'purge',
+						namespace: 'http://localhost',
+						pattern: 'cachePrefix_/users/*',
+						purged: ['cachePrefix_/users/1'],
+						count: 1,
+						actor: 'key',
+						host: 'http://localhost',
+						statusCode: 200
+					});
+
+					done();
+				});
+
+				gateway.handle(req, res);
+			});
+
+			it('should audit log inspected key', () => {
+				sinon.stub(gateway.cacheDriver, 'inspect')
+					.returns(Observable.of(null));
+				gateway.bodyParser.callsArgWith(2, null, {
+					operation: 'inspect',
+					key: 'cachePrefix_/'
+				});
+
+				gateway.handle(req, res);
+
+				expect(gateway.logger.log).to.have.been.calledWithExactly({
+					message: 'cache operation.',
+					operation: 'inspect',
+					namespace: 'http://localhost',
+					key: 'cachePrefix_/',
+					actor: 'key',
+					host: 'http://localhost',
+					statusCode: 404
+				});
+			});
+
+			it('should not be mounted without admin auth', () => {
+				gateway.cacheAdmin.key = null;
+
+				gateway.handle(req, res);
+
+				expect(gateway.cacheDriver.markToRefresh).not.to.have.been.called;
+				expect(gateway.responds.firstCall.args[1].statusCode).to.equal(404);
+			});
+
+			it('should be mounted at custom path', () => {
+				gateway.cacheAdmin.path = '/admin/cache';
+
+				gateway.handle(req, res);
+
+				expect(gateway.cacheDriver.markToRefresh).not.to.have.been.called;
+
+				req.url = 'http://localhost/admin/cache';
+
+				gateway.handle(req, res);
+
+				expect(gateway.cacheDriver.markToRefresh).to.have.been.called;
+			});
+
+			it('should responds with 401 without credentials', () => {
+				delete req.headers['x-cache-admin-key'];
+
+				gateway.handle(req, res);
+
+				expect(gateway.responds.firstCall.args[1].statusCode).to.equal(401);
+				expect(gateway.cacheDriver.markToRefresh).not.to.have.been.called;
+				expect(gateway.logger.log).to.have.been.calledWithMatch({
+					actor: null,
+					statusCode: 401
+				});
+			});
+
+			it('should responds with 403 if key is wrong', () => {
+				req.headers['x-cache-admin-key'] = 'wrongKey';
+
+				gateway.handle(req, res);
+
+				expect(gateway.responds.firstCall.args[1].statusCode).to.equal(403);
+				expect(gateway.cacheDriver.markToRefresh).not.to.have.been.called;
+			});
+
+			it('should responds with 400 if operation is unknown', () => {
+				gateway.bodyParser.callsArgWith(2, null, {
+					operation: 'flushAll'
+				});
+
+				gateway.handle(req, res);
+
+				const err = gateway.responds.firstCall.args[1];
+
+				expect(err.statusCode).to.equal(400);
+				expect(err.message).to.equal('operation should be one of markToRefresh, unset, list, inspect, purge, warm.');
+			});
+
+			it('should list keys indexed on redis', () => {
+				gateway.cacheDriver.redis.sendCommand = sinon.stub()
+					.returns(Observable.from(['0', ['cachePrefix_/', JSON.stringify({
+						createdAt: Date.now(),
+						ttl: 60,
+						ttr: 30,
+						refresh: false
+					})]]));
+
+				gateway.bodyParser.callsArgWith(2, null, {
+					operation: 'list'
+				});
+
+				gateway.handle(req, res);
+
+				expect(gateway.cacheDriver.redis.sendCommand).to.have.been.calledWithExactly('hscan', 'cachePrefix_cacheIndex:http://localhost:entries', '0', 'MATCH', '*', 'COUNT', 100);
+				expect(gateway.responds.firstCall.args[2]).to.deep.equal({
+					list: {
+						keys: ['cachePrefix_/'],
+						cursor: null
+					}
+				});
+			});
+
+			it('should responds with 403 if namespace is not allowed', () => {
+				gateway.bodyParser.callsArgWith(2, null, {
+					namespace: 'http://otherhost'
+				});
+
+				gateway.handle(req, res);
+
+				expect(gateway.responds.firstCall.args[1].statusCode).to.equal(403);
+				expect(gateway.cacheDriver.markToRefresh).not.to.have.been.called;
+			});
+
+			it('should allow namespaces by list', () => {
+				gateway.cacheAdmin.namespaces = ['http://host', /^http:\/\/other/];
+				gateway.bodyParser.callsArgWith(2, null, {
+					namespace: 'http://otherhost'
+				});
+
+				gateway.handle(req, res);
+
+				expect(gateway.cacheDriver.markToRefresh).to.have.been.calledWithExactly({
+					namespace: 'http://otherhost'
+				});
+			});
+
+			describe('with jwt', () => {
+				beforeEach(() => {
+					delete req.headers['x-cache-admin-key'];
+
+					gateway.cacheAdmin.auth = {
+						secret: 'mySecret',
+						allowedFields: ['namespace', 'user'],
+						requiredRoles: ['admin', 'public']
+					};
+				});
+
+				it('should call cacheDriver', () => {
+					req.headers.authorization = adminToken;
+
+					gateway.handle(req, res);
+
+					expect(gateway.cacheDriver.markToRefresh).to.have.been.called;
+					expect(gateway.logger.log).to.have.been.calledWithMatch({
+						actor: {
+							role: 'admin',
+							user: 'admin-0'
+						},
+						statusCode: 200
+					});
+				});
+
+				it('should responds with 403 if role is not allowed', () => {
+					gateway.cacheAdmin.auth.requiredRoles = ['admin'];
+					req.headers.authorization = publicToken;
+
+					gateway.handle(req, res);
+
+					expect(gateway.responds.firstCall.args[1].statusCode).to.equal(403);
+					expect(gateway.cacheDriver.markToRefresh).not.to.have.been.called;
+				});
+
+				it('should allow namespaces by function', () => {
+					gateway.cacheAdmin.namespaces = (namespace, actor) => namespace === actor.namespace;
+					gateway.bodyParser.callsArgWith(2, null, {
+						namespace: 'spec'
+					});
+					req.headers.authorization = publicToken;
+
+					gateway.handle(req, res);
+
+					expect(gateway.cacheDriver.markToRefresh).to.have.been.calledWithExactly({
+						namespace: 'spec'
+					});
+				});
+			});
 		});
 
 		describe('lambda handling', () => {
+			it('should call responds with 400 before auth if request is invalid', () => {
+				sinon.spy(gateway, 'handleAuth');
+				req.url = 'http://localhost/validated';
+
+				gateway.handle(req, res);
+
+				const err = gateway.responds.firstCall.args[1];
+
+				expect(err.statusCode).to.equal(400);
+				expect(err.context.errors).to.deep.equal([
+					'params should have required property \'width\''
+				]);
+				expect(gateway.handleAuth).not.to.have.been.called;
+				expect(gateway.callLambda).not.to.have.been.called;
+
+				gateway.handleAuth.restore();
+			});
+
 			it('should call callLambda', () => {
 				req.url = 'http://localhost?width=10';
 
@@ -1041,6 +3857,7 @@ describe('index.js', () => {
 					params: {
 						width: 10
 					},
+					pathParams: {},
 					url: {
 						path: '/?width=10',
 						pathname: '/',
@@ -1050,14 +3867,77 @@ describe('index.js', () => {
 				});
 			});
 
+			it('should call callLambda with pathParams', () => {
+				req.url = 'http://localhost/users/123';
+
+				gateway.handle(req, res);
+
+				expect(gateway.callLambda.firstCall.args[1].pathParams).to.deep.equal({
+					userId: '123'
+				});
+			});
+
+			it('should call callLambda with lambda by method', () => {
+				req.method = 'POST';
+				req.url = 'http://localhost/users';
+
+				gateway.handle(req, res);
+
+				expect(gateway.callLambda.firstCall.args[0]).to.deep.equal({
+					name: 'createUser'
+				});
+			});
+
+			it('should keep routes while request is in flight', () => {
+				let parsed;
+
+				gateway.bodyParser.restore();
+				sinon.stub(gateway, 'bodyParser')
+					.callsFake((req, res, callback) => parsed = callback);
+
+				req.method = 'POST';
+				req.url = 'http://localhost/users';
+
+				gateway.handle(req, res);
+				gateway.setLambdas({
+					'/users': {
+						name: 'newFunctionName'
+					}
+				});
+
+				parsed(null, {});
+
+				expect(gateway.callLambda.firstCall.args[0]).to.deep.equal({
+					name: 'createUser'
+				});
+			});
+
+			it('should call responds with 405 if method isn\'t configured', () => {
+				req.method = 'DELETE';
+				req.url = 'http://localhost/users';
+
+				gateway.handle(req, res);
+
+				const [, err, body, headers] = gateway.responds.firstCall.args;
+
+				expect(gateway.callLambda).not.to.have.been.called;
+				expect(err.statusCode).to.equal(405);
+				expect(err.message).to.equal('Method Not Allowed');
+				expect(body).to.be.null;
+				expect(headers).to.deep.equal({
+					allow: 'GET, POST'
+				});
+			});
+
 			it('should call responds', () => {
 				req.url = 'http://localhost?width=10';
 
 				gateway.handle(req, res);
 
 				expect(gateway.responds).to.have.been.calledWithExactly(res, null, 'body', {
+					etag: httpCache.etag('body', true),
 					'content-type': 'image/png'
-				}, true);
+				}, true, 200);
 			});
 
 			it('should call responds with plain response', () => {
@@ -1069,11 +3949,29 @@ describe('index.js', () => {
 
 				gateway.handle(req, res);
 
-				expect(gateway.responds).to.have.been.calledWithExactly(res, null, 'body', {}, false);
+				expect(gateway.responds).to.have.been.calledWithExactly(res, null, 'body', {}, false, 200);
+			});
+
+			it('should call responds with empty body', () => {
+				gateway.callLambda.restore();
+				sinon.stub(gateway, 'callLambda')
+					.returns(Observable.of({
+						body: '',
+						headers: {},
+						base64: false,
+						statusCode: 200
+					}));
+
+				req.url = 'http://localhost?width=10';
+
+				gateway.handle(req, res);
+
+				expect(gateway.responds).to.have.been.calledWithExactly(res, null, '', {
+					etag: httpCache.etag('')
+				}, false, 200);
 			});
 
 			it('should call responds with error if lambda doesn\'t matches and not cache operation', () => {
-				lambdas['*'] = null;
 				req.url = 'http://localhost/inexistent';
 
 				gateway.handle(req, res);
@@ -1124,6 +4022,7 @@ describe('index.js', () => {
 							},
 							token: publicToken
 						},
+						pathParams: {},
 						url: {
 							path: `/authOnly?width=10&token=${publicToken}`,
 							pathname: '/authOnly',
@@ -1145,6 +4044,363 @@ describe('index.js', () => {
 			});
 		});
 
+		describe('client disconnect', () => {
+			it('should unsubscribe operation when client disconnects', () => {
+				const unsubscribed = sinon.stub();
+
+				gateway.callLambda.returns(Observable.never()
+					.finally(unsubscribed));
+
+				req.url = 'http://localhost?width=10';
+
+				gateway.handle(req, res);
+
+				expect(res.on).to.have.been.calledWithExactly('close', sinon.match.func);
+				expect(unsubscribed).not.to.have.been.called;
+
+				res.on.withArgs('close')
+					.getCalls()
+					.forEach(call => call.args[1]());
+
+				expect(unsubscribed).to.have.been.calledOnce;
+				expect(gateway.responds).not.to.have.been.called;
+			});
+		});
+
+		describe('transforms', () => {
+			let transformGateway;
+
+			beforeEach(() => {
+				transformGateway = new Gateway({
+					logGroup: 'spec',
+					lambdas: {
+						'/legacy': {
+							name: 'functionName',
+							paramsOnly: true,
+							requestTransform: {
+								move: {
+									'params.userId': 'headers.x-user-id',
+									'params.size': 'params.width'
+								}
+							},
+							responseTransform: {
+								move: {
+									body: 'body.data'
+								},
+								set: {
+									statusCode: 201,
+									'headers.x-legacy': 'true'
+								}
+							}
+						},
+						'/function': {
+							name: 'functionName',
+							paramsOnly: true,
+							requestTransform: args => Object.assign(args, {
+								params: Object.assign(args.params, {
+									method: args.method
+								})
+							}),
+							responseTransform: (response, args) => Object.assign(response, {
+								body: `${response.body.data}:${args.params.method}`
+							})
+						}
+					}
+				});
+
+				sinon.stub(transformGateway, 'invoke')
+					.returns(Observable.of({
+						body: {
+							data: 'data'
+						},
+						headers: {}
+					}));
+				sinon.stub(transformGateway, 'responds');
+
+				req.headers['x-user-id'] = '123';
+			});
+
+			it('should transform paramsOnly request and response with templates', () => {
+				req.url = 'http://localhost/legacy?width=10';
+
+				transformGateway.handle(req, res);
+
+				expect(transformGateway.invoke).to.have.been.calledWithExactly('functionName', {
+					userId: '123',
+					size: 10
+				}, '$LATEST');
+				expect(transformGateway.responds).to.have.been.calledWithExactly(res, null, 'data', {
+					'x-legacy': 'true'
+				}, false, 201);
+			});
+
+			it('should transform paramsOnly request and response with functions', () => {
+				req.url = 'http://localhost/function?width=10';
+
+				transformGateway.handle(req, res);
+
+				expect(transformGateway.invoke).to.have.been.calledWithExactly('functionName', {
+					width: 10,
+					method: 'GET'
+				}, '$LATEST');
+				expect(transformGateway.responds).to.have.been.calledWithExactly(res, null, 'data:GET', {
+					etag: httpCache.etag('data:GET')
+				}, false, 200);
+			});
+
+			it('should respond with error if transformed statusCode >= 400', () => {
+				transformGateway.setLambdas({
+					'/': {
+						name: 'functionName',
+						responseTransform: {
+							set: {
+								statusCode: 404,
+								body: 'Not Found'
+							}
+						}
+					}
+				});
+
+				req.url = 'http://localhost/';
+
+				transformGateway.handle(req, res);
+
+				expect(transformGateway.responds.firstCall.args[1].statusCode).to.equal(404);
+			});
+		});
+
+		describe('middlewares', () => {
+			let middlewareGateway;
+
+			beforeEach(() => {
+				middlewareGateway = new Gateway({
+					logGroup: 'spec',
+					lambdas: {
+						'/': {
+							name: 'functionName',
+							paramsOnly: true,
+							middlewares: {
+								preInvoke: args => Object.assign(args, {
+									params: Object.assign(args.params, {
+										route: true
+									})
+								}),
+								onResponse: response => Promise.resolve(Object.assign(response, {
+									body: `${response.body}:route`
+								}))
+							}
+						},
+						'/failing': {
+							name: 'functionName',
+							middlewares: [{
+								onError: err => err.statusCode === 502 ? {
+									statusCode: 200,
+									body: 'recovered'
+								} : undefined
+							}]
+						}
+					}
+				});
+
+				sinon.stub(middlewareGateway, 'invoke')
+					.returns(Observable.of({
+						body: 'data',
+						headers: {}
+					}));
+				sinon.stub(middlewareGateway, 'responds');
+
+				req.url = 'http://localhost/?width=10';
+			});
+
+			it('should run phases in order, global before route ones', () => {
+				const calls = [];
+
+				middlewareGateway.use({
+					onRequest: () => {
+						calls.push('onRequest');
+					},
+					preAuth: () => {
+						calls.push('preAuth');
+					},
+					preInvoke: args => {
+						calls.push(`preInvoke:${args.params.route}`);
+					},
+					onResponse: () => {
+						calls.push('onResponse');
+					}
+				});
+
+				middlewareGateway.handle(req, res);
+
+				expect(calls).to.deep.equal([
+					'onRequest',
+					'preAuth',
+					'preInvoke:undefined',
+					'onResponse'
+				]);
+				expect(middlewareGateway.invoke).to.have.been.calledWithExactly('functionName', {
+					width: 10,
+					route: true
+				}, '$LATEST');
+
+				return new Promise(resolve => setImmediate(resolve))
+					.then(() => {
+						expect(middlewareGateway.responds).to.have.been.calledWithExactly(res, null, 'data:route', {
+							etag: httpCache.etag('data:route')
+						}, false, 200);
+					});
+			});
+
+			it('should short circuit with onRequest error', () => {
+				middlewareGateway.use('onRequest', () => Observable.throw(Object.assign(new Error('Too Many Requests'), {
+					statusCode: 429
+				})));
+
+				middlewareGateway.handle(req, res);
+
+				expect(middlewareGateway.responds.firstCall.args[1].statusCode).to.equal(429);
+				expect(middlewareGateway.invoke).not.to.have.been.called;
+			});
+
+			it('should run onRequest before health and routing', () => {
+				middlewareGateway.use('onRequest', args => Object.assign(args, {
+					uri: '/failing'
+				}));
+
+				middlewareGateway.handle(req, res);
+
+				expect(middlewareGateway.invoke).to.have.been.calledWith('functionName');
+			});
+
+			it('should responds once if onResponse emits many values', () => {
+				middlewareGateway.use('onResponse', response => Observable.of(response, response));
+
+				middlewareGateway.handle(req, res);
+
+				return new Promise(resolve => setImmediate(resolve))
+					.then(() => {
+						expect(middlewareGateway.responds).to.have.been.calledOnce;
+					});
+			});
+
+			it('should keep args if preInvoke returns empty observable', () => {
+				middlewareGateway.use('preInvoke', () => Observable.empty());
+
+				middlewareGateway.handle(req, res);
+
+				expect(middlewareGateway.invoke).to.have.been.calledWithExactly('functionName', {
+					width: 10,
+					route: true
+				}, '$LATEST');
+
+				return new Promise(resolve => setImmediate(resolve))
+					.then(() => {
+						expect(middlewareGateway.responds).to.have.been.calledOnce;
+					});
+			});
+
+			it('should short circuit with preAuth error', () => {
+				middlewareGateway.use('preAuth', () => {
+					throw Object.assign(new Error('Forbidden'), {
+						statusCode: 403
+					});
+				});
+
+				middlewareGateway.handle(req, res);
+
+				expect(middlewareGateway.responds.firstCall.args[1].statusCode).to.equal(403);
+				expect(middlewareGateway.invoke).not.to.have.been.called;
+			});
+
+			it('should recover with onError', () => {
+				middlewareGateway.invoke.returns(Observable.throw(Object.assign(new Error('Bad Gateway'), {
+					statusCode: 502
+				})));
+
+				req.url = 'http://localhost/failing';
+
+				middlewareGateway.handle(req, res);
+
+				expect(middlewareGateway.responds).to.have.been.calledWithExactly(res, null, 'recovered', {}, false, 200);
+			});
+
+			it('should keep error if onError returns nothing', () => {
+				const onError = sinon.stub();
+
+				middlewareGateway.use('onError', onError);
+				middlewareGateway.invoke.returns(Observable.throw(Object.assign(new Error('Gateway Timeout'), {
+					statusCode: 504
+				})));
+
+				req.url = 'http://localhost/failing';
+
+				middlewareGateway.handle(req, res);
+
+				expect(onError).to.have.been.calledWithExactly(sinon.match({
+					statusCode: 504
+				}), sinon.match.object, sinon.match({
+					name: 'functionName'
+				}));
+				expect(middlewareGateway.responds.firstCall.args[1].statusCode).to.equal(504);
+			});
+		});
+
+		describe('uploads', () => {
+			it('should cleanup temp files once responded', () => {
+				const tmpFile = path.join(require('os').tmpdir(), `smallorange-gateway-upload-spec-${process.pid}`);
+
+				fs.writeFileSync(tmpFile, 'file content');
+				gateway.bodyParser.callsArgWith(2, null, {
+					file: {
+						path: tmpFile
+					}
+				});
+
+				req.method = 'POST';
+				req.url = 'http://localhost?width=10';
+
+				gateway.handle(req, res);
+
+				expect(res.on).to.have.been.calledWithExactly('finish', sinon.match.func);
+				expect(fs.existsSync(tmpFile)).to.be.true;
+
+				res.on.withArgs('finish').firstCall.args[1]();
+
+				return new Promise(resolve => setTimeout(resolve, 50))
+					.then(() => {
+						expect(fs.existsSync(tmpFile)).to.be.false;
+					});
+			});
+
+			it('should cleanup temp files if onRequest fails', () => {
+				const tmpFile = path.join(require('os').tmpdir(), `smallorange-gateway-upload-spec-${process.pid}`);
+
+				fs.writeFileSync(tmpFile, 'file content');
+				gateway.bodyParser.callsArgWith(2, null, {
+					file: {
+						path: tmpFile
+					}
+				});
+				gateway.use('onRequest', () => {
+					throw new Error('onRequest error');
+				});
+
+				req.method = 'POST';
+				req.url = 'http://localhost?width=10';
+
+				gateway.handle(req, res);
+
+				expect(gateway.responds.firstCall.args[1].message).to.equal('onRequest error');
+
+				res.on.withArgs('finish').firstCall.args[1]();
+
+				return new Promise(resolve => setTimeout(resolve, 50))
+					.then(() => {
+						expect(fs.existsSync(tmpFile)).to.be.false;
+					});
+			});
+		});
+
 		describe('internal error', () => {
 			it('should call responds with error', () => {
 				gateway.callLambda.restore();
@@ -1162,6 +4418,235 @@ describe('index.js', () => {
 		});
 	});
 
+	describe('preflight', () => {
+		let corsGateway;
+
+		beforeEach(() => {
+			corsGateway = new Gateway({
+				logGroup: 'spec',
+				cors: {
+					origin: ['http://origin.com', /\.origin\.com$/],
+					maxAge: 600
+				},
+				lambdas: {
+					'/': {
+						name: 'functionName'
+					},
+					'/users': {
+						GET: {
+							name: 'listUsers'
+						},
+						POST: {
+							name: 'createUser',
+							cors: {
+								origin: 'http://admin.com',
+								credentials: true
+							}
+						}
+					},
+					'/private': {
+						name: 'functionName',
+						cors: false
+					}
+				}
+			});
+
+			sinon.spy(corsGateway, 'write');
+
+			req.method = 'OPTIONS';
+			req.headers.origin = 'http://origin.com';
+			req.headers['access-control-request-method'] = 'GET';
+			req.headers['access-control-request-headers'] = 'authorization';
+		});
+
+		it('should responds with preflight headers', () => {
+			req.url = 'http://localhost/';
+
+			corsGateway.preflight(req, res);
+
+			expect(res.setHeader).to.have.been.calledWithExactly('allow', 'GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS');
+			expect(res.setHeader).to.have.been.calledWithExactly('access-control-allow-origin', 'http://origin.com');
+			expect(res.setHeader).to.have.been.calledWithExactly('access-control-allow-methods', 'GET, HEAD, POST, PUT, PATCH, DELETE');
+			expect(res.setHeader).to.have.been.calledWithExactly('access-control-allow-headers', 'authorization');
+			expect(res.setHeader).to.have.been.calledWithExactly('access-control-max-age', '600');
+			expect(res.setHeader).to.have.been.calledWithExactly('vary', 'origin, access-control-request-headers');
+			expect(corsGateway.write).to.have.been.calledWithExactly(res, '', 204);
+		});
+
+		it('should responds with route methods', () => {
+			req.url = 'http://localhost/users';
+
+			corsGateway.preflight(req, res);
+
+			expect(res.setHeader).to.have.been.calledWithExactly('allow', 'GET, POST, OPTIONS');
+			expect(res.setHeader).to.have.been.calledWithExactly('access-control-allow-methods', 'GET, POST');
+		});
+
+		it('should use route options', () => {
+			req.url = 'http://localhost/users';
+			req.headers.origin = 'http://admin.com';
+			req.headers['access-control-request-method'] = 'POST';
+
+			corsGateway.preflight(req, res);
+
+			expect(res.setHeader).to.have.been.calledWithExactly('access-control-allow-origin', 'http://admin.com');
+			expect(res.setHeader).to.have.been.calledWithExactly('access-control-allow-credentials', 'true');
+		});
+
+		it('should not responds with preflight headers if origin is not allowed', () => {
+			req.url = 'http://localhost/';
+			req.headers.origin = 'http://other.com';
+
+			corsGateway.preflight(req, res);
+
+			expect(res.setHeader).to.have.been.calledWithExactly('allow', 'GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS');
+			expect(res.setHeader).not.to.have.been.calledWith('access-control-allow-origin');
+			expect(corsGateway.write).to.have.been.calledWithExactly(res, '', 204);
+		});
+
+		it('should not responds with preflight headers if route disables cors', () => {
+			req.url = 'http://localhost/private';
+
+			corsGateway.preflight(req, res);
+
+			expect(res.setHeader).not.to.have.been.calledWith('access-control-allow-origin');
+		});
+
+		it('should responds with 404 if no route', () => {
+			corsGateway.setLambdas({
+				'/users': {
+					name: 'functionName'
+				}
+			});
+
+			req.url = 'http://localhost/';
+			sinon.stub(corsGateway, 'responds');
+
+			corsGateway.preflight(req, res);
+
+			expect(corsGateway.responds.firstCall.args[1].statusCode).to.equal(404);
+		});
+
+		it('should set actual requests headers', () => {
+			req.method = 'GET';
+			req.url = 'http://localhost/';
+			req.headers.origin = 'http://www.origin.com';
+
+			corsGateway.setCorsHeaders(req, res);
+
+			expect(res.setHeader).to.have.been.calledWithExactly('access-control-allow-origin', 'http://www.origin.com');
+			expect(res.setHeader).to.have.been.calledWithExactly('vary', 'origin');
+		});
+	});
+
+	describe('use', () => {
+		afterEach(() => {
+			gateway.middlewares = [];
+		});
+
+		it('should add middleware by phase', () => {
+			const fn = () => null;
+
+			expect(gateway.use('preAuth', fn)).to.equal(gateway);
+			expect(gateway.middlewares).to.deep.equal([{
+				preAuth: fn
+			}]);
+		});
+
+		it('should add middleware object', () => {
+			const middleware = {
+				onRequest: () => null,
+				onError: () => null
+			};
+
+			gateway.use(middleware);
+
+			expect(gateway.middlewares).to.deep.equal([middleware]);
+		});
+
+		it('should throw if phase is unknown', () => {
+			expect(() => gateway.use('preCache', () => null)).to.throw('preCache is an unknown middleware phase.');
+		});
+
+		it('should throw if middleware is not a function', () => {
+			expect(() => gateway.use('preAuth', 'fn')).to.throw('preAuth middleware should be a function.');
+		});
+	});
+
+	describe('validateRequest', () => {
+		const lambda = {
+			name: 'functionName',
+			schema: {
+				params: {
+					type: 'object',
+					properties: {
+						width: {
+							type: 'number'
+						}
+					},
+					required: ['width']
+				},
+				body: {
+					type: 'object',
+					required: ['name']
+				},
+				coerce: true
+			}
+		};
+
+		it('should return args if no schema', done => {
+			const args = {};
+
+			gateway.validateRequest(lambdas['/'], args)
+				.subscribe(response => {
+					expect(response).to.equal(args);
+				}, null, done);
+		});
+
+		it('should return args if no lambda', done => {
+			gateway.validateRequest(null, {})
+				.subscribe(response => {
+					expect(response).to.deep.equal({});
+				}, null, done);
+		});
+
+		it('should return coerced args', done => {
+			gateway.validateRequest(lambda, {
+					params: {
+						width: '10'
+					},
+					body: {
+						name: 'name'
+					}
+				})
+				.subscribe(response => {
+					expect(response.params).to.deep.equal({
+						width: 10
+					});
+				}, null, done);
+		});
+
+		it('should return 400 with all errors', done => {
+			gateway.validateRequest(lambda, {
+					params: {
+						width: 'wide'
+					},
+					body: {}
+				})
+				.subscribe(null, err => {
+					expect(err.statusCode).to.equal(400);
+					expect(err.message).to.equal('params.width should be number, body should have required property \'name\'');
+					expect(err.context).to.deep.equal({
+						errors: [
+							'params.width should be number',
+							'body should have required property \'name\''
+						]
+					});
+					done();
+				});
+		});
+	});
+
 	describe('handleAuth', () => {
 		it('should not resolve authorization if no auth', done => {
 			gateway.handleAuth()
@@ -1171,7 +4656,10 @@ describe('index.js', () => {
 		});
 
 		it('should thow if malformed auth', done => {
-			gateway.handleAuth(lambdas['/wrongAuth'])
+			gateway.handleAuth({
+					name: 'functionName',
+					auth: true
+				})
 				.subscribe(null, err => {
 					expect(err.message).to.equal('auth should be an object.');
 
@@ -0,0 +1,398 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const {
+	Observable
+} = require('rxjs');
+
+const IndexedCacheDriver = require('../indexedCache');
+
+chai.use(sinonChai);
+
+const expect = chai.expect;
+
+describe('indexedCache.js', () => {
+	let clock;
+	let driver;
+	let redis;
+	let cacheDriver;
+	let fallback;
+
+	const entry = (value = {}) => JSON.stringify(Object.assign({
+		createdAt: 0,
+		ttl: 10,
+		ttr: 5,
+		refresh: false
+	}, value));
+
+	beforeEach(() => {
+		clock = sinon.useFakeTimers();
+		driver = {
+			get: sinon.stub()
+				.callsFake((args, fallback) => fallback(args)),
+			markToRefresh: sinon.stub()
+				.returns(Observable.of([1])),
+			unset: sinon.stub()
+				.returns(Observable.of([1]))
+		};
+		redis = {
+			hashSet: sinon.stub()
+				.returns(Observable.of(1)),
+			hashGet: sinon.stub()
+				.returns(Observable.empty()),
+			hashDel: sinon.stub()
+				.returns(Observable.of(1)),
+			sendCommand: sinon.stub()
+				.returns(Observable.empty())
+		};
+
+		redis.sendCommand.withArgs('zadd')
+			.returns(Observable.of(1));
+		redis.sendCommand.withArgs('zrem')
+			.returns(Observable.of(1));
+
+		cacheDriver = new IndexedCacheDriver({
+			driver,
+			redis,
+			prefix: 'spec:',
+			ttl: 10,
+			ttr: 5
+		});
+
+		fallback = sinon.stub()
+			.returns(Observable.of('fresh'));
+	});
+
+	afterEach(() => {
+		clock.restore();
+	});
+
+	describe('constructor', () => {
+		it('should have defaults', () => {
+			cacheDriver = new IndexedCacheDriver({
+				driver,
+				redis
+			});
+
+			expect(cacheDriver.prefix).to.equal('cacheIndex:');
+			expect(cacheDriver.ttl).to.equal(2592000);
+			expect(cacheDriver.ttr).to.equal(7200);
+		});
+
+		it('should parse ttl and ttr', () => {
+			cacheDriver = new IndexedCacheDriver({
+				driver,
+				redis,
+				ttl: '20',
+				ttr: '10'
+			});
+
+			expect(cacheDriver.ttl).to.equal(20);
+			expect(cacheDriver.ttr).to.equal(10);
+		});
+	});
+
+	describe('get', () => {
+		it('should index fresh values', done => {
+			clock.tick(1000);
+
+			cacheDriver.get({
+					namespace: 'namespace',
+					key: 'key'
+				}, fallback)
+				.subscribe(value => {
+					expect(value).to.equal('fresh');
+					expect(redis.hashSet).to.have.been.calledWithExactly('spec:namespace:entries', 'key', entry({
+						createdAt: 1000
+					}));
+					expect(redis.hashSet).to.have.been.calledWithExactly('spec:namespace:values', 'key', '"fresh"');
+					expect(redis.sendCommand).to.have.been.calledWithExactly('zadd', 'spec:namespace:expires', 11000, 'key');
+				}, null, done);
+		});
+
+		it('should index args ttl and ttr set by fallback', done => {
+			cacheDriver.get({
+					namespace: 'namespace',
+					key: 'key'
+				}, args => {
+					args.ttl = 20;
+					args.ttr = 15;
+
+					return Observable.of('fresh');
+				})
+				.subscribe(() => {
+					expect(redis.hashSet).to.have.been.calledWithExactly('spec:namespace:entries', 'key', entry({
+						ttl: 20,
+						ttr: 15
+					}));
+					expect(redis.sendCommand).to.have.been.calledWithExactly('zadd', 'spec:namespace:expires', 20000, 'key');
+				}, null, done);
+		});
+
+		it('should prune expired keys on write', done => {
+			clock.tick(1000);
+
+			redis.sendCommand.withArgs('zrangebyscore')
+				.returns(Observable.from(['expired', 'expired2']));
+
+			cacheDriver.get({
+					namespace: 'namespace',
+					key: 'key'
+				}, fallback)
+				.subscribe(() => {
+					expect(redis.sendCommand).to.have.been.calledWithExactly('zrangebyscore', 'spec:namespace:expires', '-inf', 1000);
+					expect(redis.hashDel).to.have.been.calledWithExactly('spec:namespace:entries', ['expired', 'expired2']);
+					expect(redis.hashDel).to.have.been.calledWithExactly('spec:namespace:values', ['expired', 'expired2']);
+					expect(redis.sendCommand).to.have.been.calledWithExactly('zrem', 'spec:namespace:expires', 'expired', 'expired2');
+				}, null, done);
+		});
+
+		it('should not prune if nothing is expired', done => {
+			cacheDriver.get({
+					namespace: 'namespace',
+					key: 'key'
+				}, fallback)
+				.subscribe(() => {
+					expect(redis.hashDel).not.to.have.been.called;
+				}, null, done);
+		});
+
+		it('should not index cached values', done => {
+			driver.get.returns(Observable.of('cached'));
+
+			cacheDriver.get({
+					namespace: 'namespace',
+					key: 'key'
+				}, fallback)
+				.subscribe(value => {
+					expect(value).to.equal('cached');
+					expect(redis.hashSet).not.to.have.been.called;
+				}, null, done);
+		});
+
+		it('should not fail if index fails', done => {
+			redis.hashSet.returns(Observable.throw(new Error('redis error')));
+
+			cacheDriver.get({
+					namespace: 'namespace',
+					key: 'key'
+				}, fallback)
+				.subscribe(value => {
+					expect(value).to.equal('fresh');
+				}, null, done);
+		});
+
+		it('should not index fallback errors', done => {
+			cacheDriver.get({
+					namespace: 'namespace',
+					key: 'key'
+				}, () => Observable.throw(new Error('fallback error')))
+				.subscribe(null, err => {
+					expect(err.message).to.equal('fallback error');
+					expect(redis.hashSet).not.to.have.been.called;
+
+					done();
+				});
+		});
+	});
+
+	describe('markToRefresh', () => {
+		it('should call driver and flag indexed keys', done => {
+			redis.hashGet.withArgs('spec:namespace:entries', 'key')
+				.returns(Observable.of(entry()));
+
+			cacheDriver.markToRefresh({
+					namespace: 'namespace',
+					keys: ['key', 'missing']
+				})
+				.subscribe(response => {
+					expect(response).to.deep.equal([1]);
+					expect(driver.markToRefresh).to.have.been.calledWithExactly({
+						namespace: 'namespace',
+						keys: ['key', 'missing']
+					});
+					expect(redis.hashSet).to.have.been.calledOnce;
+					expect(redis.hashSet).to.have.been.calledWithExactly('spec:namespace:entries', 'key', entry({
+						refresh: true
+					}));
+				}, null, done);
+		});
+	});
+
+	describe('unset', () => {
+		it('should call driver and drop keys from index', done => {
+			cacheDriver.unset({
+					namespace: 'namespace',
+					keys: ['key', 'key2']
+				})
+				.subscribe(response => {
+					expect(response).to.deep.equal([1]);
+					expect(driver.unset).to.have.been.calledWithExactly({
+						namespace: 'namespace',
+						keys: ['key', 'key2']
+					});
+					expect(redis.hashDel).to.have.been.calledWithExactly('spec:namespace:entries', ['key', 'key2']);
+					expect(redis.hashDel).to.have.been.calledWithExactly('spec:namespace:values', ['key', 'key2']);
+					expect(redis.sendCommand).to.have.been.calledWithExactly('zrem', 'spec:namespace:expires', 'key', 'key2');
+				}, null, done);
+		});
+
+		it('should not touch index without keys', done => {
+			cacheDriver.unset({
+					namespace: 'namespace'
+				})
+				.subscribe(response => {
+					expect(response).to.deep.equal([1]);
+					expect(redis.hashDel).not.to.have.been.called;
+				}, null, done);
+		});
+	});
+
+	describe('scan', () => {
+		it('should return live keys page', done => {
+			clock.tick(10000);
+
+			redis.sendCommand.withArgs('hscan')
+				.returns(Observable.from(['17', ['live', entry({
+					createdAt: 5000
+				}), 'expired', entry(), 'invalid', 'invalid']]));
+
+			cacheDriver.scan({
+					namespace: 'namespace',
+					limit: 3
+				})
+				.subscribe(response => {
+					expect(redis.sendCommand).to.have.been.calledWithExactly('hscan', 'spec:namespace:entries', '0', 'MATCH', '*', 'COUNT', 3);
+					expect(response).to.deep.equal({
+						keys: ['live'],
+						cursor: '17'
+					});
+				}, null, done);
+		});
+
+		it('should return null cursor on last page', done => {
+			redis.sendCommand.withArgs('hscan')
+				.returns(Observable.from(['0', []]));
+
+			cacheDriver.scan({
+					namespace: 'namespace',
+					cursor: '17'
+				})
+				.subscribe(response => {
+					expect(redis.sendCommand).to.have.been.calledWithExactly('hscan', 'spec:namespace:entries', '17', 'MATCH', '*', 'COUNT', 100);
+					expect(response).to.deep.equal({
+						keys: [],
+						cursor: null
+					});
+				}, null, done);
+		});
+
+		it('should match escaped prefix', done => {
+			cacheDriver.scan({
+					namespace: 'namespace',
+					prefix: '/users/[*]?'
+				})
+				.subscribe(() => {
+					expect(redis.sendCommand).to.have.been.calledWith('hscan', 'spec:namespace:entries', '0', 'MATCH', '/users/\\[\\*\\]\\?*');
+				}, null, done);
+		});
+
+		it('should match escaped pattern', done => {
+			cacheDriver.scan({
+					namespace: 'namespace',
+					prefix: '/users/',
+					pattern: '/users/[?]/*'
+				})
+				.subscribe(() => {
+					expect(redis.sendCommand).to.have.been.calledWith('hscan', 'spec:namespace:entries', '0', 'MATCH', '/users/\\[?\\]/*');
+				}, null, done);
+		});
+	});
+
+	describe('inspect', () => {
+		beforeEach(() => {
+			redis.hashGet.withArgs('spec:namespace:values', 'key')
+				.returns(Observable.of('"cached"'));
+		});
+
+		it('should return entry', done => {
+			clock.tick(2000);
+
+			redis.hashGet.withArgs('spec:namespace:entries', 'key')
+				.returns(Observable.of(entry()));
+
+			cacheDriver.inspect({
+					namespace: 'namespace',
+					key: 'key'
+				})
+				.subscribe(response => {
+					expect(driver.get).not.to.have.been.called;
+					expect(response).to.deep.equal({
+						key: 'key',
+						value: 'cached',
+						createdAt: 0,
+						age: 2,
+						ttl: 10,
+						ttr: 5,
+						expiresIn: 8,
+						refreshIn: 3,
+						refresh: false
+					});
+				}, null, done);
+		});
+
+		it('should return refreshIn 0 if marked to refresh', done => {
+			redis.hashGet.withArgs('spec:namespace:entries', 'key')
+				.returns(Observable.of(entry({
+					refresh: true
+				})));
+
+			cacheDriver.inspect({
+					namespace: 'namespace',
+					key: 'key'
+				})
+				.subscribe(response => {
+					expect(response.refreshIn).to.equal(0);
+					expect(response.refresh).to.be.true;
+				}, null, done);
+		});
+
+		it('should return null if key is not indexed', done => {
+			cacheDriver.inspect({
+					namespace: 'namespace',
+					key: 'key'
+				})
+				.subscribe(response => {
+					expect(response).to.be.null;
+				}, null, done);
+		});
+
+		it('should return null if entry is expired', done => {
+			clock.tick(10000);
+
+			redis.hashGet.withArgs('spec:namespace:entries', 'key')
+				.returns(Observable.of(entry()));
+
+			cacheDriver.inspect({
+					namespace: 'namespace',
+					key: 'key'
+				})
+				.subscribe(response => {
+					expect(response).to.be.null;
+				}, null, done);
+		});
+
+		it('should return null if value is missing', done => {
+			redis.hashGet.withArgs('spec:namespace:entries', 'missing')
+				.returns(Observable.of(entry()));
+
+			cacheDriver.inspect({
+					namespace: 'namespace',
+					key: 'missing'
+				})
+				.subscribe(response => {
+					expect(response).to.be.null;
+				}, null, done);
+		});
+	});
+});
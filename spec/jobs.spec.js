@@ -0,0 +1,213 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const {
+	Observable
+} = require('rxjs');
+
+const JobStore = require('../jobs');
+
+chai.use(sinonChai);
+
+const expect = chai.expect;
+
+describe('jobs.js', () => {
+	let clock;
+	let jobs;
+
+	beforeEach(() => {
+		clock = sinon.useFakeTimers();
+		jobs = new JobStore({
+			ttl: 10
+		});
+	});
+
+	afterEach(() => {
+		clock.restore();
+	});
+
+	describe('create', () => {
+		it('should create pending job', done => {
+			jobs.create({
+					name: 'functionName'
+				})
+				.subscribe(job => {
+					expect(job.id).to.match(/^[a-f0-9]{32}$/);
+					expect(job.token).to.match(/^[a-f0-9]{32}$/);
+					expect(job.token).not.to.equal(job.id);
+					expect(job).to.deep.include({
+						name: 'functionName',
+						status: 'pending',
+						createdAt: 0,
+						updatedAt: 0
+					});
+				}, null, done);
+		});
+	});
+
+	describe('get', () => {
+		it('should return job', done => {
+			jobs.create({
+					name: 'functionName'
+				})
+				.mergeMap(job => jobs.get(job.id))
+				.subscribe(job => {
+					expect(job.status).to.equal('pending');
+				}, null, done);
+		});
+
+		it('should return null if job doesn\'t exist', done => {
+			jobs.get('inexistent')
+				.subscribe(job => {
+					expect(job).to.be.null;
+				}, null, done);
+		});
+
+		it('should return null after ttl', done => {
+			jobs.create({
+					name: 'functionName'
+				})
+				.do(() => clock.tick(10000))
+				.mergeMap(job => jobs.get(job.id))
+				.subscribe(job => {
+					expect(job).to.be.null;
+				}, null, done);
+		});
+	});
+
+	describe('update', () => {
+		let job;
+
+		beforeEach(done => {
+			jobs.create({
+					name: 'functionName'
+				})
+				.subscribe(response => {
+					job = response;
+					clock.tick(1000);
+				}, null, done);
+		});
+
+		it('should update job', done => {
+			jobs.update(job.id, job.token, {
+					status: 'succeeded',
+					result: {
+						width: 10
+					}
+				})
+				.mergeMap(() => jobs.get(job.id))
+				.subscribe(response => {
+					expect(response).to.deep.include({
+						status: 'succeeded',
+						result: {
+							width: 10
+						},
+						error: null,
+						updatedAt: 1000
+					});
+				}, null, done);
+		});
+
+		it('should return 400 if status is invalid', done => {
+			jobs.update(job.id, job.token, {
+					status: 'pending'
+				})
+				.subscribe(null, err => {
+					expect(err.statusCode).to.equal(400);
+					done();
+				});
+		});
+
+		it('should return 403 if token is wrong', done => {
+			jobs.update(job.id, 'wrongToken', {
+					status: 'succeeded'
+				})
+				.subscribe(null, err => {
+					expect(err.statusCode).to.equal(403);
+					done();
+				});
+		});
+
+		it('should return 403 if token is missing', done => {
+			jobs.update(job.id, undefined, {
+					status: 'succeeded'
+				})
+				.subscribe(null, err => {
+					expect(err.statusCode).to.equal(403);
+					done();
+				});
+		});
+
+		it('should return 404 if job doesn\'t exist', done => {
+			jobs.update('inexistent', job.token, {
+					status: 'succeeded'
+				})
+				.subscribe(null, err => {
+					expect(err.statusCode).to.equal(404);
+					done();
+				});
+		});
+	});
+
+	describe('redis', () => {
+		let redis;
+
+		beforeEach(() => {
+			redis = {
+				get: sinon.stub()
+					.returns(Observable.empty()),
+				set: sinon.stub()
+					.returns(Observable.of('OK'))
+			};
+
+			jobs = new JobStore({
+				redis,
+				prefix: 'spec:',
+				ttl: 10
+			});
+		});
+
+		it('should save job with ttl', done => {
+			jobs.create({
+					name: 'functionName'
+				})
+				.subscribe(job => {
+					expect(redis.set).to.have.been.calledWithExactly(`spec:${job.id}`, JSON.stringify(job), 10);
+				}, null, done);
+		});
+
+		it('should get job', done => {
+			redis.get.returns(Observable.of(JSON.stringify({
+				id: 'id'
+			})));
+
+			jobs.get('id')
+				.subscribe(job => {
+					expect(redis.get).to.have.been.calledWithExactly('spec:id');
+					expect(job).to.deep.equal({
+						id: 'id'
+					});
+				}, null, done);
+		});
+
+		it('should return null if job doesn\'t exist', done => {
+			jobs.get('id')
+				.subscribe(job => {
+					expect(job).to.be.null;
+				}, null, done);
+		});
+	});
+
+	describe('toPublic', () => {
+		it('should omit token', () => {
+			expect(jobs.toPublic({
+				id: 'id',
+				token: 'token',
+				status: 'pending'
+			})).to.deep.equal({
+				id: 'id',
+				status: 'pending'
+			});
+		});
+	});
+});
@@ -0,0 +1,462 @@
+const chai = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const manifest = require('../manifest');
+
+const expect = chai.expect;
+
+describe('manifest.js', () => {
+	describe('validate', () => {
+		it('should return no errors', () => {
+			expect(manifest.validate({
+				'/': {
+					name: 'functionName'
+				},
+				'/users': {
+					GET: {
+						name: 'listUsers'
+					}
+				}
+			})).to.deep.equal([]);
+		});
+
+		it('should return error if lambdas isn\'t an object', () => {
+			expect(manifest.validate(null)).to.deep.equal(['lambdas should be an object.']);
+			expect(manifest.validate([])).to.deep.equal(['lambdas should be an object.']);
+		});
+
+		it('should return errors', () => {
+			expect(manifest.validate({
+				'/': 'functionName',
+				'/noName': {},
+				'/users': {
+					GET: {
+						name: ''
+					}
+				}
+			})).to.deep.equal([
+				'/: should be an object.',
+				'/noName: name is required.',
+				'/users (GET): name is required.'
+			]);
+		});
+
+		it('should return error if route doesn\'t start with slash', () => {
+			expect(manifest.validate({
+				'*': {
+					name: 'functionName'
+				}
+			})).to.deep.equal([
+				'*: should start with "/".'
+			]);
+		});
+
+		it('should return errors for unknown keys', () => {
+			expect(manifest.validate({
+				'/': {
+					name: 'functionName',
+					nmae: 'functionName',
+					defaults: {
+						respondeHeaders: {}
+					}
+				},
+				'/users': {
+					GET: {
+						name: 'listUsers'
+					},
+					FETCH: {
+						name: 'fetchUsers'
+					}
+				}
+			})).to.deep.equal([
+				'/: nmae is an unknown key.',
+				'/: defaults.respondeHeaders is an unknown key.',
+				'/users: FETCH is an unknown method.'
+			]);
+		});
+
+		it('should return errors for wrong types', () => {
+			expect(manifest.validate({
+				'/': {
+					name: 1,
+					version: 1,
+					paramsOnly: 'true',
+					cache: {
+						enabled: 'true',
+						key: null
+					},
+					auth: true,
+					defaults: {
+						requestParams: [],
+						responseBase64: 1,
+						responseHeaders: 'image/png'
+					}
+				},
+				'/auth': {
+					name: 'functionName',
+					auth: {
+						allowedFields: 'user',
+						token: 'token'
+					}
+				}
+			})).to.deep.equal([
+				'/: name should be a string.',
+				'/: version should be a string.',
+				'/: paramsOnly should be a boolean.',
+				'/: cache.enabled should be a boolean or a function.',
+				'/: cache.key should be a string or a function or an object.',
+				'/: auth should be an object.',
+				'/: defaults.requestParams should be an object.',
+				'/: defaults.responseBase64 should be a boolean.',
+				'/: defaults.responseHeaders should be an object.',
+				'/auth: auth.allowedFields should be an array.',
+				'/auth: auth.secret is required.',
+				'/auth: auth.token should be a function.'
+			]);
+		});
+
+		it('should return errors for backends', () => {
+			expect(manifest.validate({
+				'/local': {
+					name: 'functionName',
+					backend: 'local'
+				},
+				'/http': {
+					name: 'functionName',
+					backend: 'http'
+				},
+				'/custom': {
+					name: 'functionName',
+					backend: 'custom'
+				},
+				'/valid': {
+					name: 'functionName',
+					backend: 'http',
+					url: 'http://localhost'
+				}
+			})).to.deep.equal([
+				'/local: handler is required for local backend.',
+				'/http: url is required for http backend.',
+				'/custom: backend custom is unknown.'
+			]);
+		});
+
+		it('should accept custom backends', () => {
+			expect(manifest.validate({
+				'/custom': {
+					name: 'functionName',
+					backend: 'custom'
+				}
+			}, {
+				backends: ['custom']
+			})).to.deep.equal([]);
+		});
+
+		it('should return error for invalid JSON schema', () => {
+			expect(manifest.validate({
+				'/': {
+					name: 'functionName',
+					schema: {
+						params: {
+							type: 'object'
+						},
+						body: {
+							required: 'name'
+						}
+					}
+				}
+			})).to.deep.equal([
+				'/: schema.body is an invalid JSON schema, .required should be array.'
+			]);
+		});
+
+		it('should return error for wrong responseMode', () => {
+			expect(manifest.validate({
+				'/': {
+					name: 'functionName',
+					schema: {
+						response: {
+							type: 'object'
+						},
+						responseMode: 'ignore'
+					}
+				}
+			})).to.deep.equal([
+				'/: schema.responseMode should be one of reject, strip, log.'
+			]);
+		});
+
+		it('should return error for log responseMode out of dev mode', () => {
+			const lambdas = {
+				'/': {
+					name: 'functionName',
+					schema: {
+						response: {
+							type: 'object'
+						},
+						responseMode: 'log'
+					}
+				}
+			};
+
+			expect(manifest.validate(lambdas)).to.deep.equal([
+				'/: schema.responseMode log is allowed on development mode only.'
+			]);
+
+			expect(manifest.validate(lambdas, {
+				dev: true
+			})).to.deep.equal([]);
+		});
+
+		it('should return error for wrong transform template', () => {
+			expect(manifest.validate({
+				'/': {
+					name: 'functionName',
+					requestTransform: {
+						rename: {}
+					},
+					responseTransform: {
+						remove: 'body.password'
+					}
+				}
+			})).to.deep.equal([
+				'/: requestTransform.rename is an unknown key.',
+				'/: responseTransform.remove should be an array.'
+			]);
+		});
+
+		it('should return error for wrong body files', () => {
+			expect(manifest.validate({
+				'/': {
+					name: 'functionName',
+					body: {
+						files: 'disk'
+					}
+				}
+			})).to.deep.equal([
+				'/: body.files should be "base64" or "tmp".'
+			]);
+		});
+
+		it('should return error for async http backend', () => {
+			expect(manifest.validate({
+				'/': {
+					name: 'functionName',
+					backend: 'http',
+					url: 'http://localhost',
+					async: true
+				}
+			})).to.deep.equal([
+				'/: async isn\'t supported by http backend.'
+			]);
+		});
+
+		it('should return error for wrong breaker fallback', () => {
+			expect(manifest.validate({
+				'/': {
+					name: 'functionName',
+					breaker: {
+						fallback: 'static'
+					}
+				}
+			})).to.deep.equal([
+				'/: breaker.fallback should be "cache" or a response object.'
+			]);
+		});
+
+		it('should return error for wrong middlewares', () => {
+			expect(manifest.validate({
+				'/': {
+					name: 'functionName',
+					middlewares: {
+						onRequest: () => null,
+						preAuth: 'fn'
+					}
+				},
+				'/array': {
+					name: 'functionName',
+					middlewares: [{
+						onError: () => null
+					}, 'fn']
+				}
+			})).to.deep.equal([
+				'/: middlewares.onRequest should be one of preAuth, preInvoke, onResponse, onError.',
+				'/: middlewares.preAuth should be a function.',
+				'/array: middlewares[1] should be an object.'
+			]);
+		});
+
+		it('should return error for wrong cors', () => {
+			expect(manifest.validate({
+				'/': {
+					name: 'functionName',
+					cors: true
+				},
+				'/origin': {
+					name: 'functionName',
+					cors: {
+						origin: {},
+						maxAge: '600'
+					}
+				},
+				'/regexp': {
+					name: 'functionName',
+					cors: {
+						origin: /\.origin\.com$/
+					}
+				}
+			})).to.deep.equal([
+				'/: cors should be an object or false.',
+				'/origin: cors.maxAge should be a number.',
+				'/origin: cors.origin should be a string, a list, a RegExp or a function.'
+			]);
+		});
+
+		it('should return error for wrong cache options', () => {
+			expect(manifest.validate({
+				'/': {
+					name: 'functionName',
+					cache: {
+						enabled: true,
+						ttl: '60',
+						ttr: args => 10
+					}
+				}
+			})).to.deep.equal([
+				'/: cache.ttl should be a number or a function.'
+			]);
+		});
+
+		it('should return errors for wrong cache key', () => {
+			expect(manifest.validate({
+				'/': {
+					name: 'functionName',
+					cache: {
+						enabled: true,
+						key: {
+							params: 'width',
+							vary: ['accept-language'],
+							query: true
+						}
+					}
+				}
+			})).to.deep.equal([
+				'/: cache.key.query is an unknown key.',
+				'/: cache.key.params should be a boolean or an array.'
+			]);
+		});
+
+		it('should return errors for cached auth routes not varying on auth claims', () => {
+			expect(manifest.validate({
+				'/': {
+					name: 'functionName',
+					auth: {
+						secret: 'secret'
+					},
+					cache: {
+						enabled: true,
+						key: '/'
+					}
+				},
+				'/users': {
+					name: 'functionName',
+					auth: {
+						secret: 'secret',
+						allowedFields: ['sub']
+					},
+					cache: {
+						enabled: true,
+						key: {
+							auth: ['sub', 'role', 'email']
+						}
+					}
+				},
+				'/disabled': {
+					name: 'functionName',
+					auth: {
+						secret: 'secret'
+					},
+					cache: {
+						enabled: false,
+						key: '/'
+					}
+				}
+			})).to.deep.equal([
+				'/: cache.key should vary on auth claims when auth is set, like {auth: [\'sub\']}.',
+				'/users: cache.key.auth email should be role or one of auth.allowedFields.'
+			]);
+		});
+
+		it('should return errors for conflicting routes', () => {
+			expect(manifest.validate({
+				'/users/:userId': {
+					name: 'functionName'
+				},
+				'/users/:id': {
+					name: 'functionName'
+				},
+				'/orders': {
+					name: 'functionName'
+				},
+				'/orders/': {
+					name: 'functionName'
+				},
+				'/constructor': {
+					name: 'functionName'
+				}
+			})).to.deep.equal([
+				'/users/:id: conflicts with /users/:userId.',
+				'/orders/: conflicts with /orders.'
+			]);
+		});
+	});
+
+	describe('load', () => {
+		const jsonFile = path.join(os.tmpdir(), `smallorange-gateway-${process.pid}.json`);
+		const jsFile = path.join(os.tmpdir(), `smallorange-gateway-${process.pid}.js`);
+
+		afterEach(() => {
+			[jsonFile, jsFile].forEach(file => fs.existsSync(file) && fs.unlinkSync(file));
+		});
+
+		it('should load JSON file', () => {
+			fs.writeFileSync(jsonFile, JSON.stringify({
+				'/': {
+					name: 'functionName'
+				}
+			}));
+
+			expect(manifest.load(jsonFile)).to.deep.equal({
+				'/': {
+					name: 'functionName'
+				}
+			});
+		});
+
+		it('should load fresh JS module', () => {
+			fs.writeFileSync(jsFile, 'module.exports = {\'/\': {name: \'functionName\'}};');
+
+			expect(manifest.load(jsFile)).to.deep.equal({
+				'/': {
+					name: 'functionName'
+				}
+			});
+
+			fs.writeFileSync(jsFile, 'module.exports = {\'/\': {name: \'otherFunctionName\'}};');
+
+			expect(manifest.load(jsFile)).to.deep.equal({
+				'/': {
+					name: 'otherFunctionName'
+				}
+			});
+		});
+
+		it('should throw if file is malformed', () => {
+			fs.writeFileSync(jsonFile, '{');
+
+			expect(() => manifest.load(jsonFile)).to.throw(SyntaxError);
+		});
+	});
+});
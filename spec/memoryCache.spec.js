@@ -0,0 +1,317 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const {
+	Observable
+} = require('rxjs');
+
+const MemoryCacheDriver = require('../memoryCache');
+
+chai.use(sinonChai);
+
+const expect = chai.expect;
+
+describe('memoryCache.js', () => {
+	let clock;
+	let cacheDriver;
+	let fallback;
+
+	beforeEach(() => {
+		clock = sinon.useFakeTimers();
+		cacheDriver = new MemoryCacheDriver({
+			logError: sinon.stub(),
+			ttl: 10,
+			ttr: 5
+		});
+
+		fallback = sinon.stub()
+			.callsFake(() => Observable.of(`fresh-${Date.now()}`));
+	});
+
+	afterEach(() => {
+		clock.restore();
+	});
+
+	describe('get', () => {
+		it('should call fallback and cache value', done => {
+			cacheDriver.get({
+					namespace: 'spec',
+					key: 'key'
+				}, fallback)
+				.mergeMap(() => cacheDriver.get({
+					namespace: 'spec',
+					key: 'key'
+				}, fallback))
+				.subscribe(response => {
+					expect(fallback).to.have.been.calledOnce;
+					expect(fallback).to.have.been.calledWithExactly({
+						namespace: 'spec',
+						key: 'key'
+					});
+					expect(response).to.equal('fresh-0');
+				}, null, done);
+		});
+
+		it('should not share namespaces', done => {
+			cacheDriver.get({
+					namespace: 'spec',
+					key: 'key'
+				}, fallback)
+				.mergeMap(() => cacheDriver.get({
+					namespace: 'otherSpec',
+					key: 'key'
+				}, fallback))
+				.subscribe(() => {
+					expect(fallback).to.have.been.calledTwice;
+				}, null, done);
+		});
+
+		it('should return stale value and refresh in background after ttr', done => {
+			cacheDriver.set('spec', 'key', 'cached');
+			clock.tick(6000);
+
+			cacheDriver.get({
+					namespace: 'spec',
+					key: 'key'
+				}, fallback)
+				.subscribe(response => {
+					expect(fallback).to.have.been.calledOnce;
+					expect(response).to.equal('cached');
+					expect(cacheDriver.namespace('spec').get('key').value).to.equal('fresh-6000');
+				}, null, done);
+		});
+
+		it('should call fallback after ttl', done => {
+			cacheDriver.set('spec', 'key', 'cached');
+			clock.tick(10000);
+
+			cacheDriver.get({
+					namespace: 'spec',
+					key: 'key'
+				}, fallback)
+				.subscribe(response => {
+					expect(response).to.equal('fresh-10000');
+				}, null, done);
+		});
+
+		it('should log background refresh errors', done => {
+			const err = new Error('some error');
+
+			cacheDriver.set('spec', 'key', 'cached');
+			clock.tick(6000);
+
+			cacheDriver.get({
+					namespace: 'spec',
+					key: 'key'
+				}, () => Observable.throw(err))
+				.subscribe(response => {
+					expect(response).to.equal('cached');
+					expect(cacheDriver.logError).to.have.been.calledWithExactly(err);
+				}, null, done);
+		});
+
+		it('should not cache errors', done => {
+			cacheDriver.get({
+					namespace: 'spec',
+					key: 'key'
+				}, () => Observable.throw(new Error('some error')))
+				.subscribe(null, err => {
+					expect(err.message).to.equal('some error');
+					expect(cacheDriver.namespace('spec').has('key')).to.be.false;
+					done();
+				});
+		});
+	});
+
+	describe('per entry options', () => {
+		it('should expire by entry ttl', done => {
+			cacheDriver.get({
+					namespace: 'spec',
+					key: 'key',
+					ttl: 2
+				}, fallback)
+				.subscribe(() => {
+					clock.tick(2000);
+
+					expect(cacheDriver.namespace('spec').get('key').ttl).to.equal(2);
+
+					cacheDriver.get({
+							namespace: 'spec',
+							key: 'key'
+						}, fallback)
+						.subscribe(response => {
+							expect(response).to.equal('fresh-2000');
+						}, null, done);
+				});
+		});
+
+		it('should use options changed by fallback', done => {
+			cacheDriver.get({
+					namespace: 'spec',
+					key: 'key',
+					ttl: 2
+				}, args => {
+					args.ttl = 20;
+					args.ttr = 15;
+
+					return Observable.of('fresh');
+				})
+				.subscribe(() => {
+					const entry = cacheDriver.namespace('spec')
+						.get('key');
+
+					expect(entry.ttl).to.equal(20);
+					expect(entry.ttr).to.equal(15);
+				}, null, done);
+		});
+	});
+
+	describe('list', () => {
+		it('should return live keys', done => {
+			cacheDriver.set('spec', 'expired', 'cached');
+			clock.tick(10000);
+			cacheDriver.set('spec', 'key', 'cached');
+
+			cacheDriver.list({
+					namespace: 'spec'
+				})
+				.subscribe(response => {
+					expect(response).to.deep.equal(['key']);
+				}, null, done);
+		});
+	});
+
+	describe('scan', () => {
+		beforeEach(() => {
+			['c', 'a', 'b', 'other'].forEach(key => cacheDriver.set('spec', key, 'cached'));
+		});
+
+		it('should return sorted keys page', done => {
+			cacheDriver.scan({
+					namespace: 'spec',
+					limit: 2
+				})
+				.subscribe(response => {
+					expect(response).to.deep.equal({
+						keys: ['a', 'b'],
+						cursor: 2
+					});
+				}, null, done);
+		});
+
+		it('should return filtered keys page', done => {
+			cacheDriver.scan({
+					namespace: 'spec',
+					pattern: '?',
+					cursor: 2
+				})
+				.subscribe(response => {
+					expect(response).to.deep.equal({
+						keys: ['c'],
+						cursor: null
+					});
+				}, null, done);
+		});
+	});
+
+	describe('inspect', () => {
+		it('should return entry and timings', done => {
+			cacheDriver.set('spec', 'key', 'cached');
+			clock.tick(6000);
+
+			cacheDriver.inspect({
+					namespace: 'spec',
+					key: 'key'
+				})
+				.subscribe(response => {
+					expect(response).to.deep.equal({
+						key: 'key',
+						value: 'cached',
+						createdAt: 0,
+						age: 6,
+						ttl: 10,
+						ttr: 5,
+						expiresIn: 4,
+						refreshIn: 0,
+						refresh: false
+					});
+				}, null, done);
+		});
+
+		it('should return null if expired', done => {
+			cacheDriver.set('spec', 'key', 'cached');
+			clock.tick(10000);
+
+			cacheDriver.inspect({
+					namespace: 'spec',
+					key: 'key'
+				})
+				.subscribe(response => {
+					expect(response).to.be.null;
+				}, null, done);
+		});
+	});
+
+	describe('markToRefresh', () => {
+		beforeEach(() => {
+			cacheDriver.set('spec', 'key', 'cached');
+			cacheDriver.set('spec', 'otherKey', 'cached');
+		});
+
+		it('should mark keys to refresh', done => {
+			cacheDriver.markToRefresh({
+					namespace: 'spec',
+					keys: ['key', 'inexistent']
+				})
+				.mergeMap(response => {
+					expect(response).to.equal(1);
+
+					return cacheDriver.get({
+						namespace: 'spec',
+						key: 'key'
+					}, fallback);
+				})
+				.subscribe(response => {
+					expect(response).to.equal('cached');
+					expect(fallback).to.have.been.calledOnce;
+				}, null, done);
+		});
+
+		it('should mark whole namespace to refresh', done => {
+			cacheDriver.markToRefresh({
+					namespace: 'spec'
+				})
+				.subscribe(response => {
+					expect(response).to.equal(2);
+				}, null, done);
+		});
+	});
+
+	describe('unset', () => {
+		beforeEach(() => {
+			cacheDriver.set('spec', 'key', 'cached');
+			cacheDriver.set('spec', 'otherKey', 'cached');
+		});
+
+		it('should unset keys', done => {
+			cacheDriver.unset({
+					namespace: 'spec',
+					keys: ['key']
+				})
+				.subscribe(response => {
+					expect(response).to.equal(1);
+					expect(Array.from(cacheDriver.namespace('spec').keys())).to.deep.equal(['otherKey']);
+				}, null, done);
+		});
+
+		it('should unset whole namespace', done => {
+			cacheDriver.unset({
+					namespace: 'spec'
+				})
+				.subscribe(response => {
+					expect(response).to.equal(2);
+					expect(cacheDriver.namespace('spec').size).to.equal(0);
+				}, null, done);
+		});
+	});
+});
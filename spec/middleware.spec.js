@@ -0,0 +1,163 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const {
+	Observable
+} = require('rxjs');
+
+const middleware = require('../middleware');
+
+chai.use(sinonChai);
+
+const expect = chai.expect;
+
+describe('middleware.js', () => {
+	describe('normalize', () => {
+		it('should normalize phase and function', () => {
+			const fn = () => null;
+
+			expect(middleware.normalize('onError', fn)).to.deep.equal({
+				onError: fn
+			});
+		});
+
+		it('should throw if middleware is not an object', () => {
+			expect(() => middleware.normalize(null)).to.throw('middleware should be an object or a phase and a function.');
+		});
+
+		it('should throw if phase is unknown', () => {
+			expect(() => middleware.normalize({
+				preCache: () => null
+			})).to.throw('preCache is an unknown middleware phase.');
+		});
+	});
+
+	describe('run', () => {
+		it('should return value if no middlewares', done => {
+			middleware.run([], 'preAuth', 'args')
+				.subscribe(response => {
+					expect(response).to.equal('args');
+				}, null, done);
+		});
+
+		it('should run phase middlewares in sequence with extra args', done => {
+			const onResponse = sinon.stub()
+				.returns(undefined);
+
+			middleware.run([{
+					preAuth: () => 'ignored'
+				}, {
+					onResponse: value => `${value}:value`
+				}, {
+					onResponse: value => Promise.resolve(`${value}:promise`)
+				}, {
+					onResponse: value => Observable.of(`${value}:observable`)
+				}, {
+					onResponse
+				}], 'onResponse', 'response', 'args', 'lambda')
+				.subscribe(response => {
+					expect(response).to.equal('response:value:promise:observable');
+					expect(onResponse).to.have.been.calledWithExactly('response:value:promise:observable', 'args', 'lambda');
+				}, null, done);
+		});
+
+		it('should take first value of middleware result', done => {
+			const values = [];
+
+			middleware.run([{
+					onResponse: value => Observable.of(`${value}:first`, `${value}:second`)
+				}], 'onResponse', 'response')
+				.subscribe(response => values.push(response), null, () => {
+					expect(values).to.deep.equal(['response:first']);
+					done();
+				});
+		});
+
+		it('should keep value if middleware result is empty', done => {
+			middleware.run([{
+					preInvoke: () => Observable.empty()
+				}], 'preInvoke', 'args')
+				.subscribe(response => {
+					expect(response).to.equal('args');
+				}, null, done);
+		});
+
+		it('should stop on error', done => {
+			const next = sinon.stub();
+
+			middleware.run([{
+					preInvoke: () => {
+						throw new Error('error');
+					}
+				}, {
+					preInvoke: next
+				}], 'preInvoke', 'args')
+				.subscribe(null, err => {
+					expect(err.message).to.equal('error');
+					expect(next).not.to.have.been.called;
+
+					done();
+				});
+		});
+	});
+
+	describe('recover', () => {
+		it('should recover with onError response', done => {
+			middleware.recover([{
+					onError: () => undefined
+				}, {
+					onError: (err, args) => Promise.resolve(`${err.message}:${args}`)
+				}], Observable.throw(new Error('error')), 'args')
+				.subscribe(response => {
+					expect(response).to.equal('error:args');
+				}, null, done);
+		});
+
+		it('should keep error if onError returns nothing', done => {
+			middleware.recover([{
+					onError: () => undefined
+				}], Observable.throw(new Error('error')))
+				.subscribe(null, err => {
+					expect(err.message).to.equal('error');
+
+					done();
+				});
+		});
+
+		it('should keep error if onError result is empty', done => {
+			middleware.recover([{
+					onError: () => Observable.empty()
+				}], Observable.throw(new Error('error')))
+				.subscribe(null, err => {
+					expect(err.message).to.equal('error');
+
+					done();
+				});
+		});
+
+		it('should replace error with thrown one', done => {
+			middleware.recover([{
+					onError: () => {
+						throw new Error('replaced');
+					}
+				}], Observable.throw(new Error('error')))
+				.subscribe(null, err => {
+					expect(err.message).to.equal('replaced');
+
+					done();
+				});
+		});
+
+		it('should not call onError on success', done => {
+			const onError = sinon.stub();
+
+			middleware.recover([{
+					onError
+				}], Observable.of('response'))
+				.subscribe(response => {
+					expect(response).to.equal('response');
+					expect(onError).not.to.have.been.called;
+				}, null, done);
+		});
+	});
+});
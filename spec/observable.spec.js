@@ -0,0 +1,58 @@
+const chai = require('chai');
+const {
+	Observable
+} = require('rxjs');
+
+const observable = require('../observable');
+
+const expect = chai.expect;
+
+describe('observable.js', () => {
+	describe('isAsync', () => {
+		it('should return true for promises and observables', () => {
+			expect(observable.isAsync(Promise.resolve())).to.be.true;
+			expect(observable.isAsync(Observable.of(1))).to.be.true;
+		});
+
+		it('should return false', () => {
+			expect(observable.isAsync(null)).to.be.false;
+			expect(observable.isAsync({})).to.be.false;
+		});
+	});
+
+	describe('toObservable', () => {
+		it('should wrap value', done => {
+			observable.toObservable('value')
+				.subscribe(value => {
+					expect(value).to.equal('value');
+				}, null, done);
+		});
+
+		it('should wrap promise', done => {
+			observable.toObservable(Promise.resolve('value'))
+				.subscribe(value => {
+					expect(value).to.equal('value');
+				}, null, done);
+		});
+
+		it('should take first value', done => {
+			const values = [];
+
+			observable.toObservable(Observable.of('first', 'second'))
+				.subscribe(value => values.push(value), null, () => {
+					expect(values).to.deep.equal(['first']);
+					done();
+				});
+		});
+
+		it('should emit undefined if empty', done => {
+			const values = [];
+
+			observable.toObservable(Observable.empty())
+				.subscribe(value => values.push(value), null, () => {
+					expect(values).to.deep.equal([undefined]);
+					done();
+				});
+		});
+	});
+});
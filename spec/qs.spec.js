@@ -0,0 +1,170 @@
+const chai = require('chai');
+
+const qs = require('../qs');
+
+const expect = chai.expect;
+
+describe('qs.js', () => {
+	describe('parse', () => {
+		it('should parse empty', () => {
+			expect(qs.parse()).to.deep.equal({});
+			expect(qs.parse('')).to.deep.equal({});
+			expect(qs.parse('&&')).to.deep.equal({});
+		});
+
+		it('should coerce values', () => {
+			expect(qs.parse('false=false&true=true&null=null&undefined=undefined&number=6.66&negative=-6&string=string')).to.deep.equal({
+				false: false,
+				true: true,
+				null: null,
+				undefined: null,
+				number: 6.66,
+				negative: -6,
+				string: 'string'
+			});
+		});
+
+		it('should not coerce non canonical numbers', () => {
+			expect(qs.parse('zip=01234&partial=12abc&exponent=1e3&hex=0x10')).to.deep.equal({
+				zip: '01234',
+				partial: '12abc',
+				exponent: '1e3',
+				hex: '0x10'
+			});
+		});
+
+		it('should not coerce values', () => {
+			expect(qs.parse('true=true&number=6&null=null', {
+				coerce: false
+			})).to.deep.equal({
+				true: 'true',
+				number: '6',
+				null: 'null'
+			});
+		});
+
+		it('should keep empty values', () => {
+			expect(qs.parse('empty=&flag')).to.deep.equal({
+				empty: '',
+				flag: ''
+			});
+		});
+
+		it('should keep values containing =', () => {
+			expect(qs.parse('filter=a=b')).to.deep.equal({
+				filter: 'a=b'
+			});
+		});
+
+		it('should decode keys and values', () => {
+			expect(qs.parse('na%20me=string%20string&plus=a+b&percent=100%')).to.deep.equal({
+				'na me': 'string string',
+				plus: 'a b',
+				percent: '100%'
+			});
+		});
+
+		it('should parse repeated keys as arrays', () => {
+			expect(qs.parse('tags=a&tags=b&tags=c')).to.deep.equal({
+				tags: ['a', 'b', 'c']
+			});
+		});
+
+		it('should parse brackets as arrays', () => {
+			expect(qs.parse('tags[]=a&tags[]=b&ids[0]=1&ids[1]=2')).to.deep.equal({
+				tags: ['a', 'b'],
+				ids: [1, 2]
+			});
+		});
+
+		it('should compact indexed arrays', () => {
+			const parsed = qs.parse('a[1]=x&b[2]=c&b[0]=a&c[0][5]=y');
+
+			expect(parsed).to.deep.equal({
+				a: ['x'],
+				b: ['a', 'c'],
+				c: [
+					['y']
+				]
+			});
+			expect(JSON.stringify(parsed.a)).to.equal('["x"]');
+		});
+
+		it('should parse indexes beyond limit as object keys', () => {
+			expect(qs.parse('a[100]=x')).to.deep.equal({
+				a: {
+					100: 'x'
+				}
+			});
+		});
+
+		it('should parse nested objects', () => {
+			expect(qs.parse('user[name]=name&user[address][zip]=01234&user[roles][]=admin&a%5Bb%5D=1')).to.deep.equal({
+				user: {
+					name: 'name',
+					address: {
+						zip: '01234'
+					},
+					roles: ['admin']
+				},
+				a: {
+					b: 1
+				}
+			});
+		});
+
+		it('should parse arrays of objects', () => {
+			expect(qs.parse('items[][id]=1&items[][id]=2')).to.deep.equal({
+				items: [{
+					id: 1
+				}, {
+					id: 2
+				}]
+			});
+		});
+
+		it('should limit depth', () => {
+			expect(qs.parse('a[b][c][d][e][f][g]=1')).to.deep.equal({
+				a: {
+					b: {
+						c: {
+							d: {
+								e: {
+									f: {
+										'[g]': 1
+									}
+								}
+							}
+						}
+					}
+				}
+			});
+		});
+
+		it('should keep malformed brackets as key', () => {
+			expect(qs.parse('a[b=1&[c]=2')).to.deep.equal({
+				'a[b': 1,
+				'[c]': 2
+			});
+		});
+
+		it('should not merge keys with inherited properties', () => {
+			expect(qs.parse('toString=1&valueOf=2&hasOwnProperty=3&a[toString]=4')).to.deep.equal({
+				toString: 1,
+				valueOf: 2,
+				hasOwnProperty: 3,
+				a: {
+					toString: 4
+				}
+			});
+		});
+
+		it('should ignore prototype keys', () => {
+			const parsed = qs.parse('__proto__[polluted]=1&a[constructor][prototype][polluted]=1');
+
+			expect({}.polluted).to.be.undefined;
+			expect(parsed.polluted).to.be.undefined;
+			expect(parsed.a).to.deep.equal({});
+		});
+	});
+});
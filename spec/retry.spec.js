@@ -0,0 +1,140 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const {
+	Observable
+} = require('rxjs');
+
+const retry = require('../retry');
+
+chai.use(sinonChai);
+
+const expect = chai.expect;
+
+describe('retry.js', () => {
+	const makeError = code => {
+		const err = new Error(code);
+
+		err.code = code;
+
+		return err;
+	};
+
+	describe('policy', () => {
+		it('should return default policy', () => {
+			expect(retry.policy()).to.deep.equal({
+				attempts: 3,
+				delay: 100,
+				maxDelay: 2000,
+				errors: retry.RETRYABLE_ERRORS,
+				methods: retry.IDEMPOTENT_METHODS
+			});
+		});
+
+		it('should return custom policy', () => {
+			expect(retry.policy({
+				attempts: 5,
+				methods: ['POST']
+			})).to.deep.equal({
+				attempts: 5,
+				delay: 100,
+				maxDelay: 2000,
+				errors: retry.RETRYABLE_ERRORS,
+				methods: ['POST']
+			});
+		});
+	});
+
+	describe('isRetryable', () => {
+		it('should return true', () => {
+			expect(retry.isRetryable(makeError('TooManyRequestsException'), retry.policy())).to.be.true;
+			expect(retry.isRetryable(makeError('ECONNRESET'), retry.policy())).to.be.true;
+		});
+
+		it('should return false', () => {
+			expect(retry.isRetryable(null, retry.policy())).to.be.false;
+			expect(retry.isRetryable(new Error('some error'), retry.policy())).to.be.false;
+			expect(retry.isRetryable(makeError('ECONNRESET'), retry.policy({
+				errors: ['TooManyRequestsException']
+			}))).to.be.false;
+		});
+	});
+
+	describe('backoff', () => {
+		it('should grow exponentially', () => {
+			const policy = retry.policy();
+			const random = () => 0.999999;
+
+			expect(retry.backoff(1, policy, random)).to.equal(99);
+			expect(retry.backoff(2, policy, random)).to.equal(199);
+			expect(retry.backoff(3, policy, random)).to.equal(399);
+		});
+
+		it('should be limited by maxDelay', () => {
+			expect(retry.backoff(10, retry.policy(), () => 0.999999)).to.equal(1999);
+		});
+
+		it('should apply jitter', () => {
+			expect(retry.backoff(3, retry.policy(), () => 0.5)).to.equal(200);
+			expect(retry.backoff(3, retry.policy(), () => 0)).to.equal(0);
+		});
+	});
+
+	describe('retry', () => {
+		let operation;
+		let onRetry;
+
+		beforeEach(() => {
+			onRetry = sinon.stub();
+			operation = sinon.stub();
+		});
+
+		it('should retry retryable errors until success', done => {
+			operation.onCall(0)
+				.returns(Observable.throw(makeError('TooManyRequestsException')));
+			operation.onCall(1)
+				.returns(Observable.of('response'));
+
+			retry.retry(Observable.defer(operation), retry.policy({
+					delay: 1
+				}), onRetry)
+				.subscribe(response => {
+					expect(response).to.equal('response');
+					expect(operation).to.have.been.calledTwice;
+					expect(onRetry).to.have.been.calledOnce;
+					expect(onRetry).to.have.been.calledWithExactly(sinon.match({
+						code: 'TooManyRequestsException'
+					}), 1, sinon.match.number);
+				}, null, done);
+		});
+
+		it('should give up after max attempts', done => {
+			operation.returns(Observable.throw(makeError('ECONNRESET')));
+
+			retry.retry(Observable.defer(operation), retry.policy({
+					attempts: 3,
+					delay: 1
+				}), onRetry)
+				.subscribe(null, err => {
+					expect(err.code).to.equal('ECONNRESET');
+					expect(operation).to.have.been.calledThrice;
+					expect(onRetry).to.have.been.calledTwice;
+					done();
+				});
+		});
+
+		it('should not retry non retryable errors', done => {
+			operation.returns(Observable.throw(new Error('some error')));
+
+			retry.retry(Observable.defer(operation), retry.policy({
+					delay: 1
+				}), onRetry)
+				.subscribe(null, err => {
+					expect(err.message).to.equal('some error');
+					expect(operation).to.have.been.calledOnce;
+					expect(onRetry).not.to.have.been.called;
+					done();
+				});
+		});
+	});
+});
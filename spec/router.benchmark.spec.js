@@ -0,0 +1,139 @@
+const chai = require('chai');
+
+const router = require('../router');
+
+const expect = chai.expect;
+
+// per request wildcard expansion, as findFunction used to do before routes were compiled into a trie,
+// stats.expansions counts candidate paths built
+const legacyFindFunction = (lambdas, url, stats = {}) => {
+	let lambda = null;
+
+	if (url !== '/') {
+		let paths = url.split('/')
+			.reduce((reduction, token) => {
+				return token ? reduction.concat(token) : reduction;
+			}, [])
+			.map((token, index, array) => {
+				return array.slice(0, array.length - index);
+			});
+
+		paths = paths.reduce((reduction, path, index) => {
+				const isLast = index >= paths.length - 1;
+
+				return reduction.concat(paths.map(path => {
+					const max = Math.min(index + 1, path.length);
+					const seed = new Array(max).fill('*');
+
+					if (!isLast && (path.length === seed.length)) {
+						return null;
+					}
+
+					return seed.concat(path.slice(max));
+				}));
+			}, paths)
+			.filter(path => path !== null);
+
+		stats.expansions = (stats.expansions || 0) + paths.length;
+
+		for (let i = 0; i <= paths.length - 1; i++) {
+			const path = `/${paths[i].join('/')}`;
+
+			if (lambdas[path]) {
+				lambda = lambdas[path];
+				break;
+			}
+		}
+	} else if (lambdas['/'] || lambdas['/*']) {
+		lambda = lambdas['/'] || lambdas['/*'];
+	}
+
+	return lambda;
+};
+
+// deterministic pseudo random numbers
+const random = seed => () => {
+	seed = (seed * 16807) % 2147483647;
+
+	return seed / 2147483647;
+};
+
+// counts trie nodes visited, each visited node has its routes read once
+const countVisits = (node, stats) => new Proxy(node, {
+	get: (target, key) => {
+		if (key === 'routes') {
+			stats.visits++;
+		}
+
+		const value = target[key];
+
+		return value && typeof value === 'object' && !Array.isArray(value) ? countVisits(value, stats) : value;
+	}
+});
+
+describe('router.js benchmark', () => {
+	const next = random(42);
+	const pick = array => array[Math.floor(next() * array.length)];
+	const tokens = ['a', 'b', 'c', 'd'];
+	const lambdas = {};
+
+	before(() => {
+		while (Object.keys(lambdas).length < 500) {
+			const depth = 1 + Math.floor(next() * 8);
+			const wildcards = Math.floor(next() * (depth + 1));
+			const segments = [];
+
+			for (let i = 0; i < depth; i++) {
+				segments.push(i < wildcards ? '*' : pick(tokens));
+			}
+
+			const path = `/${segments.join('/')}`;
+
+			lambdas[path] = `function-${path}`;
+		}
+	});
+
+	it('should match exactly as legacy wildcard expansion', () => {
+		const root = router.compile(lambdas);
+
+		for (let i = 0; i < 2000; i++) {
+			const depth = Math.floor(next() * 10);
+			const segments = [];
+
+			for (let j = 0; j < depth; j++) {
+				segments.push(pick(tokens.concat('x')));
+			}
+
+			const url = `/${segments.join('/')}`;
+			const route = router.match(root, url);
+
+			expect(route ? route.lambda : null, url).to.equal(legacyFindFunction(lambdas, url));
+		}
+	});
+
+	it('should visit fewer nodes than legacy wildcard expansion builds paths on deep paths', () => {
+		const root = router.compile(lambdas);
+		const stats = {
+			expansions: 0,
+			visits: 0
+		};
+
+		const trie = countVisits(root, stats);
+
+		for (let i = 0; i < 200; i++) {
+			const segments = [];
+
+			for (let j = 0; j < 16; j++) {
+				segments.push(pick(tokens.concat('x')));
+			}
+
+			const url = `/${segments.join('/')}`;
+
+			router.match(trie, url);
+			legacyFindFunction(lambdas, url, stats);
+		}
+
+		expect(stats.visits).to.be.above(0);
+		expect(stats.visits).to.be.below(stats.expansions);
+	});
+});
@@ -0,0 +1,203 @@
+const chai = require('chai');
+
+const router = require('../router');
+
+const expect = chai.expect;
+
+describe('router.js', () => {
+	describe('compile', () => {
+		it('should compile routes into a segment trie', () => {
+			const root = router.compile({
+				'/': 'function-0',
+				'/users/:userId/*': 'function-1'
+			});
+
+			const node = root.literals.users.param.wildcard;
+
+			expect(root.routes.map(route => route.lambda)).to.deep.equal(['function-0']);
+			expect(node.routes).to.deep.equal([{
+				path: '/users/:userId/*',
+				lambda: 'function-1',
+				segments: [{
+					type: 2,
+					value: 'users'
+				}, {
+					type: 1,
+					name: 'userId'
+				}, {
+					type: 0
+				}],
+				wildcards: 1
+			}]);
+		});
+
+		it('should ignore empty lambdas and paths without leading slash', () => {
+			const root = router.compile({
+				'*': 'function-0',
+				'/empty': null
+			});
+
+			expect(root.routes).to.deep.equal([]);
+			expect(root.wildcard).to.be.null;
+			expect(Object.keys(root.literals)).to.deep.equal([]);
+		});
+	});
+
+	describe('match', () => {
+		let routes;
+
+		beforeEach(() => {
+			routes = router.compile({
+				'/users': 'users',
+				'/users/me': 'me',
+				'/users/:userId': 'user',
+				'/users/:userId/orders/:orderId': 'order',
+				'/*/orders': 'anyOrders',
+				'/*': 'wildcard'
+			});
+		});
+
+		it('should return null if nothing matches', () => {
+			expect(router.match(router.compile({
+				'/users': 'users'
+			}), '/inexistent')).to.be.null;
+		});
+
+		it('should match named params', () => {
+			expect(router.match(routes, '/users/123')).to.deep.equal({
+				lambda: 'user',
+				path: '/users/:userId',
+				pathParams: {
+					userId: '123'
+				}
+			});
+		});
+
+		it('should match many named params', () => {
+			expect(router.match(routes, '/users/123/orders/456/items')).to.deep.equal({
+				lambda: 'order',
+				path: '/users/:userId/orders/:orderId',
+				pathParams: {
+					userId: '123',
+					orderId: '456'
+				}
+			});
+		});
+
+		it('should decode named params', () => {
+			expect(router.match(routes, '/users/john%20doe').pathParams).to.deep.equal({
+				userId: 'john doe'
+			});
+		});
+
+		it('should prefer literal over named segments', () => {
+			expect(router.match(routes, '/users/me').lambda).to.equal('me');
+		});
+
+		it('should prefer named over wildcard segments', () => {
+			expect(router.match(router.compile({
+				'/users/*': 'wildcard',
+				'/users/:userId': 'user'
+			}), '/users/123').lambda).to.equal('user');
+		});
+
+		it('should prefer longer named routes over shorter literal routes', () => {
+			expect(router.match(routes, '/users/123').lambda).to.equal('user');
+			expect(router.match(routes, '/users').lambda).to.equal('users');
+		});
+
+		it('should prefer named routes over wildcard routes', () => {
+			expect(router.match(routes, '/users/orders').lambda).to.equal('user');
+			expect(router.match(routes, '/any/orders').lambda).to.equal('anyOrders');
+			expect(router.match(routes, '/any').lambda).to.equal('wildcard');
+		});
+
+		it('should match root', () => {
+			expect(router.match(routes, '/').lambda).to.equal('wildcard');
+			expect(router.match(router.compile({
+				'/': 'root',
+				'/*': 'wildcard'
+			}), '/').lambda).to.equal('root');
+		});
+
+		it('should not match named params at root', () => {
+			expect(router.match(router.compile({
+				'/:userId': 'user'
+			}), '/')).to.be.null;
+		});
+	});
+
+	describe('isMethodMap', () => {
+		it('should return true', () => {
+			expect(router.isMethodMap({
+				GET: {
+					name: 'listUsers'
+				}
+			})).to.be.true;
+		});
+
+		it('should return false', () => {
+			expect(router.isMethodMap(null)).to.be.false;
+			expect(router.isMethodMap('function-0')).to.be.false;
+			expect(router.isMethodMap({
+				name: 'functionName'
+			})).to.be.false;
+		});
+	});
+
+	describe('isCatchAll', () => {
+		it('should return true', () => {
+			expect(router.isCatchAll('/*')).to.be.true;
+			expect(router.isCatchAll('/*/*')).to.be.true;
+		});
+
+		it('should return false', () => {
+			expect(router.isCatchAll('/')).to.be.false;
+			expect(router.isCatchAll('/jobs/*')).to.be.false;
+			expect(router.isCatchAll('/*/:id')).to.be.false;
+			expect(router.isCatchAll(undefined)).to.be.false;
+		});
+	});
+
+	describe('flatten', () => {
+		it('should return lambdas of every route and method', () => {
+			expect(router.flatten({
+				'/': {
+					name: 'root'
+				},
+				'/users': {
+					GET: {
+						name: 'listUsers'
+					},
+					POST: {
+						name: 'createUser'
+					}
+				}
+			})).to.deep.equal([{
+				name: 'root'
+			}, {
+				name: 'listUsers'
+			}, {
+				name: 'createUser'
+			}]);
+		});
+
+		it('should return empty', () => {
+			expect(router.flatten()).to.deep.equal([]);
+		});
+	});
+
+	describe('allowedMethods', () => {
+		it('should return configured methods', () => {
+			expect(router.allowedMethods({
+				GET: {
+					name: 'listUsers'
+				},
+				POST: {
+					name: 'createUser'
+				},
+				PUT: null
+			})).to.deep.equal(['GET', 'POST']);
+		});
+	});
+});
@@ -0,0 +1,264 @@
+const chai = require('chai');
+const {
+	Observable
+} = require('rxjs');
+
+const transform = require('../transform');
+
+const expect = chai.expect;
+
+describe('transform.js', () => {
+	describe('get', () => {
+		it('should return nested value', () => {
+			expect(transform.get({
+				a: {
+					b: 1
+				}
+			}, 'a.b')).to.equal(1);
+		});
+
+		it('should return undefined', () => {
+			expect(transform.get({
+				a: 1
+			}, 'a.b.c')).to.be.undefined;
+		});
+	});
+
+	describe('set', () => {
+		it('should set nested value', () => {
+			expect(transform.set({}, 'a.b', 1)).to.deep.equal({
+				a: {
+					b: 1
+				}
+			});
+		});
+
+		it('should ignore prototype keys', () => {
+			transform.set({}, '__proto__.polluted', 1);
+
+			expect({}.polluted).to.be.undefined;
+		});
+	});
+
+	describe('unset', () => {
+		it('should remove nested value', () => {
+			expect(transform.unset({
+				a: {
+					b: 1,
+					c: 2
+				}
+			}, 'a.b')).to.deep.equal({
+				a: {
+					c: 2
+				}
+			});
+		});
+	});
+
+	describe('applyTemplate', () => {
+		it('should copy, move, set and remove', () => {
+			expect(transform.applyTemplate({
+				params: {
+					user: 'user',
+					debug: true
+				},
+				body: {
+					legacyName: 'name'
+				},
+				headers: {
+					'x-user-id': '123'
+				}
+			}, {
+				copy: {
+					'body.user': 'params.user'
+				},
+				move: {
+					'params.userId': 'headers.x-user-id',
+					'body.name': 'body.legacyName'
+				},
+				set: {
+					'headers.x-version': '2'
+				},
+				remove: ['params.debug']
+			})).to.deep.equal({
+				params: {
+					user: 'user',
+					userId: '123'
+				},
+				body: {
+					user: 'user',
+					name: 'name'
+				},
+				headers: {
+					'x-version': '2'
+				}
+			});
+		});
+
+		it('should reshape to root', () => {
+			expect(transform.applyTemplate({
+				body: {
+					data: {
+						items: []
+					}
+				}
+			}, {
+				move: {
+					body: 'body.data'
+				},
+				set: {
+					statusCode: 201
+				}
+			})).to.deep.equal({
+				body: {
+					items: []
+				},
+				statusCode: 201
+			});
+		});
+	});
+
+	describe('request', () => {
+		let args;
+
+		beforeEach(() => {
+			args = {
+				body: {
+					name: 'name'
+				},
+				headers: {},
+				method: 'POST',
+				params: {},
+				pathParams: {}
+			};
+		});
+
+		it('should apply template on a copy', done => {
+			transform.request({
+					move: {
+						'params.name': 'body.name'
+					}
+				}, args)
+				.subscribe(response => {
+					expect(response.params).to.deep.equal({
+						name: 'name'
+					});
+					expect(response.method).to.equal('POST');
+					expect(args.body).to.deep.equal({
+						name: 'name'
+					});
+				}, null, done);
+		});
+
+		it('should apply function', done => {
+			transform.request(args => Object.assign(args, {
+					params: {
+						fromFunction: true
+					}
+				}), args)
+				.subscribe(response => {
+					expect(response.params).to.deep.equal({
+						fromFunction: true
+					});
+					expect(args.params).to.deep.equal({});
+				}, null, done);
+		});
+
+		it('should apply function returning promise', done => {
+			transform.request(() => Promise.resolve('promise'), args)
+				.subscribe(response => {
+					expect(response).to.equal('promise');
+				}, null, done);
+		});
+
+		it('should apply function returning observable', done => {
+			transform.request(() => Observable.of('observable'), args)
+				.subscribe(response => {
+					expect(response).to.equal('observable');
+				}, null, done);
+		});
+
+		it('should take first value of function returning observable', done => {
+			const values = [];
+
+			transform.request(() => Observable.of('first', 'second'), args)
+				.subscribe(response => values.push(response), null, () => {
+					expect(values).to.deep.equal(['first']);
+					done();
+				});
+		});
+
+		it('should keep args if function returns nothing', done => {
+			transform.request(args => {
+					args.params.width = 20;
+				}, args)
+				.subscribe(response => {
+					expect(response.params.width).to.equal(20);
+				}, null, done);
+		});
+
+		it('should keep args if function returns empty observable', done => {
+			transform.request(() => Observable.empty(), args)
+				.subscribe(response => {
+					expect(response.params).to.deep.equal(args.params);
+				}, null, done);
+		});
+
+		it('should keep raw body if body is untouched', done => {
+			args.rawBody = Buffer.from('{"name":"name"}');
+
+			transform.request({
+					remove: ['params.debug']
+				}, args)
+				.subscribe(response => {
+					expect(response.rawBody).to.equal(args.rawBody);
+				}, null, done);
+		});
+
+		it('should drop raw body if body is reshaped', done => {
+			args.rawBody = Buffer.from('{"name":"name"}');
+
+			transform.request({
+					set: {
+						'body.name': 'changed'
+					}
+				}, args)
+				.subscribe(response => {
+					expect(response.rawBody).to.be.undefined;
+					expect(args.rawBody).to.be.an.instanceOf(Buffer);
+				}, null, done);
+		});
+
+		it('should return thrown error', done => {
+			transform.request(() => {
+					throw new Error('some error');
+				}, args)
+				.subscribe(null, err => {
+					expect(err.message).to.equal('some error');
+					done();
+				});
+		});
+	});
+
+	describe('response', () => {
+		it('should apply function with args', done => {
+			const response = {
+				body: {
+					id: 'id'
+				},
+				headers: {},
+				statusCode: 200
+			};
+
+			transform.response((response, args) => Object.assign(response, {
+					statusCode: args.method === 'POST' ? 201 : 200
+				}), response, {
+					method: 'POST'
+				})
+				.subscribe(result => {
+					expect(result.statusCode).to.equal(201);
+					expect(response.statusCode).to.equal(200);
+				}, null, done);
+		});
+	});
+});
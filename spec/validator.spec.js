@@ -0,0 +1,257 @@
+const chai = require('chai');
+
+const validator = require('../validator');
+
+const expect = chai.expect;
+
+describe('validator.js', () => {
+	const schema = {
+		params: {
+			type: 'object',
+			properties: {
+				width: {
+					type: 'number'
+				},
+				zip: {
+					type: 'string'
+				}
+			},
+			required: ['width']
+		},
+		pathParams: {
+			type: 'object',
+			properties: {
+				userId: {
+					type: 'string',
+					pattern: '^[0-9]+$'
+				}
+			}
+		},
+		headers: {
+			type: 'object',
+			required: ['x-api-key']
+		},
+		body: {
+			type: 'object',
+			required: ['name']
+		}
+	};
+
+	describe('checkSchema', () => {
+		it('should return empty for valid schema', () => {
+			expect(validator.checkSchema(schema.params)).to.deep.equal([]);
+		});
+
+		it('should return errors for invalid schema', () => {
+			expect(validator.checkSchema({
+				type: 'invalid'
+			})).to.include('.type should be equal to one of the allowed values');
+		});
+	});
+
+	describe('validate', () => {
+		it('should return empty if valid', () => {
+			expect(validator.validate(schema.params, {
+				width: 10
+			}, 'params')).to.deep.equal([]);
+		});
+
+		it('should return errors with location', () => {
+			expect(validator.validate(schema.params, {
+				width: '10'
+			}, 'params')).to.deep.equal([
+				'params.width should be number'
+			]);
+		});
+	});
+
+	describe('validateResponse', () => {
+		const responseSchema = {
+			type: 'object',
+			properties: {
+				id: {
+					type: 'string'
+				},
+				profile: {
+					type: 'object',
+					properties: {
+						name: {
+							type: 'string'
+						}
+					}
+				}
+			},
+			required: ['id']
+		};
+
+		it('should return errors', () => {
+			const body = {
+				id: 1
+			};
+
+			expect(validator.validateResponse(responseSchema, body)).to.deep.equal({
+				body,
+				errors: ['body.id should be string']
+			});
+		});
+
+		it('should not alter body', () => {
+			const body = {
+				id: 'id',
+				password: 'password'
+			};
+
+			expect(validator.validateResponse(responseSchema, body, 'log')).to.deep.equal({
+				body,
+				errors: []
+			});
+		});
+
+		it('should return stripped copy', () => {
+			const body = {
+				id: 'id',
+				password: 'password',
+				profile: {
+					name: 'name',
+					internal: true
+				}
+			};
+
+			expect(validator.validateResponse(responseSchema, body, 'strip')).to.deep.equal({
+				body: {
+					id: 'id',
+					profile: {
+						name: 'name'
+					}
+				},
+				errors: []
+			});
+
+			expect(body.password).to.equal('password');
+		});
+
+		it('should validate JSON string body', () => {
+			const body = JSON.stringify({
+				id: 1
+			});
+
+			expect(validator.validateResponse(responseSchema, body)).to.deep.equal({
+				body,
+				errors: ['body.id should be string']
+			});
+
+			expect(validator.validateResponse(responseSchema, JSON.stringify({
+				id: 'id'
+			}))).to.deep.equal({
+				body: '{"id":"id"}',
+				errors: []
+			});
+		});
+
+		it('should return stripped JSON string if body is JSON string', () => {
+			expect(validator.validateResponse(responseSchema, JSON.stringify({
+				id: 'id',
+				password: 'password'
+			}), 'strip')).to.deep.equal({
+				body: '{"id":"id"}',
+				errors: []
+			});
+		});
+
+		it('should validate non JSON string body as is', () => {
+			expect(validator.validateResponse({
+				type: 'string'
+			}, 'plain text')).to.deep.equal({
+				body: 'plain text',
+				errors: []
+			});
+
+			expect(validator.validateResponse(responseSchema, 'plain text')).to.deep.equal({
+				body: 'plain text',
+				errors: ['body should be object']
+			});
+		});
+
+		it('should return errors after strip', () => {
+			expect(validator.validateResponse(responseSchema, {
+				password: 'password'
+			}, 'strip')).to.deep.equal({
+				body: {},
+				errors: ['body should have required property \'id\'']
+			});
+		});
+	});
+
+	describe('validateRequest', () => {
+		it('should return empty if no schema', () => {
+			expect(validator.validateRequest(undefined, {})).to.deep.equal([]);
+		});
+
+		it('should return empty if valid', () => {
+			expect(validator.validateRequest(schema, {
+				params: {
+					width: 10
+				},
+				pathParams: {
+					userId: '123'
+				},
+				headers: {
+					'x-api-key': 'key'
+				},
+				body: {
+					name: 'name'
+				}
+			})).to.deep.equal([]);
+		});
+
+		it('should return errors of all locations', () => {
+			expect(validator.validateRequest(schema, {
+				params: {
+					width: 'wide'
+				},
+				pathParams: {
+					userId: 'me'
+				},
+				headers: {}
+			})).to.deep.equal([
+				'params.width should be number',
+				'pathParams.userId should match pattern "^[0-9]+$"',
+				'headers should have required property \'x-api-key\'',
+				'body should have required property \'name\''
+			]);
+		});
+
+		it('should coerce in place', () => {
+			const args = {
+				params: {
+					width: '10',
+					zip: '01234'
+				}
+			};
+
+			expect(validator.validateRequest({
+				params: schema.params,
+				coerce: true
+			}, args)).to.deep.equal([]);
+
+			expect(args.params).to.deep.equal({
+				width: 10,
+				zip: '01234'
+			});
+		});
+
+		it('should not coerce by default', () => {
+			const args = {
+				params: {
+					width: '10'
+				}
+			};
+
+			validator.validateRequest({
+				params: schema.params
+			}, args);
+
+			expect(args.params.width).to.equal('10');
+		});
+	});
+});
@@ -0,0 +1,128 @@
+const {
+	Observable
+} = require('rxjs');
+
+const {
+	toObservable
+} = require('./observable');
+
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+const isObject = value => value !== null && typeof value === 'object';
+
+const clone = value => value === undefined ? value : JSON.parse(JSON.stringify(value));
+
+const split = path => path.split('.')
+	.filter(key => key);
+
+const get = (object, path) => split(path)
+	.reduce((value, key) => isObject(value) ? value[key] : undefined, object);
+
+const set = (object, path, value) => {
+	const keys = split(path);
+	const last = keys.pop();
+
+	if (last === undefined || keys.concat(last)
+		.some(key => FORBIDDEN_KEYS.includes(key))) {
+		return object;
+	}
+
+	const parent = keys.reduce((reduction, key) => {
+		if (!isObject(reduction[key])) {
+			reduction[key] = {};
+		}
+
+		return reduction[key];
+	}, object);
+
+	parent[last] = value;
+
+	return object;
+};
+
+const unset = (object, path) => {
+	const keys = split(path);
+	const last = keys.pop();
+	const parent = keys.length ? get(object, keys.join('.')) : object;
+
+	if (isObject(parent)) {
+		delete parent[last];
+	}
+
+	return object;
+};
+
+/*
+	declarative templates, paths are dot separated, applied in this order:
+	copy: {'target.path': 'source.path'}
+	move: {'target.path': 'source.path'}, source is removed
+	set: {'target.path': value}
+	remove: ['path']
+ */
+const applyTemplate = (object, template = {}) => {
+	const {
+		copy = {},
+		move = {},
+		set: values = {},
+		remove = []
+	} = template;
+
+	Object.keys(copy)
+		.forEach(target => set(object, target, clone(get(object, copy[target]))));
+
+	Object.keys(move)
+		.forEach(target => {
+			const value = get(object, move[target]);
+
+			unset(object, move[target]);
+			set(object, target, value);
+		});
+
+	Object.keys(values)
+		.forEach(target => set(object, target, clone(values[target])));
+
+	remove.forEach(path => unset(object, path));
+
+	return object;
+};
+
+// transform functions can return a value, a promise or an observable, returning nothing keeps the object
+const apply = (transform, object, ...args) => {
+	if (typeof transform === 'function') {
+		return Observable.defer(() => toObservable(transform(object, ...args)))
+			.map(result => result === undefined ? object : result);
+	}
+
+	return Observable.of(applyTemplate(object, transform));
+};
+
+// request transforms work on a copy of params, pathParams, body and headers, raw body is dropped once body is reshaped
+const request = (transform, args) => apply(transform, Object.assign({}, args, {
+		body: clone(args.body),
+		headers: clone(args.headers),
+		params: clone(args.params),
+		pathParams: clone(args.pathParams)
+	}))
+	.map(result => {
+		if (result && result.rawBody && JSON.stringify(result.body) !== JSON.stringify(args.body)) {
+			result = Object.assign({}, result);
+			delete result.rawBody;
+		}
+
+		return result;
+	});
+
+// response transforms work on a copy of body and headers, they get request args as well
+const response = (transform, res, args) => apply(transform, Object.assign({}, res, {
+	body: clone(res.body),
+	headers: clone(res.headers)
+}), args);
+
+module.exports = {
+	applyTemplate,
+	get,
+	request,
+	response,
+	set,
+	unset
+};
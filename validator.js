@@ -0,0 +1,129 @@
+const Ajv = require('ajv');
+
+const LOCATIONS = ['params', 'pathParams', 'headers', 'body'];
+
+const ajv = new Ajv({
+	allErrors: true
+});
+
+// coerces strings into schema types, like "10" into 10 when type is number, in place
+const coercingAjv = new Ajv({
+	allErrors: true,
+	coerceTypes: 'array'
+});
+
+// removes properties not declared by schema, in place
+const strippingAjv = new Ajv({
+	allErrors: true,
+	removeAdditional: 'all'
+});
+
+// compiled once per schema object, manifests reloads bring new objects
+const compiled = new WeakMap();
+
+const compile = (schema, instance = ajv) => {
+	if (!compiled.has(schema)) {
+		compiled.set(schema, new Map());
+	}
+
+	const byInstance = compiled.get(schema);
+
+	if (!byInstance.has(instance)) {
+		byInstance.set(instance, instance.compile(schema));
+	}
+
+	return byInstance.get(instance);
+};
+
+const formatErrors = (location, errors = []) => errors.map(err => `${location}${err.dataPath} ${err.message}`.trim());
+
+// returns a list of schema errors, empty when schema is valid
+const checkSchema = schema => {
+	if (ajv.validateSchema(schema)) {
+		return [];
+	}
+
+	return ajv.errors.map(err => `${err.dataPath} ${err.message}`.trim());
+};
+
+// validates a single value, returns a list of errors, empty when valid
+const validate = (schema, value, location = '', coerce = false) => {
+	const validateFn = compile(schema, coerce ? coercingAjv : ajv);
+
+	return validateFn(value) ? [] : formatErrors(location, validateFn.errors);
+};
+
+/*
+	validates args against schema.params, schema.pathParams, schema.headers and schema.body,
+	returns a list of errors of all locations, empty when valid.
+	with schema.coerce, values are coerced in place.
+ */
+const validateRequest = (schema = {}, args = {}) => LOCATIONS.reduce((reduction, location) => {
+	if (!schema[location]) {
+		return reduction;
+	}
+
+	if (args[location] === undefined) {
+		args[location] = {};
+	}
+
+	return reduction.concat(validate(schema[location], args[location], location, schema.coerce));
+}, []);
+
+// string bodies holding JSON are validated parsed, others as they are
+const parseBody = body => {
+	if (typeof body !== 'string') {
+		return {
+			value: body,
+			json: false
+		};
+	}
+
+	try {
+		return {
+			value: JSON.parse(body),
+			json: true
+		};
+	} catch (err) {
+		return {
+			value: body,
+			json: false
+		};
+	}
+};
+
+/*
+	validates response body, returns {body, errors}.
+	with strip mode, body is a copy without undeclared properties, stringified back when it came as a JSON string.
+ */
+const validateResponse = (schema, body, mode = 'reject') => {
+	const {
+		value,
+		json
+	} = parseBody(body);
+
+	if (mode === 'strip') {
+		const copy = value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+		const validateFn = compile(schema, strippingAjv);
+		const errors = validateFn(copy) ? [] : formatErrors('body', validateFn.errors);
+
+		return {
+			body: json ? JSON.stringify(copy) : copy,
+			errors
+		};
+	}
+
+	return {
+		body,
+		errors: validate(schema, value, 'body')
+	};
+};
+
+module.exports = {
+	LOCATIONS,
+	RESPONSE_MODES: ['reject', 'strip', 'log'],
+	checkSchema,
+	validate,
+	validateRequest,
+	validateResponse
+};